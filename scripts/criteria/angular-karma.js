@@ -0,0 +1,40 @@
+/* scripts/criteria/angular-karma.js */
+/* Angular + Karma/Jasmine */
+
+'use strict';
+
+module.exports = {
+  id: 'angular-karma',
+  description: 'Angular + Karma com Jasmine',
+
+  search: {
+    bases: [
+      'language:TypeScript angular karma',
+      'language:TypeScript topic:angular',
+    ],
+  },
+
+  signals: {
+    Angular: {
+      dependencies: ['@angular/core'],
+      configFiles: ['angular.json'],
+      topics: ['angular'],
+    },
+    Karma: {
+      dependencies: ['karma'],
+      configFiles: ['karma.conf.js', 'src/karma.conf.js'],
+    },
+    Jasmine: {
+      dependencies: ['jasmine-core', '@types/jasmine'],
+    },
+  },
+
+  stages: [
+    { id: 'angular', label: 'Falta Angular', rule: 'Angular' },
+    {
+      id: 'karma',
+      label: 'Não usa Karma + Jasmine',
+      rule: { all: ['Karma', 'Jasmine'] },
+    },
+  ],
+};
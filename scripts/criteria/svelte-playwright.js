@@ -0,0 +1,35 @@
+/* scripts/criteria/svelte-playwright.js */
+/* Svelte/SvelteKit + Playwright */
+
+'use strict';
+
+module.exports = {
+  id: 'svelte-playwright',
+  description: 'Svelte + Playwright',
+
+  search: {
+    bases: [
+      'language:Svelte playwright',
+      'topic:svelte playwright',
+      'topic:sveltekit',
+    ],
+  },
+
+  signals: {
+    Svelte: {
+      languages: ['Svelte'],
+      dependencies: ['svelte', '@sveltejs/kit'],
+      configFiles: ['svelte.config.js'],
+    },
+    Playwright: {
+      dependencies: ['@playwright/test', 'playwright'],
+      scripts: ['playwright'],
+      configFiles: ['playwright.config.ts', 'playwright.config.js'],
+    },
+  },
+
+  stages: [
+    { id: 'svelte', label: 'Falta Svelte', rule: 'Svelte' },
+    { id: 'playwright', label: 'Não usa Playwright', rule: 'Playwright' },
+  ],
+};
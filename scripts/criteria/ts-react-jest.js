@@ -0,0 +1,174 @@
+/* scripts/criteria/ts-react-jest.js */
+/* TypeScript + React + Jest, com evidência de testes de front-end */
+
+'use strict';
+
+function configVariants(base, extensions) {
+  return extensions.map((ext) => `${base}.${ext}`);
+}
+
+module.exports = {
+  id: 'ts-react-jest',
+  description: 'TypeScript + React + Jest com testes de front-end',
+
+  search: {
+    bases: [
+      'language:TypeScript react',
+      'language:TypeScript topic:react',
+      'language:TypeScript "react" in:name,description,readme',
+    ],
+  },
+
+  signals: {
+    TypeScript: {
+      languages: ['TypeScript'],
+      dependencies: ['typescript'],
+      configFiles: ['tsconfig.json', 'tsconfig.base.json'],
+    },
+    React: {
+      dependencies: ['react', 'react-dom'],
+      topics: ['react'],
+    },
+    Jest: {
+      dependencies: ['jest', '@jest/globals', 'ts-jest', 'babel-jest'],
+      scripts: ['jest'],
+      configFiles: [
+        'jest.config.js',
+        'jest.config.cjs',
+        'jest.config.mjs',
+        'jest.config.ts',
+        'jest.config.json',
+      ],
+    },
+    // Outros runners: só informativos aqui (colunas do CSV); o critério
+    // ts-react-tests também os aceita para qualificar
+    Vitest: {
+      dependencies: ['vitest'],
+      scripts: ['vitest'],
+      configFiles: [
+        ...configVariants('vitest.config', [
+          'ts',
+          'js',
+          'mts',
+          'mjs',
+          'cts',
+          'cjs',
+        ]),
+        // Vite com bloco `test` também configura o Vitest
+        ...configVariants('vite.config', ['ts', 'js', 'mts', 'mjs']).map(
+          (file) => ({ file, pattern: '\\btest\\s*:' })
+        ),
+      ],
+    },
+    Mocha: {
+      dependencies: ['mocha'],
+      scripts: ['mocha'],
+      configFiles: configVariants('.mocharc', [
+        'js',
+        'cjs',
+        'json',
+        'jsonc',
+        'yml',
+        'yaml',
+      ]),
+    },
+    Playwright: {
+      dependencies: ['@playwright/test', 'playwright'],
+      scripts: ['playwright'],
+      configFiles: configVariants('playwright.config', [
+        'ts',
+        'js',
+        'mjs',
+        'cjs',
+      ]),
+    },
+    // Testes de componente do Playwright (`@playwright/experimental-ct-react`)
+    PlaywrightCT: {
+      dependencies: [
+        '@playwright/experimental-ct-react',
+        '@playwright/experimental-ct-react17',
+      ],
+      configFiles: configVariants('playwright-ct.config', ['ts', 'js', 'mjs']),
+    },
+    Cypress: {
+      dependencies: ['cypress'],
+      scripts: ['cypress'],
+      configFiles: [
+        ...configVariants('cypress.config', ['ts', 'js', 'mjs', 'cjs']),
+        'cypress.json',
+      ],
+    },
+    // Component testing do Cypress: bloco `component` no cypress.config
+    CypressCT: {
+      dependencies: ['@cypress/react', '@cypress/react18'],
+      configFiles: configVariants('cypress.config', [
+        'ts',
+        'js',
+        'mjs',
+        'cjs',
+      ]).map((file) => ({ file, pattern: '\\bcomponent\\s*:' })),
+    },
+    TestingLibrary: {
+      dependencies: [
+        '@testing-library/react',
+        '@testing-library/jest-dom',
+        '@testing-library/user-event',
+      ],
+    },
+    Enzyme: {
+      dependencies: ['enzyme'],
+    },
+    // Sem lib de teste no package.json, procura arquivos de teste React em
+    // toda a árvore (`.test`/`.spec` e fontes dentro de `__tests__`)
+    TestFiles: {
+      when: {
+        all: ['React', 'Jest', { not: { any: ['TestingLibrary', 'Enzyme'] } }],
+      },
+      testFiles: {
+        pattern: '\\.(test|spec)\\.[jt]sx?$',
+        // Características da AST do arquivo (ver scripts/lib/ast.js)
+        match: {
+          any: [
+            'rtl',
+            'enzyme',
+            'reactTestRenderer',
+            { all: [{ any: ['render', 'shallow', 'mount'] }, 'jsx'] },
+          ],
+        },
+      },
+    },
+    FrontendTestLibs: {
+      rule: { any: ['TestingLibrary', 'Enzyme', 'TestFiles'] },
+    },
+  },
+
+  // Pacotes cujas versões vão para a saída (lib/versions.js): uma coluna
+  // Major<chave> por entrada, com o major do primeiro pacote declarado
+  versions: {
+    React: ['react'],
+    TypeScript: ['typescript'],
+    Jest: ['jest'],
+    TestingLibrary: ['@testing-library/react'],
+    Enzyme: ['enzyme'],
+    EnzymeAdapter: [
+      'enzyme-adapter-react-16',
+      '@wojtekmaj/enzyme-adapter-react-17',
+      '@cfaester/enzyme-adapter-react-18',
+      'enzyme-adapter-react-15',
+    ],
+  },
+
+  // Etapas avaliadas em ordem; a primeira que falha define o motivo da rejeição
+  stages: [
+    {
+      id: 'ts-react',
+      label: 'Falta TS ou React',
+      rule: { all: ['TypeScript', 'React'] },
+    },
+    {
+      id: 'frontend-tests',
+      label: 'Não atende critérios de testes frontend',
+      rule: { all: ['React', 'Jest', 'FrontendTestLibs'] },
+    },
+  ],
+};
@@ -0,0 +1,55 @@
+/* scripts/criteria/ts-react-tests.js */
+/* TypeScript + React com testes de front-end em qualquer runner:
+   Jest, Vitest, Mocha ou testes de componente do Playwright/Cypress */
+
+'use strict';
+
+const tsReactJest = require('./ts-react-jest');
+
+const UNIT_RUNNERS = ['Jest', 'Vitest', 'Mocha'];
+
+module.exports = {
+  ...tsReactJest,
+  id: 'ts-react-tests',
+  description:
+    'TypeScript + React com testes de front-end (Jest, Vitest, Mocha, Playwright CT ou Cypress CT)',
+
+  signals: {
+    ...tsReactJest.signals,
+    TestFiles: {
+      ...tsReactJest.signals.TestFiles,
+      when: {
+        all: [
+          'React',
+          { any: UNIT_RUNNERS },
+          { not: { any: ['TestingLibrary', 'Enzyme'] } },
+        ],
+      },
+    },
+  },
+
+  versions: {
+    ...tsReactJest.versions,
+    Vitest: ['vitest'],
+  },
+
+  stages: [
+    tsReactJest.stages[0],
+    {
+      id: 'frontend-tests',
+      label: 'Não atende critérios de testes frontend',
+      rule: {
+        all: [
+          'React',
+          {
+            any: [
+              { all: [{ any: UNIT_RUNNERS }, 'FrontendTestLibs'] },
+              'PlaywrightCT',
+              'CypressCT',
+            ],
+          },
+        ],
+      },
+    },
+  ],
+};
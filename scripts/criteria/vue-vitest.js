@@ -0,0 +1,47 @@
+/* scripts/criteria/vue-vitest.js */
+/* Vue 3 + Vitest, com testes de componentes */
+
+'use strict';
+
+module.exports = {
+  id: 'vue-vitest',
+  description: 'Vue + Vitest com testes de componentes',
+
+  search: {
+    bases: [
+      'language:Vue vitest',
+      'topic:vue vitest',
+      'language:TypeScript vue vitest',
+    ],
+  },
+
+  signals: {
+    Vue: {
+      languages: ['Vue'],
+      dependencies: ['vue'],
+      topics: ['vue', 'vuejs', 'vue3'],
+    },
+    Vitest: {
+      dependencies: ['vitest'],
+      scripts: ['vitest'],
+      configFiles: [
+        'vitest.config.ts',
+        'vitest.config.js',
+        'vitest.config.mts',
+        'vitest.config.mjs',
+      ],
+    },
+    VueTestUtils: {
+      dependencies: ['@vue/test-utils', '@testing-library/vue'],
+    },
+  },
+
+  stages: [
+    { id: 'vue', label: 'Falta Vue', rule: 'Vue' },
+    {
+      id: 'component-tests',
+      label: 'Não atende critérios de testes de componentes',
+      rule: { all: ['Vitest', 'VueTestUtils'] },
+    },
+  ],
+};
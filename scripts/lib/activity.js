@@ -0,0 +1,123 @@
+/* scripts/lib/activity.js */
+/* Atividade e maturidade dos qualificados: contribuidores, commits, PRs,
+   issues, releases e CI, e os mínimos configuráveis */
+
+'use strict';
+
+const { config } = require('./config');
+const {
+  getContributorCount,
+  getFirstCommitDate,
+  getRepoActivityGraphQL,
+} = require('./github');
+
+// Mínimos da configuração: campo da config → [métrica, valor no repositório]
+const ACTIVITY_MINIMUMS = {
+  minContributors: ['contributors', (a) => a.contributors],
+  minCommits: ['commits', (a) => a.commits],
+  minCommitsLastYear: ['commitsLastYear', (a) => a.commitsLastYear],
+  minPullRequests: [
+    'pullRequests',
+    (a) => a.openPullRequests + a.closedPullRequests,
+  ],
+  minIssues: ['issues', (a) => a.openIssues + a.closedIssues],
+  minReleases: ['releases', (a) => a.releases],
+};
+
+// Workflows do GitHub Actions: arquivos .yml/.yaml em .github/workflows
+function countWorkflows(tree) {
+  return (tree?.entries || []).filter(
+    (e) => e.type === 'blob' && /\.ya?ml$/i.test(e.name)
+  ).length;
+}
+
+// Início da janela de `commitsLastYear`: 12 meses antes de `now` (ISO 8601)
+function activitySince(now = config.referenceDate) {
+  const since = new Date(now);
+  since.setUTCFullYear(since.getUTCFullYear() - 1);
+  return since.toISOString();
+}
+
+/**
+ * Métricas de atividade de um repositório. As contagens vêm de `prefetched`
+ * (o `activity` de getReposInfoGraphQL, pedido com `activitySince(now)`) ou,
+ * sem ele, de uma query própria; à parte, só a data do primeiro commit (com
+ * mais de um commit) e uma REST para os contribuidores. `commitsLastYear`
+ * conta os 12 meses até a data de referência. `contributors` fica null se o
+ * GitHub não der a lista.
+ */
+async function computeActivity(
+  owner,
+  repo,
+  now = config.referenceDate,
+  prefetched = null
+) {
+  const info =
+    prefetched ||
+    (await getRepoActivityGraphQL(owner, repo, activitySince(now)));
+  if (!info) throw new Error('repositório não encontrado no GraphQL');
+
+  const head = info.defaultBranchRef?.target || null;
+  const commits = head?.history?.totalCount ?? 0;
+  const lastCommitAt = head?.committedDate ?? null;
+  const firstCommitAt =
+    commits > 1
+      ? await getFirstCommitDate(owner, repo, head.oid, commits)
+      : lastCommitAt;
+
+  let contributors = null;
+  try {
+    contributors = await getContributorCount(owner, repo);
+  } catch (err) {
+    if (err.transient) throw err;
+    console.warn(
+      `⚠️ Contribuidores indisponíveis (${owner}/${repo}): ${err.message}`
+    );
+  }
+
+  return {
+    contributors,
+    commits,
+    commitsLastYear: head?.lastYear?.totalCount ?? 0,
+    firstCommitAt,
+    lastCommitAt,
+    openPullRequests: info.openPullRequests?.totalCount ?? 0,
+    closedPullRequests: info.closedPullRequests?.totalCount ?? 0,
+    openIssues: info.openIssues?.totalCount ?? 0,
+    closedIssues: info.closedIssues?.totalCount ?? 0,
+    releases: info.releases?.totalCount ?? 0,
+    ciWorkflows: countWorkflows(info.workflows),
+  };
+}
+
+// Algum mínimo de atividade (ou REQUIRE_CI) foi configurado?
+function hasActivityMinimums(cfg = config) {
+  return (
+    cfg.requireCi ||
+    Object.keys(ACTIVITY_MINIMUMS).some((field) => cfg[field] !== null)
+  );
+}
+
+/**
+ * Métricas abaixo dos mínimos da configuração (`['commits',
+ * 'contributors']`; `ci` quando REQUIRE_CI pede workflows e não há).
+ * Métricas indisponíveis (null) não reprovam.
+ */
+function activityShortfalls(activity, cfg = config) {
+  const shortfalls = Object.entries(ACTIVITY_MINIMUMS)
+    .filter(([field, [, value]]) => {
+      const actual = value(activity);
+      return cfg[field] !== null && actual !== null && actual < cfg[field];
+    })
+    .map(([, [metric]]) => metric);
+  if (cfg.requireCi && activity.ciWorkflows === 0) shortfalls.push('ci');
+  return shortfalls;
+}
+
+module.exports = {
+  ACTIVITY_MINIMUMS,
+  activityShortfalls,
+  activitySince,
+  computeActivity,
+  hasActivityMinimums,
+};
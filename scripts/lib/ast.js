@@ -0,0 +1,183 @@
+/* scripts/lib/ast.js */
+/* Análise de arquivos de teste pela AST (@babel/parser): imports, chamadas e JSX */
+
+'use strict';
+
+const { parse } = require('@babel/parser');
+
+// Características que `testFiles.match` (regra dos critérios) pode citar
+const TEST_FILE_FEATURES = [
+  'rtl', // importa @testing-library/react
+  'enzyme', // importa enzyme
+  'reactTestRenderer', // importa react-test-renderer
+  'render', // chama render(...)
+  'shallow', // chama shallow(...)
+  'mount', // chama mount(...)
+  'jsx', // JSX dentro do corpo de um it/test
+  'jestMock', // chama jest.mock(...)
+  'snapshot', // chama toMatchSnapshot/toMatchInlineSnapshot
+];
+
+const IMPORT_FEATURES = {
+  '@testing-library/react': 'rtl',
+  enzyme: 'enzyme',
+  'react-test-renderer': 'reactTestRenderer',
+};
+const CALL_FEATURES = ['render', 'shallow', 'mount'];
+const TEST_CASE_CALLEES = ['it', 'test'];
+const SNAPSHOT_MATCHERS = ['toMatchSnapshot', 'toMatchInlineSnapshot'];
+// Metadados do nó que não são filhos na árvore
+const SKIPPED_KEYS = new Set([
+  'loc',
+  'start',
+  'end',
+  'extra',
+  'comments',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+]);
+
+// .ts não aceita JSX (conflita com casts `<T>x`); .js/.jsx aceitam
+function parserPlugins(filePath = '') {
+  if (/\.tsx$/.test(filePath)) return ['typescript', 'jsx'];
+  if (/\.[cm]?ts$/.test(filePath)) return ['typescript'];
+  return ['jsx'];
+}
+
+function propertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral') return node.value;
+  return null;
+}
+
+// `it`, `it.only`, `test.each(...)`, `it.each\`...\`` → 'it' | 'test'
+function testCaseCallee(callee) {
+  let node = callee;
+  while (node) {
+    if (node.type === 'Identifier') {
+      return TEST_CASE_CALLEES.includes(node.name) ? node.name : null;
+    }
+    if (node.type === 'MemberExpression') node = node.object;
+    else if (node.type === 'CallExpression') node = node.callee;
+    else if (node.type === 'TaggedTemplateExpression') node = node.tag;
+    else return null;
+  }
+  return null;
+}
+
+function requiredModule(node) {
+  const [arg] = node.arguments;
+  if (
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    arg?.type === 'StringLiteral'
+  ) {
+    return arg.value;
+  }
+  return null;
+}
+
+/**
+ * Analisa o código de um arquivo de teste. Retorna `{ features, cases }`,
+ * onde `features` mapeia cada nome de TEST_FILE_FEATURES a um booleano e
+ * `cases` conta as chamadas `it`/`test`, ou null se o arquivo não parsear.
+ */
+function analyzeTestFile(text, filePath) {
+  let ast;
+  try {
+    ast = parse(text, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      plugins: [...parserPlugins(filePath), 'decorators-legacy'],
+    });
+  } catch {
+    return null;
+  }
+
+  const features = Object.fromEntries(
+    TEST_FILE_FEATURES.map((f) => [f, false])
+  );
+  let cases = 0;
+
+  const markImport = (source) => {
+    const feature = IMPORT_FEATURES[source];
+    if (feature) features[feature] = true;
+  };
+
+  function visit(node, inTestBody) {
+    if (Array.isArray(node)) {
+      node.forEach((child) => visit(child, inTestBody));
+      return;
+    }
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'ImportDeclaration':
+        markImport(node.source.value);
+        break;
+      case 'JSXElement':
+      case 'JSXFragment':
+        if (inTestBody) features.jsx = true;
+        break;
+      case 'CallExpression': {
+        const { callee } = node;
+        const required = requiredModule(node);
+        if (required) markImport(required);
+        if (callee.type === 'Import' && node.arguments[0]?.value) {
+          markImport(node.arguments[0].value);
+        }
+
+        const name =
+          callee.type === 'MemberExpression'
+            ? propertyName(callee.property)
+            : propertyName(callee);
+        if (CALL_FEATURES.includes(name)) features[name] = true;
+        if (SNAPSHOT_MATCHERS.includes(name)) features.snapshot = true;
+        if (
+          name === 'mock' &&
+          callee.type === 'MemberExpression' &&
+          propertyName(callee.object) === 'jest'
+        ) {
+          features.jestMock = true;
+        }
+
+        if (testCaseCallee(callee)) {
+          cases++;
+          visitChainArguments(callee, inTestBody);
+          visit(node.arguments, true);
+          return;
+        }
+        break;
+      }
+      default:
+    }
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      if (child && typeof child === 'object') visit(child, inTestBody);
+    }
+  }
+
+  // Argumentos no meio da cadeia (tabela do `.each`) sem recontar o caso
+  function visitChainArguments(callee, inTestBody) {
+    let node = callee;
+    while (node) {
+      if (node.type === 'CallExpression') {
+        visit(node.arguments, inTestBody);
+        node = node.callee;
+      } else if (node.type === 'TaggedTemplateExpression') {
+        visit(node.quasi, inTestBody);
+        node = node.tag;
+      } else if (node.type === 'MemberExpression') node = node.object;
+      else return;
+    }
+  }
+
+  visit(ast.program, false);
+  return { features, cases };
+}
+
+module.exports = { TEST_FILE_FEATURES, analyzeTestFile };
@@ -0,0 +1,137 @@
+/* scripts/lib/cache.js */
+/* Cache em disco das respostas da API, revalidado com ETag (If-None-Match) */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { config } = require('./config');
+const { fixtureKey } = require('./fixtures');
+
+// Cabeçalhos guardados com o corpo. Os de rate limit ficam de fora: uma
+// resposta do disco não diz nada sobre a cota atual.
+const CACHE_HEADERS = ['content-type', 'etag', 'last-modified', 'link'];
+// Marca as respostas servidas do cache (ex.: para não somar custo GraphQL)
+const CACHE_HIT_HEADER = 'x-miner-cache';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Contadores da execução: servidas do disco, revalidadas (304) e gravadas
+const cacheStats = { hits: 0, revalidated: 0, stored: 0 };
+
+function getCacheStats() {
+  return { ...cacheStats };
+}
+
+// A Search API fica de fora (os resultados mudam a cada página), assim como
+// a gravação e o replay de fixtures, que precisam das respostas reais
+function cacheEnabled(bucket) {
+  return config.httpCache && !config.httpFixtures && bucket !== 'search';
+}
+
+// GraphQL responde 200 até com erro; só vale guardar se os únicos erros
+// forem de objetos inexistentes (ex.: repositório apagado num lote)
+function cacheableGraphQL(text) {
+  try {
+    const { errors } = JSON.parse(text);
+    return (errors || []).every((e) => e.type === 'NOT_FOUND');
+  } catch {
+    return false;
+  }
+}
+
+function cachePath(url, options) {
+  const key = fixtureKey(url, options);
+  return path.join(config.httpCacheDir, key.slice(0, 2), `${key}.json`);
+}
+
+function cachedResponse(entry) {
+  return new Response(entry.body, {
+    status: entry.status,
+    headers: { ...entry.headers, [CACHE_HIT_HEADER]: 'hit' },
+  });
+}
+
+/**
+ * Entrada do cache para a requisição, ou null. `fresh` indica que ainda está
+ * dentro de HTTP_CACHE_TTL_HOURS e pode ser usada sem requisição; senão,
+ * `etag` (se houver) vai no If-None-Match. `response()` cria a resposta.
+ */
+function readCache(url, options, bucket) {
+  if (!cacheEnabled(bucket)) return null;
+  const file = cachePath(url, options);
+  let entry;
+  try {
+    entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+  const age = Date.now() - Date.parse(entry.storedAt);
+  return {
+    fresh: age < config.httpCacheTtlHours * HOUR_MS,
+    etag: entry.headers.etag || null,
+    response() {
+      return cachedResponse(entry);
+    },
+    file,
+    entry,
+  };
+}
+
+function writeEntry(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Escrita atômica: execuções paralelas nunca leem um arquivo pela metade
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(entry), 'utf-8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Aplica a resposta da API ao cache e devolve a resposta a usar: um 304
+ * renova a entrada e devolve o corpo guardado; um 200 é gravado. O resto
+ * passa sem mudanças.
+ */
+async function storeResponse(url, options, bucket, res, cached) {
+  if (res.status === 304 && cached) {
+    cacheStats.revalidated++;
+    writeEntry(cached.file, {
+      ...cached.entry,
+      storedAt: new Date().toISOString(),
+    });
+    return cached.response();
+  }
+  if (res.status !== 200 || !cacheEnabled(bucket)) return res;
+
+  const body = await res.clone().text();
+  if (bucket === 'graphql' && !cacheableGraphQL(body)) return res;
+  const headers = {};
+  for (const name of CACHE_HEADERS) {
+    const value = res.headers.get(name);
+    if (value !== null) headers[name] = value;
+  }
+  writeEntry(cachePath(url, options), {
+    url,
+    method: options.method || 'GET',
+    storedAt: new Date().toISOString(),
+    status: res.status,
+    headers,
+    body,
+  });
+  cacheStats.stored++;
+  return res;
+}
+
+// Resposta fresca do disco: conta como acerto
+function serveFresh(cached) {
+  cacheStats.hits++;
+  return cached.response();
+}
+
+module.exports = {
+  CACHE_HIT_HEADER,
+  getCacheStats,
+  readCache,
+  serveFresh,
+  storeResponse,
+};
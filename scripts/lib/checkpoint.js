@@ -0,0 +1,91 @@
+/* scripts/lib/checkpoint.js */
+/* Checkpoint persistente para retomar execuções interrompidas */
+
+'use strict';
+
+const fs = require('fs');
+
+const { config } = require('./config');
+const { ensureOutput } = require('./output');
+
+// Checkpoint persistente: queries concluídas, última página por query,
+// veredito de cada repositório analisado e, em `pending`, o item da busca dos
+// que falharam por motivo transitório (reprocessados no fim da execução).
+// `incremental` só existe durante uma passada do modo incremental.
+function emptyCheckpoint() {
+  return { version: 1, updatedAt: null, queries: {}, repos: {}, pending: {} };
+}
+
+function loadCheckpoint() {
+  if (config.resetCheckpoint || !fs.existsSync(config.checkpointFile)) {
+    return emptyCheckpoint();
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(config.checkpointFile, 'utf-8'));
+    if (data?.version !== 1) {
+      console.warn(
+        `⚠️ Checkpoint em versão desconhecida (${data?.version}). Ignorando.`
+      );
+      return emptyCheckpoint();
+    }
+    return {
+      ...emptyCheckpoint(),
+      ...data,
+      queries: data.queries || {},
+      repos: data.repos || {},
+      pending: data.pending || {},
+    };
+  } catch (err) {
+    console.warn(`⚠️ Checkpoint ilegível (${err.message}). Ignorando.`);
+    return emptyCheckpoint();
+  }
+}
+
+function saveCheckpoint(checkpoint) {
+  ensureOutput();
+  checkpoint.updatedAt = new Date().toISOString();
+  // Escrita atômica: um corte no meio da escrita não corrompe o arquivo
+  const tmp = `${config.checkpointFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(checkpoint, null, 2), 'utf-8');
+  fs.renameSync(tmp, config.checkpointFile);
+}
+
+// `pushedAt` (do item da busca) permite ao modo incremental pular quem não
+// teve push desde o veredito
+function recordRepoVerdict(
+  checkpoint,
+  nameWithOwner,
+  verdict,
+  reason,
+  pushedAt = null
+) {
+  if (verdict !== 'failed') delete checkpoint.pending[nameWithOwner];
+  checkpoint.repos[nameWithOwner] = {
+    verdict,
+    ...(reason ? { reason } : {}),
+    ...(pushedAt ? { pushedAt } : {}),
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Passada do modo incremental: as queries recomeçam do zero e `seen` guarda
+ * o `pushed_at` de cada nome que a busca trouxe. Uma passada interrompida
+ * (ainda em `checkpoint.incremental`) é retomada; o minerador a remove ao
+ * terminar.
+ */
+function startIncrementalPass(checkpoint) {
+  if (!checkpoint.incremental) {
+    checkpoint.queries = {};
+    checkpoint.incremental = { startedAt: new Date().toISOString(), seen: {} };
+  }
+  return checkpoint.incremental;
+}
+
+module.exports = {
+  emptyCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  recordRepoVerdict,
+  startIncrementalPass,
+};
@@ -0,0 +1,579 @@
+/* scripts/lib/cli.js */
+/* Linha de comando: subcomandos, flags, arquivo de configuração e --help */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { config, loadConfig, validateConfig } = require('./config');
+
+// Flags de configuração. Cada uma sobrescreve a variável de ambiente `env`,
+// que continua valendo como padrão. Flags `boolean` gravam `sets` (ou 'true').
+const CONFIG_OPTIONS = [
+  {
+    flag: 'criteria',
+    env: 'CRITERIA',
+    value: '<nome|arquivo>',
+    help: 'critério minerado (scripts/criteria/ ou caminho .js/.json)',
+  },
+  {
+    flag: 'output-dir',
+    env: 'OUTPUT_DIR',
+    value: '<dir>',
+    help: 'pasta das saídas (padrão output)',
+  },
+  {
+    flag: 'formats',
+    env: 'OUTPUT_FORMATS',
+    value: '<lista>',
+    help: 'saídas separadas por vírgula: csv, jsonl, sqlite',
+  },
+  {
+    flag: 'checkpoint',
+    env: 'CHECKPOINT_FILE',
+    value: '<arquivo>',
+    help: 'arquivo de checkpoint',
+  },
+  {
+    flag: 'batch-size',
+    env: 'BATCH_SIZE',
+    value: '<n>',
+    help: 'itens por página da busca (1-100)',
+  },
+  {
+    flag: 'max-qualified',
+    env: 'MAX_QUALIFIED',
+    value: '<n>',
+    help: 'para depois de n qualificados',
+  },
+  {
+    flag: 'max-analyzed',
+    env: 'MAX_ANALYZED',
+    value: '<n>',
+    help: 'para depois de n analisados (0 = sem limite)',
+  },
+  {
+    flag: 'quarters',
+    env: 'QUARTERS_COUNT',
+    value: '<n>',
+    help: 'trimestres de `pushed:` nas queries',
+  },
+  {
+    flag: 'reference-date',
+    env: 'REFERENCE_DATE',
+    value: '<data>',
+    help: 'data de referência dos trimestres (ISO)',
+  },
+  {
+    flag: 'exclude-topics',
+    env: 'EXCLUDE_TOPICS',
+    value: '<qualificadores>',
+    help: 'acrescentado às queries, ex.: "-topic:tutorial"',
+  },
+  {
+    flag: 'exclude-terms',
+    env: 'EXCLUDE_TERMS',
+    value: '<termos>',
+    help: 'termos negados nas queries, ex.: "-boilerplate -starter"',
+  },
+  {
+    flag: 'no-text-excludes',
+    env: 'APPLY_TEXT_EXCLUDES',
+    boolean: true,
+    sets: 'false',
+    help: 'não acrescenta EXCLUDE_TERMS às queries',
+  },
+  {
+    flag: 'min-stars',
+    env: 'MIN_STARS',
+    value: '<n>',
+    help: 'mínimo de estrelas (qualificador stars:)',
+  },
+  {
+    flag: 'max-stars',
+    env: 'MAX_STARS',
+    value: '<n>',
+    help: 'máximo de estrelas',
+  },
+  {
+    flag: 'min-size',
+    env: 'MIN_SIZE_KB',
+    value: '<kb>',
+    help: 'tamanho mínimo do repositório em KB (size:)',
+  },
+  {
+    flag: 'max-size',
+    env: 'MAX_SIZE_KB',
+    value: '<kb>',
+    help: 'tamanho máximo do repositório em KB',
+  },
+  {
+    flag: 'licenses',
+    env: 'LICENSES',
+    value: '<lista>',
+    help: 'licenças aceitas, ex.: mit,apache-2.0 (license:)',
+  },
+  {
+    flag: 'created-from',
+    env: 'CREATED_FROM',
+    value: '<data>',
+    help: 'criados a partir de AAAA-MM-DD (created:)',
+  },
+  {
+    flag: 'created-to',
+    env: 'CREATED_TO',
+    value: '<data>',
+    help: 'criados até AAAA-MM-DD',
+  },
+  {
+    flag: 'owner-type',
+    env: 'OWNER_TYPE',
+    value: '<org|user>',
+    help: 'só repositórios de organizações ou de usuários',
+  },
+  {
+    flag: 'include-owners',
+    env: 'INCLUDE_OWNERS',
+    value: '<lista>',
+    help: 'só estes donos (user:)',
+  },
+  {
+    flag: 'exclude-owners',
+    env: 'EXCLUDE_OWNERS',
+    value: '<lista>',
+    help: 'ignora estes donos (-user:)',
+  },
+  {
+    flag: 'sort',
+    env: 'SEARCH_SORT',
+    value: '<campo>',
+    help: 'ordem da busca: stars, forks, help-wanted-issues, updated',
+  },
+  {
+    flag: 'order',
+    env: 'SEARCH_ORDER',
+    value: '<asc|desc>',
+    help: 'direção da ordem (com --sort)',
+  },
+  {
+    flag: 'concurrency',
+    env: 'CONCURRENT_REPOS',
+    value: '<n>',
+    help: 'repositórios analisados em paralelo',
+  },
+  {
+    flag: 'reset',
+    env: 'RESET_CHECKPOINT',
+    boolean: true,
+    help: 'ignora o checkpoint existente',
+  },
+  {
+    flag: 'incremental',
+    env: 'INCREMENTAL',
+    boolean: true,
+    help: 'atualiza o dataset existente em vez de só acrescentar',
+  },
+  {
+    flag: 'readme-course-check',
+    env: 'README_COURSE_CHECK',
+    boolean: true,
+    help: 'procura palavras de curso também no README',
+  },
+  {
+    flag: 'no-course-filter',
+    env: 'EXCLUDE_COURSE_BOILERPLATE',
+    boolean: true,
+    sets: 'false',
+    help: 'não exclui cursos/boilerplates',
+  },
+  {
+    flag: 'no-monorepo',
+    env: 'MONOREPO_DETECTION',
+    boolean: true,
+    sets: 'false',
+    help: 'não lê workspaces de monorepos',
+  },
+  {
+    flag: 'no-metrics',
+    env: 'TEST_METRICS',
+    boolean: true,
+    sets: 'false',
+    help: 'não calcula métricas de teste',
+  },
+  {
+    flag: 'no-versions',
+    env: 'DEPENDENCY_VERSIONS',
+    boolean: true,
+    sets: 'false',
+    help: 'não lê versões de dependências nem lockfiles',
+  },
+  {
+    flag: 'no-activity',
+    env: 'ACTIVITY_METRICS',
+    boolean: true,
+    sets: 'false',
+    help: 'não coleta métricas de atividade (sem mínimos definidos)',
+  },
+  {
+    flag: 'min-contributors',
+    env: 'MIN_CONTRIBUTORS',
+    value: '<n>',
+    help: 'mínimo de contribuidores',
+  },
+  {
+    flag: 'min-commits',
+    env: 'MIN_COMMITS',
+    value: '<n>',
+    help: 'mínimo de commits na branch padrão',
+  },
+  {
+    flag: 'min-commits-last-year',
+    env: 'MIN_COMMITS_LAST_YEAR',
+    value: '<n>',
+    help: 'mínimo de commits nos últimos 12 meses',
+  },
+  {
+    flag: 'min-pull-requests',
+    env: 'MIN_PULL_REQUESTS',
+    value: '<n>',
+    help: 'mínimo de PRs (abertos + fechados)',
+  },
+  {
+    flag: 'min-issues',
+    env: 'MIN_ISSUES',
+    value: '<n>',
+    help: 'mínimo de issues (abertas + fechadas)',
+  },
+  {
+    flag: 'min-releases',
+    env: 'MIN_RELEASES',
+    value: '<n>',
+    help: 'mínimo de releases',
+  },
+  {
+    flag: 'require-ci',
+    env: 'REQUIRE_CI',
+    boolean: true,
+    help: 'exige workflows em .github/workflows',
+  },
+  {
+    flag: 'tokens-file',
+    env: 'GITHUB_TOKENS_FILE',
+    value: '<arquivo>',
+    help: 'tokens do GitHub, um por linha (usados em conjunto)',
+  },
+  {
+    flag: 'no-cache',
+    env: 'HTTP_CACHE',
+    boolean: true,
+    sets: 'false',
+    help: 'ignora o cache de respostas da API',
+  },
+  {
+    flag: 'cache-dir',
+    env: 'HTTP_CACHE_DIR',
+    value: '<dir>',
+    help: 'pasta do cache de respostas (padrão .cache/http)',
+  },
+  {
+    flag: 'cache-ttl',
+    env: 'HTTP_CACHE_TTL_HOURS',
+    value: '<horas>',
+    help: 'idade até a qual o cache é usado sem revalidar (padrão 24)',
+  },
+  {
+    flag: 'http-fixtures',
+    env: 'HTTP_FIXTURES',
+    value: '<record|replay>',
+    help: 'grava ou reproduz respostas da API',
+  },
+  {
+    flag: 'fixtures-dir',
+    env: 'HTTP_FIXTURES_DIR',
+    value: '<dir>',
+    help: 'pasta das fixtures HTTP',
+  },
+];
+
+// Flags próprias de cada subcomando (não viram configuração)
+const COMMANDS = {
+  mine: {
+    usage: 'mine [opções]',
+    summary: 'busca e analisa repositórios (padrão quando não há comando)',
+  },
+  resume: {
+    usage: 'resume [opções]',
+    summary: 'retoma a execução salva no checkpoint (erro se não houver)',
+  },
+  check: {
+    usage: 'check <owner/repo>... [--file <lista>] [opções]',
+    summary: 'analisa repositórios e explica o veredito de cada um',
+    options: {
+      file: {
+        type: 'string',
+        value: '<arquivo>',
+        help: 'lista de repositórios (um owner/repo ou URL por linha)',
+      },
+      at: {
+        type: 'string',
+        value: '<ref|data>',
+        help: 'avalia a versão de um commit, tag ou data (AAAA-MM-DD)',
+      },
+      json: { type: 'boolean', help: 'imprime a explicação em JSON' },
+    },
+  },
+  history: {
+    usage:
+      'history <owner/repo>... [--file <lista>] [--from <data>] [--to <data>] [--every <passo>] [opções]',
+    summary: 'série temporal de adoção e abandono dos sinais no histórico',
+    options: {
+      file: {
+        type: 'string',
+        value: '<arquivo>',
+        help: 'lista de repositórios (um owner/repo ou URL por linha)',
+      },
+      from: {
+        type: 'string',
+        value: '<AAAA-MM-DD>',
+        help: 'início da série (padrão: criação do repositório)',
+      },
+      to: {
+        type: 'string',
+        value: '<AAAA-MM-DD>',
+        help: 'fim da série (padrão: REFERENCE_DATE)',
+      },
+      every: {
+        type: 'string',
+        value: '<month|quarter|year>',
+        help: 'intervalo entre os pontos (padrão quarter)',
+      },
+      signals: {
+        type: 'string',
+        value: '<lista>',
+        help: 'sinais acompanhados (padrão: todos do critério)',
+      },
+      json: { type: 'boolean', help: 'imprime a série em JSON' },
+    },
+  },
+  export: {
+    usage: 'export --from <jsonl|sqlite> --to <formatos> [opções]',
+    summary: 'converte saídas já gravadas para outros formatos',
+    options: {
+      from: { type: 'string', value: '<jsonl|sqlite>', help: 'saída lida' },
+      to: { type: 'string', value: '<lista>', help: 'formatos gravados' },
+    },
+    offline: true,
+  },
+  sample: {
+    usage:
+      'sample --from <jsonl|sqlite> (--size <n> | --per-stratum <n>) [--seed <n>] [opções]',
+    summary: 'sorteia uma amostra estratificada (estrelas × trimestre)',
+    options: {
+      from: { type: 'string', value: '<jsonl|sqlite>', help: 'saída lida' },
+      size: {
+        type: 'string',
+        value: '<n>',
+        help: 'tamanho total, alocado proporcionalmente aos estratos',
+      },
+      'per-stratum': {
+        type: 'string',
+        value: '<n>',
+        help: 'quantidade alvo em cada estrato',
+      },
+      seed: {
+        type: 'string',
+        value: '<n>',
+        help: 'semente do sorteio (padrão: aleatória, gravada no manifesto)',
+      },
+      'star-buckets': {
+        type: 'string',
+        value: '<lista>',
+        help: 'limites inferiores das faixas de estrelas (padrão 0,10,100,1000)',
+      },
+    },
+    offline: true,
+  },
+  stats: {
+    usage: 'stats [opções]',
+    summary: 'resume o checkpoint: vereditos, motivos e queries',
+    offline: true,
+  },
+};
+
+const GLOBAL_OPTIONS = {
+  config: {
+    type: 'string',
+    value: '<arquivo.json>',
+    help: 'arquivo de configuração (chaves = flags ou variáveis)',
+  },
+  help: { type: 'boolean', short: 'h', help: 'mostra esta ajuda' },
+};
+
+function optionLine(flag, value, help) {
+  const left = `  --${flag}${value ? ` ${value}` : ''}`;
+  return `${left.padEnd(38)} ${help}`;
+}
+
+function helpText(command) {
+  const lines = [];
+  if (command && COMMANDS[command]) {
+    const spec = COMMANDS[command];
+    lines.push(`Uso: node scripts/mine.js ${spec.usage}`, '', spec.summary);
+    const own = Object.entries(spec.options || {});
+    if (own.length > 0) {
+      lines.push('', 'Opções do comando:');
+      for (const [flag, o] of own)
+        lines.push(optionLine(flag, o.value, o.help));
+    }
+  } else {
+    lines.push('Uso: node scripts/mine.js <comando> [opções]', '', 'Comandos:');
+    for (const [name, spec] of Object.entries(COMMANDS)) {
+      lines.push(`  ${name.padEnd(8)} ${spec.summary}`);
+    }
+  }
+  lines.push('', 'Configuração (sobrescreve a variável de ambiente indicada):');
+  for (const o of CONFIG_OPTIONS) {
+    lines.push(optionLine(o.flag, o.value, `${o.help} [${o.env}]`));
+  }
+  lines.push('', 'Gerais:');
+  for (const [flag, o] of Object.entries(GLOBAL_OPTIONS)) {
+    lines.push(optionLine(flag, o.value, o.help));
+  }
+  return lines.join('\n');
+}
+
+function configValueToEnv(option, value) {
+  if (option.boolean) {
+    if (value === true) return option.sets || 'true';
+    if (value === false) return option.sets ? undefined : 'false';
+  }
+  if (Array.isArray(value)) return value.join(',');
+  return String(value);
+}
+
+// Arquivo JSON com chaves iguais às flags (`batch-size`) ou às variáveis
+// (`BATCH_SIZE`). Retorna as variáveis equivalentes.
+function readConfigFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  } catch (err) {
+    throw new Error(`Não foi possível ler ${file}: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${file} deve conter um objeto JSON`);
+  }
+  const env = {};
+  for (const [key, value] of Object.entries(data)) {
+    const option = CONFIG_OPTIONS.find((o) => o.flag === key || o.env === key);
+    if (!option) throw new Error(`${file}: chave desconhecida "${key}"`);
+    // Pela variável, o valor vai direto (`"TEST_METRICS": false`); pela
+    // flag, vale o efeito da flag (`"no-metrics": true`)
+    const envValue =
+      option.env === key
+        ? configValueToEnv({}, value)
+        : configValueToEnv(option, value);
+    if (envValue !== undefined) env[option.env] = envValue;
+  }
+  return env;
+}
+
+/**
+ * Interpreta `argv` (sem `node script`). Retorna `{ command, positionals,
+ * options, env, help }`, onde `env` é o ambiente efetivo: variáveis do
+ * processo, depois o arquivo de `--config`, depois as flags.
+ */
+function parseCli(argv, baseEnv = process.env) {
+  const [first] = argv;
+  const command = first && !first.startsWith('-') ? first : 'mine';
+  const rest = first && !first.startsWith('-') ? argv.slice(1) : argv;
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new Error(
+      `Comando desconhecido: ${command}. Use --help para ver os comandos.`
+    );
+  }
+
+  const options = {};
+  for (const o of CONFIG_OPTIONS) {
+    options[o.flag] = { type: o.boolean ? 'boolean' : 'string' };
+  }
+  for (const [flag, o] of Object.entries({
+    ...GLOBAL_OPTIONS,
+    ...spec.options,
+  })) {
+    options[flag] = { type: o.type, ...(o.short ? { short: o.short } : {}) };
+  }
+
+  const { values, positionals } = parseArgs({
+    args: rest,
+    options,
+    allowPositionals: true,
+    strict: true,
+  });
+
+  const env = { ...baseEnv };
+  if (values.config) Object.assign(env, readConfigFile(values.config));
+  for (const o of CONFIG_OPTIONS) {
+    if (values[o.flag] === undefined) continue;
+    const envValue = configValueToEnv(o, values[o.flag]);
+    if (envValue !== undefined) env[o.env] = envValue;
+  }
+
+  const own = Object.fromEntries(
+    Object.keys(spec.options || {}).map((flag) => [flag, values[flag]])
+  );
+  return {
+    command,
+    positionals,
+    options: own,
+    env,
+    help: Boolean(values.help),
+  };
+}
+
+/**
+ * Ponto de entrada de scripts/mine.js. Aplica a configuração ao objeto
+ * `config` compartilhado, valida e executa o subcomando. Retorna o código de
+ * saída do processo.
+ */
+async function runCli(argv, baseEnv = process.env) {
+  let parsed;
+  try {
+    parsed = parseCli(argv, baseEnv);
+  } catch (err) {
+    console.error(`Erro: ${err.message}`);
+    return 2;
+  }
+  const { command, positionals, options, env, help } = parsed;
+  const spec = COMMANDS[command];
+  if (help) {
+    console.log(helpText(argv[0] in COMMANDS ? command : null));
+    return 0;
+  }
+  Object.assign(config, loadConfig(env));
+  const errors = validateConfig(config, { requireToken: !spec.offline });
+  try {
+    require('./criteria').getCriteria();
+  } catch (err) {
+    errors.push(err.message);
+  }
+  if (errors.length > 0) {
+    for (const err of errors) console.error(`Erro: ${err}`);
+    return 2;
+  }
+
+  const commands = require('./commands');
+  return commands[command]({ positionals, options });
+}
+
+module.exports = {
+  COMMANDS,
+  CONFIG_OPTIONS,
+  helpText,
+  parseCli,
+  readConfigFile,
+  runCli,
+};
@@ -0,0 +1,491 @@
+/* scripts/lib/commands.js */
+/* Subcomandos da CLI (lib/cli.js): mine, resume, check, history, export,
+   sample e stats */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const { OUTPUT_FORMATS, config, isIsoDate } = require('./config');
+const { loadCheckpoint } = require('./checkpoint');
+const { getCriteria } = require('./criteria');
+const { explainCheck, formatExplanation } = require('./explain');
+const { HISTORY_STEPS, mineHistory } = require('./history');
+const { checkRepository, main } = require('./miner');
+const {
+  buildQuarterRanges,
+  buildQuerySlices,
+  collectCoverage,
+} = require('./queries');
+const {
+  DEFAULT_STAR_BUCKETS,
+  drawSample,
+  parseStarBuckets,
+} = require('./sampling');
+const {
+  openWriters,
+  outputFile,
+  readRecords,
+  repoDataFromRecord,
+} = require('./writers');
+
+const READABLE_FORMATS = ['jsonl', 'sqlite'];
+
+async function mine() {
+  await main();
+  return 0;
+}
+
+async function resume() {
+  if (!fs.existsSync(config.checkpointFile)) {
+    console.error(
+      `Erro: nada para retomar (${config.checkpointFile} não existe). Use \`mine\`.`
+    );
+    return 1;
+  }
+  config.resetCheckpoint = false;
+  await main();
+  return 0;
+}
+
+// `owner/repo` a partir do nome ou de uma URL do GitHub
+function repoFullName(ref) {
+  return ref
+    .trim()
+    .replace(/^(https?:\/\/)?(www\.)?github\.com\//, '')
+    .replace(/\.git$/, '')
+    .split('/')
+    .slice(0, 2)
+    .join('/');
+}
+
+// Lista de repositórios: um por linha; linhas vazias e `#` são ignoradas
+function parseRepoList(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter(Boolean)
+    .map(repoFullName);
+}
+
+// Repositórios citados nos argumentos e na lista de `--file`, sem
+// repetições; null (com o erro já impresso) se não houver nenhum
+function collectRepoNames({ positionals, options }) {
+  const names = positionals.map(repoFullName);
+  if (options.file) {
+    try {
+      names.push(...parseRepoList(fs.readFileSync(options.file, 'utf-8')));
+    } catch (err) {
+      console.error(
+        `Erro: não foi possível ler ${options.file}: ${err.message}`
+      );
+      return null;
+    }
+  }
+  if (names.length === 0) {
+    console.error('Erro: informe owner/repo ou --file <lista>.');
+    return null;
+  }
+  return [...new Set(names)];
+}
+
+async function check({ positionals, options }) {
+  const names = collectRepoNames({ positionals, options });
+  if (!names) return 2;
+
+  const criteria = getCriteria();
+  const explanations = [];
+  for (const name of names) {
+    const result = await checkRepository(name, criteria, options.at || null);
+    const explanation = explainCheck(result, criteria);
+    explanations.push(explanation);
+    if (!options.json) console.log(`\n${formatExplanation(explanation)}`);
+  }
+  if (options.json) console.log(JSON.stringify(explanations, null, 2));
+  return explanations.some((e) => ['failed', 'not-found'].includes(e.verdict))
+    ? 1
+    : 0;
+}
+
+// `2021-06-30 a1b2c3d + Jest, TestingLibrary; - Enzyme`
+function formatHistoryPoint({ at, sha, adopted, dropped }) {
+  const changes = [
+    adopted.length > 0 ? `+ ${adopted.join(', ')}` : '',
+    dropped.length > 0 ? `- ${dropped.join(', ')}` : '',
+  ].filter(Boolean);
+  return `  ${at} ${sha.slice(0, 7)} ${changes.join('; ')}`;
+}
+
+/**
+ * `--signals Jest,Enzyme` → lista de sinais de `criteria.signals`; null sem a
+ * opção. Nomes desconhecidos (ou a lista vazia) vão para `errors`.
+ */
+function parseSignals(value, criteria, errors) {
+  if (value === undefined) return null;
+  const signals = String(value)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (signals.length === 0) {
+    errors.push('--signals precisa de ao menos um sinal');
+  }
+  for (const name of signals) {
+    if (!(name in criteria.signals)) {
+      errors.push(
+        `sinal desconhecido em --signals: ${name} (sinais do critério: ${Object.keys(
+          criteria.signals
+        ).join(', ')})`
+      );
+    }
+  }
+  return signals;
+}
+
+/**
+ * Série temporal dos sinais de cada repositório (ver mineHistory), gravada
+ * em config.historyFile com um ponto por linha. Imprime só os pontos em que
+ * algum sinal mudou e o estado no fim da série.
+ */
+async function history({ positionals, options }) {
+  const names = collectRepoNames({ positionals, options });
+  if (!names) return 2;
+
+  const criteria = getCriteria();
+  const errors = [];
+  const step = options.every || 'quarter';
+  if (!(step in HISTORY_STEPS)) {
+    errors.push(
+      `--every deve ser ${Object.keys(HISTORY_STEPS).join(
+        ', '
+      )} (recebido ${step})`
+    );
+  }
+  const to = options.to || config.referenceDate.toISOString().slice(0, 10);
+  for (const [flag, value] of [
+    ['--from', options.from],
+    ['--to', to],
+  ]) {
+    if (value && !isIsoDate(value)) {
+      errors.push(`${flag} deve ser uma data AAAA-MM-DD (recebido ${value})`);
+    }
+  }
+  if (options.from && options.from > to) {
+    errors.push(`--from (${options.from}) depois de --to (${to})`);
+  }
+  const signals = parseSignals(options.signals, criteria, errors);
+  if (errors.length > 0) {
+    for (const err of errors) console.error(`Erro: ${err}`);
+    return 2;
+  }
+
+  const results = [];
+  for (const name of names) {
+    try {
+      results.push(
+        await mineHistory(name, {
+          from: options.from || null,
+          to,
+          step,
+          signals,
+          criteria,
+        })
+      );
+    } catch (err) {
+      results.push({ name, found: true, points: [], error: err.message });
+    }
+  }
+
+  fs.mkdirSync(config.outputDir, { recursive: true });
+  fs.writeFileSync(
+    config.historyFile,
+    results
+      .flatMap(({ name, points }) =>
+        points.map((point) => `${JSON.stringify({ name, ...point })}\n`)
+      )
+      .join('')
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const { name, found, points, error } of results) {
+      if (!found) {
+        console.log(`\n⚠️ ${name}: repositório não encontrado`);
+        continue;
+      }
+      if (error) {
+        console.log(`\n⚠️ ${name}: erro na análise (${error})`);
+        continue;
+      }
+      const commits = new Set(points.map((p) => p.sha).filter(Boolean));
+      console.log(
+        `\n📜 ${name}: ${points.length} pontos (${step}), ${commits.size} commits distintos`
+      );
+      for (const point of points) {
+        if (point.adopted.length > 0 || point.dropped.length > 0) {
+          console.log(formatHistoryPoint(point));
+        }
+      }
+      const last = points.at(-1);
+      if (last?.signals) {
+        const present = Object.keys(last.signals).filter(
+          (signal) => last.signals[signal]
+        );
+        console.log(`  Em ${last.at}: ${present.join(', ') || '-'}`);
+      }
+    }
+    console.log(`📁 Série: ${config.historyFile}`);
+  }
+  return results.some((r) => !r.found || r.error) ? 1 : 0;
+}
+
+function parseFormats(value) {
+  return String(value || '')
+    .split(',')
+    .map((f) => f.trim())
+    .filter(Boolean);
+}
+
+async function exportOutputs({ options }) {
+  const from = options.from;
+  const to = parseFormats(options.to);
+  const errors = [];
+  if (!READABLE_FORMATS.includes(from)) {
+    errors.push(`--from deve ser ${READABLE_FORMATS.join(' ou ')}`);
+  }
+  if (to.length === 0) errors.push('--to é obrigatório');
+  for (const format of to) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      errors.push(`formato desconhecido em --to: ${format}`);
+    } else if (format === from) {
+      errors.push(`--to não pode incluir o formato de origem (${from})`);
+    } else if (fs.existsSync(outputFile(format))) {
+      errors.push(
+        `${outputFile(format)} já existe; mova-o ou use outra --output-dir`
+      );
+    }
+  }
+  if (errors.length > 0) {
+    for (const err of errors) console.error(`Erro: ${err}`);
+    return 2;
+  }
+
+  const { repos, rejections, runs } = await readRecords(from);
+  const writers = await openWriters(getCriteria(), to);
+  try {
+    for (const run of runs) writers.finishRun(run);
+    for (const record of repos) {
+      writers.writeRepo(repoDataFromRecord(record), record);
+    }
+    for (const rejection of rejections) writers.writeRejection(rejection);
+    await writers.flush();
+  } finally {
+    await writers.close();
+  }
+  console.log(
+    `📦 ${repos.length} qualificados e ${
+      rejections.length
+    } rejeições exportados de ${from} para ${to.join(', ')}`
+  );
+  return 0;
+}
+
+function parseCount(value, flag, errors) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) {
+    errors.push(`${flag} deve ser um inteiro >= 0`);
+    return undefined;
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Sorteia uma amostra estratificada dos qualificados de `--from` e grava a
+ * amostra (config.sampleFile) e o manifesto (config.sampleManifestFile). Só
+ * entram os registros `active` (ou sem situação, de datasets antigos); os
+ * marcados pelo modo incremental contam em `excluded` no manifesto. Os
+ * trimestres são os da última execução gravada (QUARTERS_COUNT e
+ * REFERENCE_DATE dela), para que os estratos sejam os da busca.
+ */
+async function sample({ options }) {
+  const errors = [];
+  if (!READABLE_FORMATS.includes(options.from)) {
+    errors.push(`--from deve ser ${READABLE_FORMATS.join(' ou ')}`);
+  }
+  const size = parseCount(options.size, '--size', errors);
+  const perStratum = parseCount(
+    options['per-stratum'],
+    '--per-stratum',
+    errors
+  );
+  if ((size === undefined) === (perStratum === undefined)) {
+    errors.push('informe --size ou --per-stratum (só um deles)');
+  }
+  const seed =
+    options.seed === undefined
+      ? crypto.randomInt(0, 2 ** 32 - 1)
+      : parseCount(options.seed, '--seed', errors);
+  let starBuckets = DEFAULT_STAR_BUCKETS;
+  try {
+    if (options['star-buckets']) {
+      starBuckets = parseStarBuckets(options['star-buckets']);
+    }
+  } catch (err) {
+    errors.push(err.message);
+  }
+  if (errors.length > 0) {
+    for (const err of errors) console.error(`Erro: ${err}`);
+    return 2;
+  }
+
+  const { repos: records, runs } = await readRecords(options.from);
+  const repos = records.filter((r) => !r.status || r.status === 'active');
+  const excluded = records.length - repos.length;
+  const settings = runs.at(-1)?.settings || {};
+  const quartersCount = settings.quartersCount ?? config.quartersCount;
+  const referenceDate = settings.referenceDate
+    ? new Date(settings.referenceDate)
+    : config.referenceDate;
+  const quarters = buildQuarterRanges(quartersCount, referenceDate);
+
+  const drawn = drawSample(repos, {
+    seed,
+    starBuckets,
+    quarters,
+    size,
+    perStratum,
+  });
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    criteria: getCriteria().id,
+    source: { format: options.from, file: outputFile(options.from) },
+    seed,
+    allocation:
+      perStratum === undefined
+        ? { method: 'proportional', size }
+        : { method: 'per-stratum', perStratum },
+    starBuckets,
+    quartersCount,
+    referenceDate: referenceDate.toISOString(),
+    population: repos.length,
+    excluded,
+    outOfStrata: drawn.outOfStrata,
+    selected: drawn.sample.length,
+    sampleFile: config.sampleFile,
+    strata: drawn.strata,
+  };
+
+  fs.mkdirSync(config.outputDir, { recursive: true });
+  fs.writeFileSync(
+    config.sampleFile,
+    drawn.sample.map((r) => `${JSON.stringify(r)}\n`).join('')
+  );
+  fs.writeFileSync(
+    config.sampleManifestFile,
+    `${JSON.stringify(manifest, null, 2)}\n`
+  );
+
+  console.log(
+    `🎲 Amostra: ${drawn.sample.length} de ${repos.length} qualificados (semente ${seed})`
+  );
+  for (const s of drawn.strata.filter((x) => x.population > 0)) {
+    console.log(
+      `  ${s.id}: ${s.selected}/${s.population}${
+        s.selected < s.target ? ` (alvo ${s.target})` : ''
+      }`
+    );
+  }
+  if (drawn.outOfStrata > 0) {
+    console.log(`  fora dos estratos: ${drawn.outOfStrata}`);
+  }
+  if (excluded > 0) {
+    console.log(
+      `  fora do sorteio: ${excluded} (apagados, arquivados, desqualificados ou fora da busca)`
+    );
+  }
+  console.log(`📁 Amostra: ${config.sampleFile}`);
+  console.log(`📁 Manifesto: ${config.sampleManifestFile}`);
+  return 0;
+}
+
+/**
+ * Resumo do checkpoint: vereditos, motivos de rejeição (mais frequentes
+ * primeiro), andamento das queries do critério e cobertura da busca.
+ */
+function collectStats(checkpoint, slices) {
+  const verdicts = {};
+  const reasons = {};
+  const entries = Object.values(checkpoint.repos);
+  for (const { verdict, reason } of entries) {
+    verdicts[verdict] = (verdicts[verdict] || 0) + 1;
+    if (verdict === 'rejected') reasons[reason] = (reasons[reason] || 0) + 1;
+  }
+  const { total, done, started, ...coverage } = collectCoverage(
+    checkpoint,
+    slices
+  );
+  return {
+    updatedAt: checkpoint.updatedAt,
+    analyzed: entries.length,
+    verdicts,
+    pending: Object.keys(checkpoint.pending || {}).length,
+    reasons: Object.entries(reasons).sort(
+      ([a, x], [b, y]) => y - x || a.localeCompare(b)
+    ),
+    queries: { total, done, started },
+    coverage,
+  };
+}
+
+async function stats() {
+  if (!fs.existsSync(config.checkpointFile)) {
+    console.error(`Erro: ${config.checkpointFile} não existe.`);
+    return 1;
+  }
+  const criteria = getCriteria();
+  // RESET_CHECKPOINT não vale aqui: o resumo é do arquivo existente
+  config.resetCheckpoint = false;
+  const summary = collectStats(
+    loadCheckpoint(),
+    buildQuerySlices({ bases: criteria.search.bases })
+  );
+  console.log(
+    `📊 ${config.checkpointFile} (atualizado em ${summary.updatedAt || '-'})`
+  );
+  console.log(`Analisados: ${summary.analyzed}`);
+  for (const [verdict, count] of Object.entries(summary.verdicts)) {
+    console.log(`  ${verdict}: ${count}`);
+  }
+  if (summary.pending > 0) {
+    console.log(`  pendentes (falha transitória): ${summary.pending}`);
+  }
+  if (summary.reasons.length > 0) {
+    console.log('Motivos de rejeição:');
+    for (const [reason, count] of summary.reasons) {
+      console.log(`  ${count} × ${reason}`);
+    }
+  }
+  const { total, done, started } = summary.queries;
+  console.log(`Queries: ${done}/${total} concluídas, ${started} em andamento`);
+  const { estimated, visited, split, capped } = summary.coverage;
+  console.log(
+    `Cobertura: ${visited}/${estimated} resultados estimados visitados, ${split} queries divididas`
+  );
+  for (const { query, total: count, seen } of capped) {
+    console.log(`  incompleta: ${query} (${seen}/${count})`);
+  }
+  return 0;
+}
+
+module.exports = {
+  check,
+  history,
+  collectStats,
+  export: exportOutputs,
+  mine,
+  parseRepoList,
+  resume,
+  sample,
+  stats,
+};
@@ -0,0 +1,42 @@
+/* scripts/lib/concurrency.js */
+
+'use strict';
+
+// Implementação nativa de controle de concorrência (substitui p-limit)
+class ConcurrencyLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.running = 0;
+    this.queue = [];
+  }
+
+  async add(fn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        fn,
+        resolve,
+        reject,
+      });
+      this.tryNext();
+    });
+  }
+
+  tryNext() {
+    if (this.running >= this.limit || this.queue.length === 0) {
+      return;
+    }
+
+    this.running++;
+    const { fn, resolve, reject } = this.queue.shift();
+
+    fn()
+      .then(resolve)
+      .catch(reject)
+      .finally(() => {
+        this.running--;
+        this.tryNext();
+      });
+  }
+}
+
+module.exports = { ConcurrencyLimiter };
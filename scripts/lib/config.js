@@ -0,0 +1,375 @@
+/* scripts/lib/config.js */
+/* Configuração do minerador, lida das variáveis de ambiente */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Manifesto gravado junto das fixtures HTTP (ver lib/fixtures.js)
+const FIXTURES_MANIFEST_FILE = '_run.json';
+// Saídas aceitas em OUTPUT_FORMATS (ver lib/writers.js)
+const OUTPUT_FORMATS = ['csv', 'jsonl', 'sqlite'];
+// Valores aceitos por OWNER_TYPE, SEARCH_SORT e SEARCH_ORDER (vazio = padrão)
+const OWNER_TYPES = ['org', 'user'];
+const SEARCH_SORTS = ['stars', 'forks', 'help-wanted-issues', 'updated'];
+const SEARCH_ORDERS = ['asc', 'desc'];
+
+// Inteiros e booleanos inválidos viram NaN/null; validateConfig aponta o erro
+function envInt(env, name, fallback) {
+  const raw = String(env[name] ?? '').trim();
+  if (!raw) return fallback;
+  return /^-?\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+}
+
+function envBool(env, name, fallback) {
+  const raw = String(env[name] ?? '')
+    .trim()
+    .toLowerCase();
+  if (!raw) return fallback;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  return null;
+}
+
+function envList(env, name) {
+  return (env[name] || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Tokens do GitHub: GITHUB_TOKENS (separados por vírgula ou espaço), o
+// arquivo de GITHUB_TOKENS_FILE (um por linha, `#` comenta) e GITHUB_TOKEN
+// (ou PAT/GH_TOKEN). Repetidos contam uma vez.
+function envTokens(env) {
+  // Arquivo ausente: validateConfig aponta o erro
+  const fromFile =
+    env.GITHUB_TOKENS_FILE && fs.existsSync(env.GITHUB_TOKENS_FILE)
+      ? fs
+          .readFileSync(env.GITHUB_TOKENS_FILE, 'utf-8')
+          .split(/\r?\n/)
+          .map((line) => line.replace(/#.*$/, ''))
+      : [];
+  const tokens = [
+    ...String(env.GITHUB_TOKENS || '').split(/[\s,]+/),
+    ...fromFile,
+    env.GITHUB_TOKEN || env.PAT || env.GH_TOKEN,
+  ]
+    .map((t) => (t || '').trim())
+    .filter(Boolean);
+  return [...new Set(tokens)];
+}
+
+// Data de referência para os trimestres de `buildQueries`. No replay vem do
+// manifesto das fixtures, para que as queries sejam as mesmas da gravação.
+function resolveReferenceDate(env, httpFixtures, httpFixturesDir) {
+  if (env.REFERENCE_DATE) return new Date(env.REFERENCE_DATE);
+  const manifest = path.join(httpFixturesDir, FIXTURES_MANIFEST_FILE);
+  if (httpFixtures === 'replay' && fs.existsSync(manifest)) {
+    const data = JSON.parse(fs.readFileSync(manifest, 'utf-8'));
+    if (data.referenceDate) return new Date(data.referenceDate);
+  }
+  return new Date();
+}
+
+// Sufixo dos arquivos de saída: `ts-react-jest` → `ts_react_jest`
+function criteriaSlug(ref) {
+  return path
+    .basename(ref)
+    .replace(/\.(c?js|json)$/, '')
+    .replace(/[^a-z0-9]+/gi, '_')
+    .toLowerCase();
+}
+
+function loadConfig(env = process.env) {
+  const outputDir = env.OUTPUT_DIR || 'output';
+  // Stack minerada: nome em scripts/criteria/ ou caminho para um .js/.json
+  const criteria = env.CRITERIA || 'ts-react-jest';
+  const slug = criteriaSlug(criteria);
+
+  // Fixtures HTTP: `record` grava cada resposta da API, `replay` reproduz uma
+  // execução inteira a partir delas, sem rede
+  const httpFixtures = (env.HTTP_FIXTURES || '').trim().toLowerCase();
+  const httpFixturesDir =
+    env.HTTP_FIXTURES_DIR || path.join('fixtures', 'http');
+  const githubTokens = envTokens(env);
+
+  return {
+    criteria,
+    outputDir,
+    // Saídas: qualquer combinação de OUTPUT_FORMATS, separada por vírgulas
+    outputFormats: envList(env, 'OUTPUT_FORMATS').length
+      ? envList(env, 'OUTPUT_FORMATS')
+      : ['csv'],
+    csvFile: path.join(outputDir, `repos_${slug}.csv`),
+    rejectionsCsvFile: path.join(outputDir, `rejections_${slug}.csv`),
+    jsonlFiles: {
+      repos: path.join(outputDir, `repos_${slug}.jsonl`),
+      rejections: path.join(outputDir, `rejections_${slug}.jsonl`),
+      runs: path.join(outputDir, `runs_${slug}.jsonl`),
+    },
+    // Amostra estratificada (comando `sample`) e o manifesto do sorteio
+    sampleFile: path.join(outputDir, `sample_${slug}.jsonl`),
+    sampleManifestFile: path.join(outputDir, `sample_${slug}.manifest.json`),
+    // Série temporal dos sinais (comando `history`), um ponto por linha
+    historyFile: path.join(outputDir, `history_${slug}.jsonl`),
+    sqliteFile:
+      env.SQLITE_FILE || path.join(outputDir, `mining_${slug}.sqlite`),
+    checkpointFile:
+      env.CHECKPOINT_FILE || path.join(outputDir, `checkpoint_${slug}.json`),
+    resetCheckpoint: envBool(env, 'RESET_CHECKPOINT', false),
+    // Atualiza o dataset existente: reavalia só quem teve push desde a
+    // última passada e marca os que sumiram da busca (ver lib/miner.js)
+    incremental: envBool(env, 'INCREMENTAL', false),
+
+    batchSize: envInt(env, 'BATCH_SIZE', 100),
+
+    maxQualified: envInt(env, 'MAX_QUALIFIED', 10000),
+    maxAnalyzed: envInt(env, 'MAX_ANALYZED', 10000),
+
+    excludeCourseBoilerplate: envBool(env, 'EXCLUDE_COURSE_BOILERPLATE', true),
+    readmeCourseCheck: envBool(env, 'README_COURSE_CHECK', false),
+    extraCourseKeywords: envList(env, 'COURSE_KEYWORDS'),
+    extraBoilerplateKeywords: envList(env, 'BOILERPLATE_KEYWORDS'),
+
+    // Qualificadores da busca (ver lib/queries.js); vazios não filtram
+    excludeTopics: (env.EXCLUDE_TOPICS || '').trim(),
+    excludeTerms: (env.EXCLUDE_TERMS || '').trim(),
+    // false: EXCLUDE_TERMS não entra nas queries (os termos ficam para a
+    // etapa de curso/boilerplate, que grava a rejeição)
+    applyTextExcludes: envBool(env, 'APPLY_TEXT_EXCLUDES', true),
+    minStars: envInt(env, 'MIN_STARS', null),
+    maxStars: envInt(env, 'MAX_STARS', null),
+    minSizeKb: envInt(env, 'MIN_SIZE_KB', null),
+    maxSizeKb: envInt(env, 'MAX_SIZE_KB', null),
+    licenses: envList(env, 'LICENSES'),
+    createdFrom: (env.CREATED_FROM || '').trim(),
+    createdTo: (env.CREATED_TO || '').trim(),
+    includeOwners: envList(env, 'INCLUDE_OWNERS'),
+    excludeOwners: envList(env, 'EXCLUDE_OWNERS'),
+    // A Search API não filtra pelo tipo do dono: OWNER_TYPE descarta os itens
+    // do outro tipo depois da busca
+    ownerType: (env.OWNER_TYPE || '').trim().toLowerCase(),
+    searchSort: (env.SEARCH_SORT || '').trim().toLowerCase(),
+    searchOrder: (env.SEARCH_ORDER || '').trim().toLowerCase(),
+    quartersCount: envInt(env, 'QUARTERS_COUNT', 20),
+    referenceDate: resolveReferenceDate(env, httpFixtures, httpFixturesDir),
+
+    // Monorepos: lê workspaces (npm/yarn/pnpm, Lerna, Nx) e avalia cada pacote
+    monorepoDetection: envBool(env, 'MONOREPO_DETECTION', true),
+    maxWorkspaces: envInt(env, 'MAX_WORKSPACES', 50),
+
+    // Métricas de teste dos qualificados (contagens, RTL x Enzyme, snapshots)
+    testMetrics: envBool(env, 'TEST_METRICS', true),
+    maxMetricsFiles: envInt(env, 'MAX_METRICS_FILES', 500),
+
+    // Versões das dependências do critério (faixa declarada e lockfile)
+    dependencyVersions: envBool(env, 'DEPENDENCY_VERSIONS', true),
+
+    // Atividade dos qualificados (lib/activity.js) e mínimos que rejeitam
+    // quem fica abaixo; vazios não filtram
+    activityMetrics: envBool(env, 'ACTIVITY_METRICS', true),
+    minContributors: envInt(env, 'MIN_CONTRIBUTORS', null),
+    minCommits: envInt(env, 'MIN_COMMITS', null),
+    minCommitsLastYear: envInt(env, 'MIN_COMMITS_LAST_YEAR', null),
+    minPullRequests: envInt(env, 'MIN_PULL_REQUESTS', null),
+    minIssues: envInt(env, 'MIN_ISSUES', null),
+    minReleases: envInt(env, 'MIN_RELEASES', null),
+    requireCi: envBool(env, 'REQUIRE_CI', false),
+
+    // Concorrência
+    concurrentRepos: envInt(env, 'CONCURRENT_REPOS', 5),
+
+    httpFixtures,
+    httpFixturesDir,
+
+    // Cache em disco das respostas (lib/cache.js): dentro do TTL a resposta
+    // vem do disco; depois, é revalidada com ETag
+    httpCache: envBool(env, 'HTTP_CACHE', true),
+    httpCacheDir: env.HTTP_CACHE_DIR || path.join('.cache', 'http'),
+    httpCacheTtlHours: envInt(env, 'HTTP_CACHE_TTL_HOURS', 24),
+
+    // API
+    apiBaseUrl: (env.GITHUB_API_URL || 'https://api.github.com').replace(
+      /\/+$/,
+      ''
+    ),
+    // Vários tokens formam um pool (lib/tokens.js); `githubToken` é o primeiro
+    githubTokens,
+    githubToken: githubTokens[0],
+    githubTokensFile: env.GITHUB_TOKENS_FILE || '',
+    // Margem somada ao `x-ratelimit-reset` antes de repetir a requisição
+    rateLimitMarginMs: envInt(env, 'RATE_LIMIT_MARGIN_MS', 5000),
+    requestTimeoutMs: envInt(env, 'REQUEST_TIMEOUT_MS', 30000),
+    // Repositórios por query no GraphQL em lote (reduzido sozinho se a
+    // query for complexa demais)
+    graphqlBatchSize: envInt(env, 'GRAPHQL_BATCH_SIZE', 25),
+
+    // Falhas transitórias (5xx, 429, rate limit secundário, rede, timeout):
+    // tentativas extras e base do backoff exponencial. A Search API tem
+    // orçamento próprio, com espera maior: o limite secundário dela é por minuto.
+    maxRetries: envInt(env, 'MAX_RETRIES', 5),
+    retryBaseMs: envInt(env, 'RETRY_BASE_MS', 1000),
+    searchMaxRetries: envInt(env, 'SEARCH_MAX_RETRIES', 6),
+    searchRetryBaseMs: envInt(env, 'SEARCH_RETRY_BASE_MS', 5000),
+    retryMaxDelayMs: envInt(env, 'RETRY_MAX_DELAY_MS', 120000),
+  };
+}
+
+// Campos inteiros: [variável, mínimo, máximo]. null = não definido (só
+// nos campos opcionais, cujo padrão é null)
+const INT_SETTINGS = {
+  batchSize: ['BATCH_SIZE', 1, 100],
+  maxQualified: ['MAX_QUALIFIED', 1, Infinity],
+  maxAnalyzed: ['MAX_ANALYZED', 0, Infinity],
+  quartersCount: ['QUARTERS_COUNT', 1, 200],
+  maxWorkspaces: ['MAX_WORKSPACES', 1, Infinity],
+  maxMetricsFiles: ['MAX_METRICS_FILES', 0, Infinity],
+  concurrentRepos: ['CONCURRENT_REPOS', 1, 50],
+  rateLimitMarginMs: ['RATE_LIMIT_MARGIN_MS', 0, Infinity],
+  requestTimeoutMs: ['REQUEST_TIMEOUT_MS', 1, Infinity],
+  graphqlBatchSize: ['GRAPHQL_BATCH_SIZE', 1, 100],
+  maxRetries: ['MAX_RETRIES', 0, 50],
+  retryBaseMs: ['RETRY_BASE_MS', 0, Infinity],
+  searchMaxRetries: ['SEARCH_MAX_RETRIES', 0, 50],
+  searchRetryBaseMs: ['SEARCH_RETRY_BASE_MS', 0, Infinity],
+  retryMaxDelayMs: ['RETRY_MAX_DELAY_MS', 0, Infinity],
+  httpCacheTtlHours: ['HTTP_CACHE_TTL_HOURS', 0, Infinity],
+  minStars: ['MIN_STARS', 0, Infinity],
+  maxStars: ['MAX_STARS', 0, Infinity],
+  minSizeKb: ['MIN_SIZE_KB', 0, Infinity],
+  maxSizeKb: ['MAX_SIZE_KB', 0, Infinity],
+  minContributors: ['MIN_CONTRIBUTORS', 0, Infinity],
+  minCommits: ['MIN_COMMITS', 0, Infinity],
+  minCommitsLastYear: ['MIN_COMMITS_LAST_YEAR', 0, Infinity],
+  minPullRequests: ['MIN_PULL_REQUESTS', 0, Infinity],
+  minIssues: ['MIN_ISSUES', 0, Infinity],
+  minReleases: ['MIN_RELEASES', 0, Infinity],
+};
+
+// Faixas [mínimo, máximo] que não podem ficar invertidas
+const RANGE_SETTINGS = [
+  ['minStars', 'maxStars', 'MIN_STARS', 'MAX_STARS'],
+  ['minSizeKb', 'maxSizeKb', 'MIN_SIZE_KB', 'MAX_SIZE_KB'],
+  ['createdFrom', 'createdTo', 'CREATED_FROM', 'CREATED_TO'],
+];
+
+// Valores de texto restritos a uma lista: [variável, valores]
+const CHOICE_SETTINGS = {
+  ownerType: ['OWNER_TYPE', OWNER_TYPES],
+  searchSort: ['SEARCH_SORT', SEARCH_SORTS],
+  searchOrder: ['SEARCH_ORDER', SEARCH_ORDERS],
+};
+
+// Datas AAAA-MM-DD: variável
+const DATE_SETTINGS = {
+  createdFrom: 'CREATED_FROM',
+  createdTo: 'CREATED_TO',
+};
+
+function isIsoDate(text) {
+  const date = new Date(`${text}T00:00:00Z`);
+  return (
+    /^\d{4}-\d{2}-\d{2}$/.test(text) &&
+    !Number.isNaN(date.getTime()) &&
+    date.toISOString().startsWith(text)
+  );
+}
+
+// Campos booleanos: variável
+const BOOL_SETTINGS = {
+  resetCheckpoint: 'RESET_CHECKPOINT',
+  incremental: 'INCREMENTAL',
+  excludeCourseBoilerplate: 'EXCLUDE_COURSE_BOILERPLATE',
+  readmeCourseCheck: 'README_COURSE_CHECK',
+  applyTextExcludes: 'APPLY_TEXT_EXCLUDES',
+  monorepoDetection: 'MONOREPO_DETECTION',
+  testMetrics: 'TEST_METRICS',
+  dependencyVersions: 'DEPENDENCY_VERSIONS',
+  activityMetrics: 'ACTIVITY_METRICS',
+  requireCi: 'REQUIRE_CI',
+  httpCache: 'HTTP_CACHE',
+};
+
+/**
+ * Retorna a lista de erros de configuração (vazia se estiver tudo certo).
+ * `requireToken: false` dispensa o token (comandos que não usam a API).
+ */
+function validateConfig(cfg, { requireToken = true } = {}) {
+  const errors = [];
+  for (const [field, [name, min, max]] of Object.entries(INT_SETTINGS)) {
+    const value = cfg[field];
+    if (value === null) continue;
+    if (!Number.isInteger(value)) {
+      errors.push(`${name} deve ser um número inteiro.`);
+    } else if (value < min || value > max) {
+      const range = max === Infinity ? `>= ${min}` : `entre ${min} e ${max}`;
+      errors.push(`${name} deve ser ${range} (recebido ${value}).`);
+    }
+  }
+  for (const [field, name] of Object.entries(BOOL_SETTINGS)) {
+    if (typeof cfg[field] !== 'boolean') {
+      errors.push(`${name} deve ser "true" ou "false".`);
+    }
+  }
+  for (const [field, [name, values]] of Object.entries(CHOICE_SETTINGS)) {
+    if (cfg[field] && !values.includes(cfg[field])) {
+      errors.push(
+        `${name} inválido (${cfg[field]}). Use ${values.join(', ')}.`
+      );
+    }
+  }
+  for (const [field, name] of Object.entries(DATE_SETTINGS)) {
+    if (cfg[field] && !isIsoDate(cfg[field])) {
+      errors.push(
+        `${name} deve ser uma data AAAA-MM-DD (recebido ${cfg[field]}).`
+      );
+    }
+  }
+  const isSet = (value) => value !== null && value !== '';
+  for (const [minField, maxField, minName, maxName] of RANGE_SETTINGS) {
+    const [min, max] = [cfg[minField], cfg[maxField]];
+    if (isSet(min) && isSet(max) && min > max) {
+      errors.push(`${minName} (${min}) maior que ${maxName} (${max}).`);
+    }
+  }
+  if (cfg.httpFixtures && !['record', 'replay'].includes(cfg.httpFixtures)) {
+    errors.push(
+      `HTTP_FIXTURES inválido (${cfg.httpFixtures}). Use "record" ou "replay".`
+    );
+  }
+  const unknownFormats = cfg.outputFormats.filter(
+    (f) => !OUTPUT_FORMATS.includes(f)
+  );
+  if (unknownFormats.length > 0) {
+    errors.push(
+      `OUTPUT_FORMATS inválido (${unknownFormats.join(
+        ', '
+      )}). Use ${OUTPUT_FORMATS.join(', ')}.`
+    );
+  }
+  if (Number.isNaN(cfg.referenceDate.getTime())) {
+    errors.push('REFERENCE_DATE inválida.');
+  }
+  if (cfg.githubTokensFile && !fs.existsSync(cfg.githubTokensFile)) {
+    errors.push(`GITHUB_TOKENS_FILE não encontrado: ${cfg.githubTokensFile}`);
+  }
+  if (requireToken && !cfg.githubToken && cfg.httpFixtures !== 'replay') {
+    errors.push('GITHUB_TOKEN (ou GITHUB_TOKENS) não encontrado.');
+  }
+  return errors;
+}
+
+// Instância compartilhada pelos módulos; os testes podem sobrescrever campos
+const config = loadConfig();
+
+module.exports = {
+  FIXTURES_MANIFEST_FILE,
+  OUTPUT_FORMATS,
+  config,
+  criteriaSlug,
+  isIsoDate,
+  loadConfig,
+  validateConfig,
+};
@@ -0,0 +1,138 @@
+/* scripts/lib/course.js */
+/* Exclusão de repositórios de curso, tutorial, boilerplate e template */
+
+'use strict';
+
+const { config } = require('./config');
+const { getRepoReadme } = require('./github');
+
+const COURSE_KEYWORDS_DEFAULT = [
+  'curso',
+  'course',
+  'udemy',
+  'alura',
+  'rocketseat',
+  'bootcamp',
+  'treinamento',
+  'tutorial',
+  'aula',
+  'aulas',
+  'exercicio',
+  'exercício',
+  'exercicios',
+  'exercícios',
+  'learn',
+  'learning',
+  'education',
+  'formacao',
+  'formação',
+  'nanodegree',
+  'codecademy',
+  'freecodecamp',
+];
+
+const BOILERPLATE_KEYWORDS_DEFAULT = [
+  'boilerplate',
+  'starter',
+  'starter-kit',
+  'seed',
+  'scaffold',
+  'skeleton',
+  'quickstart',
+  'template',
+  'templates',
+];
+
+function textIncludesAny(haystack, keywords) {
+  return findKeyword(haystack, keywords) !== null;
+}
+
+// Primeira palavra-chave contida no texto, ou null
+function findKeyword(haystack, keywords) {
+  const lc = (haystack || '').toLowerCase();
+  return keywords.find((k) => lc.includes(k)) ?? null;
+}
+
+// Primeiro campo (na ordem dada) que contém uma palavra de curso ou de
+// boilerplate/template
+function matchFields(fields, courseKeywords, boilerKeywords) {
+  for (const [matchedIn, text] of fields) {
+    for (const [kind, keywords] of [
+      ['course', courseKeywords],
+      ['boilerplate', boilerKeywords],
+    ]) {
+      const keyword = findKeyword(text, keywords);
+      if (keyword) {
+        return { isCourseOrBoilerplate: true, kind, keyword, matchedIn };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Procura palavras-chave de curso e de boilerplate/template no nome, na
+ * descrição, nos tópicos e (com README_COURSE_CHECK) no início do README.
+ * Além de `isCourseOrBoilerplate`, informa o tipo (`course` ou
+ * `boilerplate`), a palavra encontrada e onde (`matchedIn`: `name`,
+ * `description`, `topics` ou `readme`). `readme` evita baixar de novo um
+ * README já lido.
+ */
+async function detectCourseOrBoilerplate(
+  owner,
+  repo,
+  name,
+  description,
+  topics,
+  readme = null
+) {
+  const courseKeywords = [
+    ...COURSE_KEYWORDS_DEFAULT,
+    ...config.extraCourseKeywords,
+  ];
+  const boilerKeywords = [
+    ...BOILERPLATE_KEYWORDS_DEFAULT,
+    ...config.extraBoilerplateKeywords,
+  ];
+
+  const match = matchFields(
+    [
+      ['name', name],
+      ['description', description],
+      ['topics', (topics || []).join(' ')],
+    ],
+    courseKeywords,
+    boilerKeywords
+  );
+  if (match) return match;
+
+  if (config.readmeCourseCheck) {
+    const text =
+      readme ??
+      (await getRepoReadme(owner, repo).catch((err) => {
+        if (err.transient) throw err;
+        return '';
+      }));
+    const readmeMatch = matchFields(
+      [['readme', (text || '').slice(0, 4000)]],
+      courseKeywords,
+      boilerKeywords
+    );
+    if (readmeMatch) return readmeMatch;
+  }
+
+  return {
+    isCourseOrBoilerplate: false,
+    kind: null,
+    keyword: null,
+    matchedIn: null,
+  };
+}
+
+module.exports = {
+  COURSE_KEYWORDS_DEFAULT,
+  BOILERPLATE_KEYWORDS_DEFAULT,
+  findKeyword,
+  textIncludesAny,
+  detectCourseOrBoilerplate,
+};
@@ -0,0 +1,200 @@
+/* scripts/lib/criteria.js */
+/* Definição da stack minerada: carga, validação e avaliação de regras */
+
+'use strict';
+
+const path = require('path');
+
+const { TEST_FILE_FEATURES } = require('./ast');
+const { config } = require('./config');
+
+const CRITERIA_DIR = path.join(__dirname, '..', 'criteria');
+
+// Fontes de evidência reconhecidas em cada sinal
+const SIGNAL_SOURCES = [
+  'languages',
+  'dependencies',
+  'scripts',
+  'topics',
+  'configFiles',
+  'testFiles',
+  'rule',
+];
+
+// `ts-react-jest` → scripts/criteria/ts-react-jest.js; caminhos (.js/.json)
+// são resolvidos a partir do diretório atual
+function resolveCriteriaPath(ref) {
+  if (/[\\/]/.test(ref) || /\.(c?js|json)$/.test(ref)) return path.resolve(ref);
+  return path.join(CRITERIA_DIR, `${ref}.js`);
+}
+
+/**
+ * Avalia uma regra contra os sinais detectados. Uma regra é o nome de um
+ * sinal, `{ all: [...] }`, `{ any: [...] }`, `{ not: regra }` ou uma função
+ * `(signals) => boolean` (só em critérios .js).
+ */
+function evaluateRule(rule, signals) {
+  if (typeof rule === 'string') return Boolean(signals[rule]);
+  if (typeof rule === 'function') return Boolean(rule(signals));
+  if (Array.isArray(rule?.all)) {
+    return rule.all.every((r) => evaluateRule(r, signals));
+  }
+  if (Array.isArray(rule?.any)) {
+    return rule.any.some((r) => evaluateRule(r, signals));
+  }
+  if (rule && 'not' in rule) return !evaluateRule(rule.not, signals);
+  throw new Error(`Regra inválida: ${JSON.stringify(rule)}`);
+}
+
+// Nomes de sinais citados por uma regra (para logs e validação)
+function ruleSignals(rule) {
+  if (typeof rule === 'string') return [rule];
+  if (!rule || typeof rule !== 'object') return [];
+  const children = rule.all || rule.any || ('not' in rule ? [rule.not] : []);
+  return [...new Set(children.flatMap(ruleSignals))];
+}
+
+function validateCriteria(criteria, source = '') {
+  const errors = [];
+  const where = source ? ` (${source})` : '';
+
+  if (!criteria || typeof criteria !== 'object') {
+    throw new Error(`Critério inválido${where}: esperado um objeto`);
+  }
+  if (typeof criteria.id !== 'string' || !criteria.id) {
+    errors.push('`id` ausente');
+  }
+  const bases = criteria.search?.bases;
+  if (!Array.isArray(bases) || bases.length === 0) {
+    errors.push('`search.bases` deve ser uma lista não vazia');
+  }
+
+  const signals = criteria.signals || {};
+  const names = Object.keys(signals);
+  if (names.length === 0) errors.push('`signals` vazio');
+
+  for (const [name, signal] of Object.entries(signals)) {
+    const sources = Object.keys(signal || {}).filter((k) =>
+      SIGNAL_SOURCES.includes(k)
+    );
+    if (sources.length === 0) {
+      errors.push(`sinal ${name} sem fonte (${SIGNAL_SOURCES.join(', ')})`);
+    }
+    for (const ref of [
+      ...ruleSignals(signal?.rule),
+      ...ruleSignals(signal?.when),
+    ]) {
+      if (!names.includes(ref)) {
+        errors.push(`sinal ${name} cita sinal desconhecido: ${ref}`);
+      }
+    }
+    for (const entry of signal?.configFiles || []) {
+      if (typeof entry !== 'string' && typeof entry?.file !== 'string') {
+        errors.push(
+          `sinal ${name}: \`configFiles\` aceita nomes ou { file, pattern }`
+        );
+      }
+    }
+    if (signal?.testFiles && !signal.testFiles.pattern) {
+      errors.push(`sinal ${name}: \`testFiles.pattern\` ausente`);
+    }
+    if (signal?.testFiles?.contentMatches) {
+      errors.push(
+        `sinal ${name}: \`testFiles.contentMatches\` foi substituído por \`testFiles.match\``
+      );
+    }
+    for (const ref of ruleSignals(signal?.testFiles?.match)) {
+      if (!TEST_FILE_FEATURES.includes(ref)) {
+        errors.push(
+          `sinal ${name}: \`testFiles.match\` cita característica desconhecida: ${ref}`
+        );
+      }
+    }
+  }
+
+  for (const [key, packages] of Object.entries(criteria.versions || {})) {
+    if (
+      !Array.isArray(packages) ||
+      packages.length === 0 ||
+      packages.some((name) => typeof name !== 'string')
+    ) {
+      errors.push(`versions.${key} deve ser uma lista de pacotes`);
+    }
+  }
+
+  const stages = criteria.stages;
+  if (!Array.isArray(stages) || stages.length === 0) {
+    errors.push('`stages` deve ser uma lista não vazia');
+  }
+  for (const stage of stages || []) {
+    if (!stage?.id || stage.rule === undefined) {
+      errors.push('toda etapa precisa de `id` e `rule`');
+      continue;
+    }
+    for (const ref of ruleSignals(stage.rule)) {
+      if (!names.includes(ref)) {
+        errors.push(`etapa ${stage.id} cita sinal desconhecido: ${ref}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Critério inválido${where}: ${errors.join('; ')}`);
+  }
+  return criteria;
+}
+
+function loadCriteria(ref) {
+  const file = resolveCriteriaPath(ref);
+  let criteria;
+  try {
+    criteria = require(file);
+  } catch (err) {
+    throw new Error(
+      `Não foi possível carregar o critério ${ref}: ${err.message}`
+    );
+  }
+  return validateCriteria(criteria, file);
+}
+
+let cached = null;
+
+// Critério ativo (`config.criteria` pode ser um nome, caminho ou objeto)
+function getCriteria() {
+  const ref = config.criteria;
+  if (cached?.ref !== ref) {
+    const criteria =
+      typeof ref === 'object' ? validateCriteria(ref) : loadCriteria(ref);
+    cached = { ref, criteria };
+  }
+  return cached.criteria;
+}
+
+// Entrada de `configFiles`: só o nome (basta existir) ou `{ file, pattern }`
+// (o conteúdo precisa casar com a regex, ex.: bloco `test` no vite.config)
+function normalizeConfigFile(entry) {
+  return typeof entry === 'string' ? { file: entry, pattern: null } : entry;
+}
+
+// Todos os arquivos de configuração sondados pelos sinais do critério
+function criteriaConfigFiles(criteria) {
+  return [
+    ...new Set(
+      Object.values(criteria.signals).flatMap((s) =>
+        (s.configFiles || []).map((entry) => normalizeConfigFile(entry).file)
+      )
+    ),
+  ];
+}
+
+module.exports = {
+  CRITERIA_DIR,
+  criteriaConfigFiles,
+  evaluateRule,
+  getCriteria,
+  loadCriteria,
+  normalizeConfigFile,
+  resolveCriteriaPath,
+  ruleSignals,
+  validateCriteria,
+};
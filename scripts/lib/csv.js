@@ -0,0 +1,53 @@
+/* scripts/lib/csv.js */
+/* CSV segundo a RFC 4180: aspas quando preciso, aspas internas dobradas, CRLF */
+
+'use strict';
+
+const CSV_EOL = '\r\n';
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvRow(values) {
+  return values.map(csvField).join(',') + CSV_EOL;
+}
+
+// Lê registros com campos entre aspas (inclusive com vírgulas e quebras de
+// linha). Aceita também finais de linha só com LF, dos CSVs antigos.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += ch;
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = { CSV_EOL, csvField, formatCsvRow, parseCsv };
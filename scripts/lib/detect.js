@@ -0,0 +1,493 @@
+/* scripts/lib/detect.js */
+/* Detecção dos sinais de um critério (linguagens, deps, configs, testes) num repositório */
+
+'use strict';
+
+const { analyzeTestFile } = require('./ast');
+const { config } = require('./config');
+const {
+  criteriaConfigFiles,
+  evaluateRule,
+  getCriteria,
+  normalizeConfigFile,
+} = require('./criteria');
+const {
+  getRepoContent,
+  getRepoInfoGraphQL,
+  getRepoLanguages,
+  getRepoObjectsGraphQL,
+  getRepoTopics,
+  getRepoTree,
+} = require('./github');
+const {
+  WORKSPACE_MANIFESTS,
+  expandWorkspacePatterns,
+  fetchWorkspaceFiles,
+  workspacePatterns,
+} = require('./workspaces');
+
+// Diretórios cujos arquivos-fonte contam como teste mesmo sem `.test`/`.spec`
+const DEFAULT_TEST_DIR_NAMES = ['__tests__'];
+const DEFAULT_TEST_SOURCE_PATTERN = '\\.[jt]sx?$';
+// Código de terceiros às vezes é commitado; nunca conta como teste do projeto
+const IGNORED_DIRS = ['node_modules', '.git'];
+const DEFAULT_MAX_TEST_FILES = 200;
+// Arquivos de teste baixados por query GraphQL enquanto procura conteúdo
+const TEST_FILES_PER_BATCH = 50;
+// Extensões de cada linguagem citável em `languages` dos critérios, para
+// estimar as linguagens de uma versão antiga pela árvore (a API de
+// linguagens só conhece a atual)
+const LANGUAGE_EXTENSIONS = {
+  TypeScript: ['.ts', '.tsx', '.mts', '.cts'],
+  JavaScript: ['.js', '.jsx', '.mjs', '.cjs'],
+  Vue: ['.vue'],
+  Svelte: ['.svelte'],
+  HTML: ['.html', '.htm'],
+  CSS: ['.css'],
+  SCSS: ['.scss'],
+};
+
+// Um arquivo de teste conta se as características da sua AST (lib/ast.js)
+// satisfazem a regra `match`. Sem `match`, basta o nome.
+function testFileMatches(content, filePath, testFiles) {
+  if (testFiles.match === undefined) return true;
+  const analysis = analyzeTestFile(content, filePath);
+  return Boolean(analysis) && evaluateRule(testFiles.match, analysis.features);
+}
+
+// Caminho de teste: nome casa com `pattern` ou é fonte dentro de `__tests__`
+// (ou outro diretório de `testDirs`), em qualquer profundidade
+function isTestFilePath(filePath, testFiles) {
+  const dirs = filePath.split('/');
+  const name = dirs.pop();
+  if (dirs.some((dir) => IGNORED_DIRS.includes(dir))) return false;
+  if (new RegExp(testFiles.pattern).test(name)) return true;
+  const testDirs = testFiles.testDirs || DEFAULT_TEST_DIR_NAMES;
+  return (
+    dirs.some((dir) => testDirs.includes(dir)) &&
+    new RegExp(testFiles.sourcePattern || DEFAULT_TEST_SOURCE_PATTERN).test(
+      name
+    )
+  );
+}
+
+function findTestFilePaths(paths, testFiles) {
+  return paths.filter((p) => isTestFilePath(p, testFiles));
+}
+
+/**
+ * Procura um arquivo de teste válido entre `paths` (a árvore do repositório,
+ * de getRepoTree). O conteúdo dos candidatos é baixado em lotes via GraphQL,
+ * parando no primeiro que satisfaz `match` e em `maxFiles` arquivos.
+ * Retorna o caminho encontrado ou null.
+ */
+async function searchForTestFiles(owner, repo, testFiles, paths, ref = 'HEAD') {
+  const candidates = findTestFilePaths(paths, testFiles);
+  if (candidates.length === 0) return null;
+  if (testFiles.match === undefined) return candidates[0];
+
+  const limit = testFiles.maxFiles || DEFAULT_MAX_TEST_FILES;
+  const toCheck = candidates.slice(0, limit);
+  for (let start = 0; start < toCheck.length; start += TEST_FILES_PER_BATCH) {
+    const batch = toCheck.slice(start, start + TEST_FILES_PER_BATCH);
+    const texts = await getRepoObjectsGraphQL(owner, repo, batch, ref);
+    const found = batch.find(
+      (p) =>
+        typeof texts[p] === 'string' && testFileMatches(texts[p], p, testFiles)
+    );
+    if (found) {
+      console.log(`✅ Encontrado arquivo de teste: ${found}`);
+      return found;
+    }
+  }
+  return null;
+}
+
+// Bytes por linguagem (LANGUAGE_EXTENSIONS) somando os arquivos da árvore,
+// fora de node_modules; arquivos de outras extensões são ignorados
+function languagesFromTree(tree) {
+  const languages = {};
+  (tree?.paths || []).forEach((filePath, i) => {
+    if (filePath.split('/').some((dir) => IGNORED_DIRS.includes(dir))) return;
+    const ext = filePath.slice(filePath.lastIndexOf('.')).toLowerCase();
+    const language = Object.keys(LANGUAGE_EXTENSIONS).find((name) =>
+      LANGUAGE_EXTENSIONS[name].includes(ext)
+    );
+    if (language) {
+      languages[language] = (languages[language] || 0) + (tree.sizes?.[i] || 0);
+    }
+  });
+  return languages;
+}
+
+function hasDep(pkgJson, name) {
+  const deps = pkgJson?.dependencies || {};
+  const dev = pkgJson?.devDependencies || {};
+  return Boolean(deps[name] || dev[name]);
+}
+
+function pkgHasAnyDep(pkgJson, names) {
+  return names.some((n) => hasDep(pkgJson, n));
+}
+
+function scriptsContain(pkgJson, substrings) {
+  const scripts = pkgJson?.scripts || {};
+  const values = Object.values(scripts)
+    .filter((s) => typeof s === 'string')
+    .map((s) => s.toLowerCase());
+  return substrings.some((sub) => values.some((s) => s.includes(sub)));
+}
+
+// Evidências que o package.json (dependências e scripts) dá a cada sinal
+function detectSignalsFromPkg(pkgJson, criteria = getCriteria()) {
+  const evidence = {};
+  for (const [name, signal] of Object.entries(criteria.signals)) {
+    evidence[name] = [
+      ...(signal.dependencies || []).filter((dep) => hasDep(pkgJson, dep)),
+      ...(signal.scripts || [])
+        .filter((sub) => scriptsContain(pkgJson, [sub]))
+        .map((sub) => `script:${sub}`),
+    ];
+  }
+  return evidence;
+}
+
+function configFileMatches(text, pattern) {
+  if (!text) return false;
+  if (!pattern) return true;
+  return typeof text === 'string' && new RegExp(pattern).test(text);
+}
+
+function parsePkgJson(text, owner, repo, where = 'package.json') {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    console.warn(`⚠️ Erro ao parsear ${where} de ${owner}/${repo}`);
+    return null;
+  }
+}
+
+// Evidências de configFiles a partir de textos já baixados (`{ arquivo: texto }`)
+function detectSignalsFromConfigs(configTexts, criteria) {
+  const evidence = {};
+  for (const [name, signal] of Object.entries(criteria.signals)) {
+    evidence[name] = (signal.configFiles || [])
+      .map(normalizeConfigFile)
+      .filter(({ file, pattern }) =>
+        configFileMatches(configTexts[file], pattern)
+      )
+      .map(({ file }) => file);
+  }
+  return evidence;
+}
+
+// Candidatos a README lidos junto com os demais arquivos (README_COURSE_CHECK);
+// outros nomes caem no endpoint REST de README
+const README_FILES = ['README.md', 'readme.md', 'README'];
+
+/**
+ * Arquivos da raiz lidos na query de informações do repositório: configs do
+ * critério, manifestos de workspace e, se preciso, o README.
+ */
+function repoInfoFiles(criteria) {
+  return [
+    ...criteriaConfigFiles(criteria),
+    ...(config.monorepoDetection ? WORKSPACE_MANIFESTS : []),
+    ...(config.readmeCourseCheck ? README_FILES : []),
+  ];
+}
+
+// Trata um erro devolvendo `fallback`, exceto falhas transitórias da API,
+// que sobem para o repositório ser reprocessado em vez de mal avaliado
+function unlessTransient(fallback) {
+  return (err) => {
+    if (err.transient) throw err;
+    return fallback;
+  };
+}
+
+// Workspaces do monorepo (se houver), com package.json e configs de cada um
+async function detectWorkspaces(
+  owner,
+  repo,
+  pkgJson,
+  rootFiles,
+  criteria,
+  ref = 'HEAD'
+) {
+  const { patterns, sources } = workspacePatterns(pkgJson, rootFiles);
+  if (patterns.length === 0) return null;
+
+  try {
+    const dirs = await expandWorkspacePatterns(
+      owner,
+      repo,
+      patterns,
+      config.maxWorkspaces,
+      ref
+    );
+    console.log(
+      `🗂️ Monorepo (${sources.join(', ')}): ${dirs.length} workspaces`
+    );
+    const files = await fetchWorkspaceFiles(owner, repo, dirs, criteria, ref);
+    return { sources, dirs, files };
+  } catch (err) {
+    if (err.transient) throw err;
+    console.warn(
+      `⚠️ Erro ao ler workspaces de ${owner}/${repo}: ${err.message}`
+    );
+    return { sources, dirs: [], files: {} };
+  }
+}
+
+/**
+ * Avalia todos os sinais do critério para `owner/repo`.
+ *
+ * Ordem: sinais estáticos (linguagens, tópicos, package.json e arquivos de
+ * configuração da raiz e de cada workspace), depois busca de arquivos de
+ * teste (condicionada a `when`) e por fim os sinais derivados por `rule`, na
+ * ordem em que foram declarados.
+ *
+ * `satisfiedBy` registra, por sinal, quais workspaces deram evidência
+ * (`.` é a raiz). `prefetched` é o resultado de getReposInfoGraphQL para o
+ * repositório, quando a página já foi consultada em lote.
+ *
+ * Com `ref` (SHA, tag ou branch), avalia o repositório naquela versão:
+ * arquivos e árvore vêm do `ref`, as linguagens são estimadas pela árvore
+ * (languagesFromTree) e tópicos, que não têm histórico, ficam vazios.
+ */
+async function detectTech(
+  owner,
+  repo,
+  criteria = getCriteria(),
+  prefetched = undefined,
+  ref = 'HEAD'
+) {
+  const snapshot = ref !== 'HEAD';
+  const signalEntries = Object.entries(criteria.signals);
+  const evidence = Object.fromEntries(
+    signalEntries.map(([name]) => [name, []])
+  );
+  const satisfiedBy = Object.fromEntries(
+    signalEntries.map(([name]) => [name, new Set()])
+  );
+  let languages = {};
+  let topics = [];
+  let pkgJson = null;
+  const packageJsons = {};
+  let configTexts = null;
+  let workspaces = null;
+  let readme = null;
+
+  function addEvidence(name, items, dir = '.') {
+    if (items.length === 0) return;
+    evidence[name].push(
+      ...items.map((item) => (dir === '.' ? item : `${dir}:${item}`))
+    );
+    satisfiedBy[name].add(dir);
+  }
+
+  // Árvore do repositório: listada uma vez, sob demanda, e compartilhada
+  // entre as linguagens de um `ref` e a busca de arquivos de teste
+  let tree;
+  async function loadTree() {
+    if (tree === undefined) {
+      try {
+        tree = await getRepoTree(owner, repo, ref);
+      } catch (err) {
+        if (err.transient) throw err;
+        console.log(`⚠️ Erro ao listar a árvore: ${err.message}`);
+        tree = null;
+      }
+      if (tree?.truncated) {
+        console.warn(`⚠️ Árvore truncada pelo GitHub: ${owner}/${repo}`);
+      }
+    }
+    return tree;
+  }
+
+  // Busca informações via GraphQL primeiro (ou usa as já buscadas em lote)
+  const repoInfo =
+    prefetched !== undefined
+      ? prefetched
+      : await getRepoInfoGraphQL(owner, repo, repoInfoFiles(criteria), ref);
+
+  if (repoInfo) {
+    if (repoInfo.languages?.edges) {
+      repoInfo.languages.edges.forEach((edge) => {
+        languages[edge.node.name] = edge.size;
+      });
+    }
+    if (repoInfo.repositoryTopics?.nodes) {
+      topics = repoInfo.repositoryTopics.nodes.map((node) => node.topic.name);
+    }
+    pkgJson = parsePkgJson(repoInfo.packageJson?.text, owner, repo);
+    configTexts = repoInfo.files;
+    readme =
+      README_FILES.map((file) => repoInfo.files[file]).find(
+        (text) => typeof text === 'string'
+      ) ?? null;
+    if (config.monorepoDetection) {
+      workspaces = await detectWorkspaces(
+        owner,
+        repo,
+        pkgJson,
+        repoInfo.files,
+        criteria,
+        ref
+      );
+    }
+  } else {
+    // Fallback para REST API se GraphQL falhar (sem leitura de workspaces)
+    console.log(`🔄 Fallback para REST API: ${owner}/${repo}`);
+
+    if (!snapshot) {
+      languages =
+        (await getRepoLanguages(owner, repo).catch(unlessTransient({}))) || {};
+      topics = await getRepoTopics(owner, repo).catch(unlessTransient([]));
+    }
+    const pkgText = await getRepoContent(owner, repo, 'package.json', ref);
+    pkgJson = parsePkgJson(pkgText, owner, repo);
+  }
+  if (snapshot) {
+    languages = languagesFromTree(await loadTree());
+    topics = [];
+  }
+
+  if (pkgJson) {
+    packageJsons['.'] = pkgJson;
+    const fromPkg = detectSignalsFromPkg(pkgJson, criteria);
+    for (const [name, found] of Object.entries(fromPkg)) {
+      addEvidence(name, found);
+    }
+    const summary = signalEntries
+      .filter(([, s]) => s.dependencies || s.scripts)
+      .map(([name]) => `${name}: ${fromPkg[name].length > 0}`)
+      .join(', ');
+    console.log(`📦 Package.json - ${summary}`);
+  }
+
+  const lcTopics = topics.map((t) => t.toLowerCase());
+  for (const [name, signal] of signalEntries) {
+    addEvidence(
+      name,
+      (signal.languages || [])
+        .filter((l) => typeof languages[l] === 'number' && languages[l] > 0)
+        .map((l) => `lang:${l}`)
+    );
+    addEvidence(
+      name,
+      (signal.topics || [])
+        .filter((t) => lcTopics.includes(t.toLowerCase()))
+        .map((t) => `topic:${t}`)
+    );
+  }
+
+  // Arquivos de configuração: o GraphQL já trouxe todos; no fallback REST só
+  // sonda os sinais ainda sem evidência, parando no primeiro encontrado
+  if (configTexts) {
+    const fromConfigs = detectSignalsFromConfigs(configTexts, criteria);
+    for (const [name, found] of Object.entries(fromConfigs)) {
+      addEvidence(name, found);
+    }
+  } else {
+    for (const [name, signal] of signalEntries) {
+      for (const entry of signal.configFiles || []) {
+        if (evidence[name].length > 0) break;
+        const { file, pattern } = normalizeConfigFile(entry);
+        const content = await getRepoContent(owner, repo, file, ref);
+        if (configFileMatches(content, pattern)) addEvidence(name, [file]);
+      }
+    }
+  }
+
+  for (const dir of workspaces?.dirs || []) {
+    const ws = workspaces.files[dir];
+    if (!ws) continue;
+    const wsPkg = parsePkgJson(ws.pkgText, owner, repo, `${dir}/package.json`);
+    if (wsPkg) packageJsons[dir] = wsPkg;
+    const fromPkg = wsPkg ? detectSignalsFromPkg(wsPkg, criteria) : {};
+    const fromConfigs = detectSignalsFromConfigs(ws.configTexts, criteria);
+    for (const [name] of signalEntries) {
+      addEvidence(name, [...(fromPkg[name] || []), ...fromConfigs[name]], dir);
+    }
+  }
+
+  const signals = {};
+  for (const [name] of signalEntries) signals[name] = evidence[name].length > 0;
+
+  // Busca por arquivos de teste, só quando `when` é satisfeito
+  // Workspace mais específico que contém o caminho (`.` é a raiz)
+  const workspaceOf = (filePath) =>
+    (workspaces?.dirs || [])
+      .filter((dir) => filePath.startsWith(`${dir}/`))
+      .sort((a, b) => b.length - a.length)[0] || '.';
+
+  for (const [name, signal] of signalEntries) {
+    if (!signal.testFiles) continue;
+    if (signal.when !== undefined && !evaluateRule(signal.when, signals)) {
+      continue;
+    }
+    console.log(`🔍 Buscando arquivos de teste na árvore (${name})...`);
+    try {
+      const { paths = [] } = (await loadTree()) || {};
+      const found = await searchForTestFiles(
+        owner,
+        repo,
+        signal.testFiles,
+        paths,
+        ref
+      );
+      if (found) {
+        evidence[name].push(found);
+        satisfiedBy[name].add(workspaceOf(found));
+        signals[name] = true;
+      }
+    } catch (err) {
+      if (err.transient) throw err;
+      console.log(`⚠️ Erro ao buscar arquivos de teste: ${err.message}`);
+    }
+  }
+
+  // Sinais derivados
+  for (const [name, signal] of signalEntries) {
+    if (signal.rule !== undefined) {
+      signals[name] = signals[name] || evaluateRule(signal.rule, signals);
+    }
+  }
+
+  return {
+    signals,
+    evidence,
+    languages,
+    topics,
+    monorepo: workspaces
+      ? { sources: workspaces.sources, workspaces: workspaces.dirs }
+      : null,
+    // Árvore listada para a busca de testes (undefined se não foi preciso)
+    tree,
+    // README lido pelo GraphQL (null se não foi pedido ou não encontrado)
+    readme,
+    // package.json lidos, por diretório (`.` é a raiz), para lib/versions.js
+    packageJsons,
+    satisfiedBy: Object.fromEntries(
+      signalEntries.map(([name]) => [name, [...satisfiedBy[name]].sort()])
+    ),
+  };
+}
+
+module.exports = {
+  hasDep,
+  pkgHasAnyDep,
+  scriptsContain,
+  detectSignalsFromPkg,
+  detectSignalsFromConfigs,
+  findTestFilePaths,
+  isTestFilePath,
+  languagesFromTree,
+  searchForTestFiles,
+  testFileMatches,
+  detectTech,
+  repoInfoFiles,
+};
@@ -0,0 +1,243 @@
+/* scripts/lib/explain.js */
+/* Explicação do veredito de um repositório (comando `check`) */
+
+'use strict';
+
+const { evaluateRule, normalizeConfigFile } = require('./criteria');
+
+const SOURCE_LABELS = {
+  language: 'linguagem',
+  topic: 'tópico',
+  script: 'script',
+  dependency: 'dependência',
+  configFile: 'configuração',
+  testFile: 'arquivo de teste',
+};
+
+// Mesmo rótulo da rejeição do `mine` (processRepository)
+const ACTIVITY_LABEL = 'Atividade abaixo do mínimo';
+
+const COURSE_FIELD_LABELS = {
+  name: 'nome',
+  description: 'descrição',
+  topics: 'tópicos',
+  readme: 'README',
+};
+
+// Regra em texto: `all(TypeScript, any(Jest, Vitest))`
+function describeRule(rule) {
+  if (typeof rule === 'string') return rule;
+  if (typeof rule === 'function') return 'função';
+  if (Array.isArray(rule?.all))
+    return `all(${rule.all.map(describeRule).join(', ')})`;
+  if (Array.isArray(rule?.any))
+    return `any(${rule.any.map(describeRule).join(', ')})`;
+  if (rule && 'not' in rule) return `not(${describeRule(rule.not)})`;
+  return JSON.stringify(rule);
+}
+
+// Separa o workspace (`apps/web:react`) e classifica a evidência pela fonte
+// do sinal que a produziu
+function classifyEvidence(entry, signal, workspaces) {
+  const dir = workspaces.find((d) => entry.startsWith(`${d}:`));
+  const item = dir ? entry.slice(dir.length + 1) : entry;
+  const workspace = dir || '.';
+  const prefixed = item.match(/^(lang|topic|script):(.*)$/);
+  if (prefixed) {
+    const type = { lang: 'language', topic: 'topic', script: 'script' }[
+      prefixed[1]
+    ];
+    return { type, item: prefixed[2], workspace };
+  }
+  if ((signal.dependencies || []).includes(item)) {
+    return { type: 'dependency', item, workspace };
+  }
+  const configFiles = (signal.configFiles || []).map(
+    (entry) => normalizeConfigFile(entry).file
+  );
+  if (configFiles.includes(item))
+    return { type: 'configFile', item, workspace };
+  return { type: 'testFile', item, workspace };
+}
+
+/**
+ * Monta a explicação estruturada de um resultado de `checkRepository`:
+ * linguagens, tópicos, flag de curso, cada sinal com suas evidências (ou a
+ * regra que o derivou) e cada etapa do critério, mais a etapa `activity`
+ * quando os mínimos de atividade foram avaliados.
+ */
+function explainCheck(result, criteria) {
+  const { name, verdict } = result;
+  if (!result.evaluation) {
+    return { name, verdict, error: result.error || null };
+  }
+  const { tech, course, stages, excluded, failedStage } = result.evaluation;
+  const workspaces = tech.monorepo?.workspaces || [];
+
+  const signals = Object.entries(criteria.signals).map(
+    ([signalName, signal]) => {
+      const entry = {
+        name: signalName,
+        value: Boolean(tech.signals[signalName]),
+        evidence: (tech.evidence[signalName] || []).map((e) =>
+          classifyEvidence(e, signal, workspaces)
+        ),
+      };
+      if (signal.rule !== undefined) entry.rule = describeRule(signal.rule);
+      if (
+        signal.testFiles &&
+        signal.when !== undefined &&
+        !evaluateRule(signal.when, tech.signals)
+      ) {
+        entry.skipped = `when: ${describeRule(signal.when)}`;
+      }
+      return entry;
+    }
+  );
+
+  const shortfalls = result.shortfalls || [];
+  let decision;
+  if (excluded) {
+    decision = { stage: 'course', label: 'Curso/boilerplate/template' };
+  } else if (failedStage) {
+    decision = { stage: failedStage.id, label: failedStage.label };
+  } else if (shortfalls.length > 0) {
+    decision = { stage: 'activity', label: ACTIVITY_LABEL };
+  } else {
+    decision = { stage: null, label: null };
+  }
+
+  return {
+    name,
+    verdict,
+    criteria: criteria.id,
+    stars: result.item?.stargazers_count ?? null,
+    snapshot: result.snapshot || null,
+    languages: tech.languages,
+    topics: tech.topics,
+    monorepo: tech.monorepo,
+    course: {
+      isCourseOrBoilerplate: course.isCourseOrBoilerplate,
+      kind: course.kind,
+      keyword: course.keyword,
+      matchedIn: course.matchedIn,
+      excluded,
+    },
+    signals,
+    activity: result.activity || null,
+    stages: [
+      ...stages.map(({ id, label, passed, failedSignals }) => ({
+        id,
+        label,
+        passed,
+        failedSignals,
+      })),
+      ...(result.activity
+        ? [
+            {
+              id: 'activity',
+              label: ACTIVITY_LABEL,
+              passed: shortfalls.length === 0,
+              failedSignals: shortfalls,
+            },
+          ]
+        : []),
+    ],
+    decision,
+  };
+}
+
+function formatLanguages(languages) {
+  const total = Object.values(languages).reduce((sum, n) => sum + n, 0);
+  if (total === 0) return '-';
+  return Object.entries(languages)
+    .sort(([, a], [, b]) => b - a)
+    .map(([lang, bytes]) => `${lang} ${((bytes / total) * 100).toFixed(1)}%`)
+    .join(', ');
+}
+
+function formatEvidence({ type, item, workspace }) {
+  const where = workspace === '.' ? '' : ` em ${workspace}`;
+  return `${item} (${SOURCE_LABELS[type]}${where})`;
+}
+
+// Explicação em texto, uma linha por fato
+function formatExplanation(explanation) {
+  const { name, verdict } = explanation;
+  if (verdict === 'not-found') return `⚠️ ${name}: repositório não encontrado`;
+  if (verdict === 'failed') {
+    return `⚠️ ${name}: erro na análise (${explanation.error})`;
+  }
+
+  const { course, decision } = explanation;
+  const lines = [
+    verdict === 'qualified'
+      ? `✅ ${name}: qualificado (${explanation.criteria})`
+      : `❌ ${name}: rejeitado na etapa ${decision.stage} (${decision.label})`,
+  ];
+  if (explanation.snapshot) {
+    const { ref, sha, date } = explanation.snapshot;
+    lines.push(
+      `  Versão: ${ref} → ${sha.slice(0, 7)} (${
+        date || '?'
+      }); linguagens estimadas pela árvore`
+    );
+  }
+  lines.push(
+    `  Linguagens: ${formatLanguages(explanation.languages)}`,
+    `  Tópicos: ${explanation.topics.join(', ') || '-'}`
+  );
+  if (explanation.monorepo) {
+    lines.push(
+      `  Monorepo (${explanation.monorepo.sources.join(', ')}): ${
+        explanation.monorepo.workspaces.join(', ') || '-'
+      }`
+    );
+  }
+  if (course.isCourseOrBoilerplate) {
+    const field = COURSE_FIELD_LABELS[course.matchedIn] || course.matchedIn;
+    lines.push(
+      `  Curso/boilerplate: ${course.kind}, "${course.keyword}" em ${field}${
+        course.excluded ? '' : ' (ignorado: EXCLUDE_COURSE_BOILERPLATE=false)'
+      }`
+    );
+  } else {
+    lines.push('  Curso/boilerplate: não');
+  }
+
+  lines.push('  Sinais:');
+  for (const signal of explanation.signals) {
+    const mark = signal.value ? '✔' : '✘';
+    let detail = signal.evidence.map(formatEvidence).join(', ');
+    if (!detail && signal.rule && signal.value) detail = `regra ${signal.rule}`;
+    if (!detail && signal.skipped) detail = `não buscado (${signal.skipped})`;
+    lines.push(`    ${mark} ${signal.name}${detail ? `: ${detail}` : ''}`);
+  }
+
+  const { activity } = explanation;
+  if (activity) {
+    lines.push(
+      `  Atividade: ${activity.contributors ?? '?'} contribuidores, ${
+        activity.commits
+      } commits (${activity.commitsLastYear} no último ano), ${
+        activity.openPullRequests + activity.closedPullRequests
+      } PRs, ${activity.openIssues + activity.closedIssues} issues, ${
+        activity.releases
+      } releases, ${activity.ciWorkflows} workflows de CI`
+    );
+  }
+
+  lines.push('  Etapas:');
+  for (const stage of explanation.stages) {
+    lines.push(
+      stage.passed
+        ? `    ✔ ${stage.id}`
+        : `    ✘ ${stage.id}: ${stage.label} (faltando: ${
+            stage.failedSignals.join(', ') || '-'
+          })`
+    );
+  }
+  return lines.join('\n');
+}
+
+module.exports = { describeRule, explainCheck, formatExplanation };
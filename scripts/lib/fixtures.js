@@ -0,0 +1,102 @@
+/* scripts/lib/fixtures.js */
+/* Gravação e replay de respostas HTTP da API do GitHub */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { FIXTURES_MANIFEST_FILE, config } = require('./config');
+
+// Cabeçalhos de resposta preservados nas fixtures. Os de rate limit ficam de
+// fora para que o replay nunca durma esperando um reset que já passou.
+const FIXTURE_HEADERS = ['content-type', 'etag', 'last-modified', 'link'];
+
+function fixtureKey(url, options) {
+  const method = (options.method || 'GET').toUpperCase();
+  return crypto
+    .createHash('sha256')
+    .update(`${method} ${url}\n${options.body || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function fixturePath(url, options) {
+  return path.join(config.httpFixturesDir, `${fixtureKey(url, options)}.json`);
+}
+
+function replayFixture(url, options) {
+  const file = fixturePath(url, options);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `Fixture ausente para ${options.method || 'GET'} ${url} (${file})`
+    );
+  }
+  const { response } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const nullBody = [204, 304].includes(response.status);
+  return new Response(nullBody ? null : response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+async function recordFixture(url, options, res) {
+  // Respostas de rate limit esgotado são repetidas pelo cliente; não gravar
+  if (
+    [403, 429].includes(res.status) &&
+    res.headers.get('x-ratelimit-remaining') === '0'
+  ) {
+    return;
+  }
+  const headers = {};
+  for (const name of FIXTURE_HEADERS) {
+    const value = res.headers.get(name);
+    if (value !== null) headers[name] = value;
+  }
+  let body = options.body;
+  try {
+    body = body ? JSON.parse(body) : undefined;
+  } catch {}
+  const fixture = {
+    request: { method: options.method || 'GET', url, body },
+    response: {
+      status: res.status,
+      statusText: res.statusText,
+      headers,
+      body: await res.clone().text(),
+    },
+  };
+  fs.mkdirSync(config.httpFixturesDir, { recursive: true });
+  fs.writeFileSync(
+    fixturePath(url, options),
+    JSON.stringify(fixture, null, 2),
+    'utf-8'
+  );
+}
+
+function writeFixturesManifest() {
+  fs.mkdirSync(config.httpFixturesDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(config.httpFixturesDir, FIXTURES_MANIFEST_FILE),
+    JSON.stringify(
+      {
+        referenceDate: config.referenceDate.toISOString(),
+        quartersCount: config.quartersCount,
+        batchSize: config.batchSize,
+        recordedAt: new Date().toISOString(),
+      },
+      null,
+      2
+    ),
+    'utf-8'
+  );
+}
+
+module.exports = {
+  fixtureKey,
+  recordFixture,
+  replayFixture,
+  writeFixturesManifest,
+};
@@ -0,0 +1,782 @@
+/* scripts/lib/github.js */
+/* Cliente HTTP da API do GitHub (REST + GraphQL) */
+
+'use strict';
+
+const {
+  CACHE_HIT_HEADER,
+  readCache,
+  serveFresh,
+  storeResponse,
+} = require('./cache');
+const { config } = require('./config');
+const { recordFixture, replayFixture } = require('./fixtures');
+const { bucketFor, getTokenPool } = require('./tokens');
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// `options.token` escolhe o token da requisição (padrão: GITHUB_TOKEN)
+async function fetchWithTimeout(
+  url,
+  options = {},
+  timeoutMs = config.requestTimeoutMs
+) {
+  const { token = config.githubToken, ...fetchOptions } = options;
+  if (config.httpFixtures === 'replay') return replayFixture(url, fetchOptions);
+
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      ...fetchOptions,
+      signal: controller.signal,
+      headers: {
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(fetchOptions.headers || {}),
+      },
+    });
+    clearTimeout(id);
+    if (config.httpFixtures === 'record')
+      await recordFixture(url, fetchOptions, res);
+    return res;
+  } catch (e) {
+    clearTimeout(id);
+    throw e;
+  }
+}
+
+// Rate limit primário esgotado: marca o bucket do token até o reset. O
+// próximo `acquire` troca de token ou, se todos estiverem esgotados, espera.
+function handleRateLimit(res, pool, entry, bucket) {
+  if (res.status === 403 || res.status === 429) {
+    const remaining = res.headers.get('x-ratelimit-remaining');
+    const reset = res.headers.get('x-ratelimit-reset');
+    if (remaining === '0' && reset) {
+      pool.exhaust(entry, bucket, parseInt(reset, 10) * 1000);
+      return true;
+    }
+  }
+  return false;
+}
+
+async function checkDynamicRateLimit(pool, bucket) {
+  // Cota somada dos tokens: só pausa quando o pool inteiro está acabando
+  const { remaining, reset } = pool.status(bucket);
+  if (remaining === null) return;
+
+  if (remaining < 1000 && reset > 0) {
+    const timeToReset = Math.max(0, reset - Date.now());
+
+    // Calcula sleep proporcional baseado no remaining
+    const proportionalWait = Math.min(
+      timeToReset / Math.max(remaining, 1),
+      5000
+    );
+
+    if (proportionalWait > 100) {
+      // Só pausa se for significativo
+      console.log(
+        `⏳ Rate limit baixo (${remaining} restantes). Pausando ${(
+          proportionalWait / 1000
+        ).toFixed(1)}s...`
+      );
+      await sleep(proportionalWait);
+    }
+  }
+}
+
+// Status repetidos com backoff (além do rate limit secundário em 403)
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+// Erro que uma nova tentativa pode resolver: quem chama distingue pelo campo
+// `transient` (ex.: processRepository guarda o repositório para reprocessar)
+function transientError(message) {
+  return Object.assign(new Error(message), { transient: true });
+}
+
+async function responseError(label, res, transient = false) {
+  const txt = await res.text().catch(() => '');
+  const message = `${label} falhou: ${res.status} - ${
+    res.statusText
+  } - ${txt.slice(0, 300)}`;
+  return transient ? transientError(message) : new Error(message);
+}
+
+// `Retry-After` em segundos ou como data HTTP; null se ausente
+function retryAfterMs(res) {
+  const value = res.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Backoff exponencial com jitter: metade do intervalo fixa, metade aleatória
+function backoffMs(attempt, baseMs) {
+  const delay = Math.min(config.retryMaxDelayMs, baseMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Orçamento de tentativas: a Search API tem o seu, o resto usa o do core
+function retryBudget(bucket) {
+  return bucket === 'search'
+    ? { retries: config.searchMaxRetries, baseMs: config.searchRetryBaseMs }
+    : { retries: config.maxRetries, baseMs: config.retryBaseMs };
+}
+
+// Motivo para repetir a resposta (5xx, 429, rate limit secundário) ou null
+async function transientReason(res) {
+  if (RETRYABLE_STATUS.includes(res.status)) return `HTTP ${res.status}`;
+  if (res.status !== 403) return null;
+  if (res.headers.get('retry-after')) return 'rate limit secundário';
+  const txt = await res
+    .clone()
+    .text()
+    .catch(() => '');
+  return /secondary rate limit|abuse/i.test(txt)
+    ? 'rate limit secundário'
+    : null;
+}
+
+/**
+ * Requisição com o token mais folgado do bucket da URL (core, search ou
+ * graphql). Rate limit primário troca de token (ou espera o reset) sem gastar
+ * tentativas; falhas transitórias (5xx, 429, rate limit secundário, erro de
+ * rede, timeout) são repetidas com backoff, respeitando `Retry-After`, até o
+ * orçamento do bucket. Esgotado o orçamento, lança um erro `transient`.
+ * Com o cache (lib/cache.js), uma entrada fresca dispensa a requisição e uma
+ * vencida é revalidada com If-None-Match; o 304 devolve o corpo guardado.
+ * `revalidate` revalida mesmo a entrada fresca (situação atual do repositório).
+ */
+async function ghFetch(label, url, options, { revalidate = false } = {}) {
+  const pool = getTokenPool();
+  const bucket = bucketFor(url);
+  const { retries, baseMs } = retryBudget(bucket);
+
+  const cached = readCache(url, options, bucket);
+  if (cached?.fresh && !revalidate) {
+    return { res: serveFresh(cached), pool, bucket };
+  }
+  if (cached?.etag) {
+    options = {
+      ...options,
+      headers: { ...options.headers, 'If-None-Match': cached.etag },
+    };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const entry = await pool.acquire(bucket);
+    let res;
+    let reason;
+    try {
+      res = await fetchWithTimeout(url, { ...options, token: entry.token });
+    } catch (err) {
+      // Só erros de rede (TypeError do fetch) e timeout (AbortError) são
+      // transitórios; o resto (ex.: fixture ausente no replay) sobe direto
+      if (err.name === 'AbortError') reason = 'timeout';
+      else if (err.name === 'TypeError') {
+        reason = `erro de rede (${err.cause?.code || err.message})`;
+      } else throw err;
+    }
+
+    if (res) {
+      pool.update(entry, bucket, res.headers);
+      if (handleRateLimit(res, pool, entry, bucket)) {
+        attempt--;
+        continue;
+      }
+      reason = await transientReason(res);
+      if (!reason) {
+        res = await storeResponse(url, options, bucket, res, cached);
+        return { res, pool, bucket };
+      }
+    }
+
+    if (attempt >= retries) {
+      if (res) throw await responseError(label, res, true);
+      // `timeout` deixa getReposInfoGraphQL reduzir o lote
+      throw Object.assign(
+        transientError(
+          `${label} falhou após ${attempt + 1} tentativas: ${reason}`
+        ),
+        { timeout: reason === 'timeout' }
+      );
+    }
+    const waitMs = (res && retryAfterMs(res)) ?? backoffMs(attempt, baseMs);
+    console.warn(
+      `🔁 ${label}: ${reason}. Nova tentativa em ${(waitMs / 1000).toFixed(
+        1
+      )}s (${attempt + 1}/${retries})`
+    );
+    await sleep(waitMs);
+  }
+}
+
+async function ghGET(url, fetchOptions) {
+  const label = `GET ${url}`;
+  const { res, pool, bucket } = await ghFetch(
+    label,
+    url,
+    { method: 'GET' },
+    fetchOptions
+  );
+  if (res.status === 404) return { status: 404 };
+  if (!res.ok) throw await responseError(label, res);
+  const data = await res.json().catch(() => null);
+
+  // Controle dinâmico de rate limit
+  await checkDynamicRateLimit(pool, bucket);
+
+  // Cabeçalho de paginação, só quando o GitHub o manda
+  const link = res.headers.get('link');
+  return link
+    ? { status: res.status, data, link }
+    : { status: res.status, data };
+}
+
+// Consumo do GraphQL na execução: queries feitas e, das que pedem o objeto
+// `rateLimit`, o custo somado e a última cota informada
+const graphqlUsage = { queries: 0, cost: 0, remaining: null, resetAt: null };
+
+function getGraphqlUsage() {
+  return { ...graphqlUsage };
+}
+
+// Corpo completo da resposta (`{ data, errors }`): erros parciais, como um
+// alias de repositório inexistente, não invalidam o restante
+async function ghGraphQLResponse(query, variables = {}) {
+  const { res, pool, bucket } = await ghFetch(
+    'GraphQL',
+    `${config.apiBaseUrl}/graphql`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ query, variables }),
+    }
+  );
+
+  if (!res.ok) throw await responseError('GraphQL', res);
+
+  const body = await res.json().catch(() => null);
+  // Respostas do cache não custaram nada nesta execução
+  if (res.headers.get(CACHE_HIT_HEADER)) return body || {};
+  graphqlUsage.queries++;
+  const rateLimit = body?.data?.rateLimit;
+  if (rateLimit) {
+    graphqlUsage.cost += rateLimit.cost || 0;
+    graphqlUsage.remaining = rateLimit.remaining ?? graphqlUsage.remaining;
+    graphqlUsage.resetAt = rateLimit.resetAt ?? graphqlUsage.resetAt;
+  }
+
+  // Controle dinâmico de rate limit
+  await checkDynamicRateLimit(pool, bucket);
+
+  return body || {};
+}
+
+async function ghGraphQL(query, variables = {}) {
+  const data = await ghGraphQLResponse(query, variables);
+  if (data.errors) {
+    throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+  }
+  return data.data || null;
+}
+
+// Campos de `repository(...)`: linguagens, tópicos, package.json e os
+// arquivos pedidos (aliases `file0`, `file1`, ...), lidos em `ref`
+function repoInfoFields(files, ref = 'HEAD') {
+  const fileFields = files
+    .map(
+      (file, i) => `
+        file${i}: object(expression: ${JSON.stringify(`${ref}:${file}`)}) {
+          ... on Blob {
+            text
+          }
+        }`
+    )
+    .join('');
+  return `
+        languages(first: 20) {
+          edges {
+            size
+            node {
+              name
+            }
+          }
+        }
+        repositoryTopics(first: 20) {
+          nodes {
+            topic {
+              name
+            }
+          }
+        }
+        packageJson: object(expression: ${JSON.stringify(
+          `${ref}:package.json`
+        )}) {
+          ... on Blob {
+            text
+          }
+        }${fileFields}`;
+}
+
+/**
+ * Campos de atividade de `repository(...)`: commits da branch padrão (total,
+ * desde `since` e o mais recente), PRs e issues abertos e fechados
+ * (fechados incluem os PRs mesclados), releases e as entradas de
+ * `.github/workflows`. Só contagens, para caber nos lotes.
+ */
+function activityFields(since) {
+  return `
+        defaultBranchRef {
+          target {
+            ... on Commit {
+              oid
+              committedDate
+              history {
+                totalCount
+              }
+              lastYear: history(since: ${JSON.stringify(since)}) {
+                totalCount
+              }
+            }
+          }
+        }
+        openPullRequests: pullRequests(states: OPEN) {
+          totalCount
+        }
+        closedPullRequests: pullRequests(states: [CLOSED, MERGED]) {
+          totalCount
+        }
+        openIssues: issues(states: OPEN) {
+          totalCount
+        }
+        closedIssues: issues(states: CLOSED) {
+          totalCount
+        }
+        releases {
+          totalCount
+        }
+        workflows: object(expression: "HEAD:.github/workflows") {
+          ... on Tree {
+            entries {
+              name
+              type
+            }
+          }
+        }`;
+}
+
+// Campos de activityFields, separados em `activity` no resultado
+const ACTIVITY_FIELDS = [
+  'defaultBranchRef',
+  'openPullRequests',
+  'closedPullRequests',
+  'openIssues',
+  'closedIssues',
+  'releases',
+  'workflows',
+];
+
+// `files` vira `{ caminho: texto | null }` no resultado; com `withActivity`,
+// os campos de activityFields vão para `activity`
+function parseRepoInfo(repository, files, withActivity = false) {
+  if (!repository) return null;
+  const fileTexts = {};
+  files.forEach((file, i) => {
+    fileTexts[file] = repository[`file${i}`]?.text ?? null;
+  });
+  const info = { ...repository, files: fileTexts };
+  if (withActivity) {
+    info.activity = {};
+    for (const field of ACTIVITY_FIELDS) {
+      info.activity[field] = repository[field] ?? null;
+      delete info[field];
+    }
+  }
+  return info;
+}
+
+// Linguagens, tópicos, package.json e os arquivos pedidos, numa só query.
+// Com `ref` (commit, tag ou branch), os arquivos vêm daquela versão;
+// linguagens e tópicos são sempre os atuais.
+async function getRepoInfoGraphQL(owner, repo, files = [], ref = 'HEAD') {
+  const query = `
+    query GetRepoInfo($owner: String!, $name: String!) {
+      repository(owner: $owner, name: $name) {${repoInfoFields(files, ref)}
+      }
+    }
+  `;
+
+  try {
+    const data = await ghGraphQL(query, { owner, name: repo });
+    return parseRepoInfo(data?.repository, files);
+  } catch (err) {
+    // Falha transitória sobe: o fallback REST daria uma detecção incompleta
+    if (err.transient) throw err;
+    console.warn(`⚠️ GraphQL falhou para ${owner}/${repo}: ${err.message}`);
+    return null;
+  }
+}
+
+// Erros do GraphQL que indicam query pesada demais para o lote
+const COMPLEXITY_ERROR_TYPES = [
+  'MAX_NODE_LIMIT_EXCEEDED',
+  'RESOURCE_LIMITS_EXCEEDED',
+  'EXCESSIVE_COMPLEXITY',
+];
+
+function isComplexityError(errors) {
+  return (errors || []).some(
+    (e) =>
+      COMPLEXITY_ERROR_TYPES.includes(e.type) ||
+      /complexity|node limit|timeout|too many/i.test(e.message || '')
+  );
+}
+
+// Tamanho atual do lote de getReposInfoGraphQL: começa em
+// GRAPHQL_BATCH_SIZE, cai a cada erro de complexidade e não volta a subir
+let reposPerQuery = null;
+
+/**
+ * Mesmos dados de getRepoInfoGraphQL para vários repositórios (`owner/nome`),
+ * com aliases `r0`, `r1`, ... numa query por lote. Com `activitySince`, cada
+ * repositório traz também as contagens de activityFields em `activity` (ver
+ * computeActivity). Cada query pede também `rateLimit`, somado em
+ * getGraphqlUsage(). Se o GitHub recusar a query por
+ * complexidade (ou ela estourar o timeout mesmo após as novas tentativas),
+ * o lote cai pela metade e é repetido; outras falhas (5xx, rede) não mexem
+ * no tamanho. Retorna um Map nome → info; repositórios inexistentes ficam
+ * null e os de lotes que falharam ficam de fora (a detecção consulta esses
+ * um a um).
+ */
+async function getReposInfoGraphQL(
+  fullNames,
+  files = [],
+  { activitySince = null } = {}
+) {
+  const extraFields = activitySince ? activityFields(activitySince) : '';
+  if (reposPerQuery === null || reposPerQuery > config.graphqlBatchSize) {
+    reposPerQuery = config.graphqlBatchSize;
+  }
+  const result = new Map();
+  const queue = [...fullNames];
+  while (queue.length > 0) {
+    const chunk = queue.slice(0, reposPerQuery);
+    const fields = chunk
+      .map((fullName, i) => {
+        const [owner, name] = fullName.split('/');
+        return `
+      r${i}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(
+          name
+        )}) {${repoInfoFields(files)}${extraFields}
+      }`;
+      })
+      .join('');
+    const query = `
+    query GetReposInfo {${fields}
+      rateLimit {
+        cost
+        remaining
+        resetAt
+      }
+    }
+  `;
+
+    let body = null;
+    let failure = null;
+    try {
+      body = await ghGraphQLResponse(query);
+    } catch (err) {
+      failure = err;
+    }
+    const tooComplex = failure
+      ? Boolean(failure.timeout)
+      : !body.data && isComplexityError(body.errors);
+    if (tooComplex && chunk.length > 1) {
+      reposPerQuery = Math.max(1, Math.floor(chunk.length / 2));
+      console.warn(
+        `⚠️ Query GraphQL pesada demais para ${chunk.length} repositórios. Lote reduzido para ${reposPerQuery}.`
+      );
+      continue;
+    }
+
+    queue.splice(0, chunk.length);
+    if (failure || !body.data) {
+      console.warn(
+        `⚠️ GraphQL em lote falhou para ${chunk.length} repositórios: ${
+          failure?.message || JSON.stringify(body.errors)
+        }`
+      );
+      continue;
+    }
+    chunk.forEach((fullName, i) => {
+      result.set(
+        fullName,
+        parseRepoInfo(body.data[`r${i}`], files, Boolean(activitySince))
+      );
+    });
+  }
+  return result;
+}
+
+// Máximo de aliases `object(...)` por query em getRepoObjectsGraphQL
+const OBJECTS_PER_QUERY = 100;
+
+// Vários caminhos de `ref` numa query (em lotes). Para cada caminho devolve
+// o texto (arquivo), `{ dirs, files }` com os nomes das entradas (diretório)
+// ou null (ausente).
+async function getRepoObjectsGraphQL(owner, repo, paths, ref = 'HEAD') {
+  const result = {};
+  for (let start = 0; start < paths.length; start += OBJECTS_PER_QUERY) {
+    const chunk = paths.slice(start, start + OBJECTS_PER_QUERY);
+    const fields = chunk
+      .map(
+        (p, i) => `
+        o${i}: object(expression: ${JSON.stringify(`${ref}:${p}`)}) {
+          ... on Blob {
+            text
+          }
+          ... on Tree {
+            entries {
+              name
+              type
+            }
+          }
+        }`
+      )
+      .join('');
+    const query = `
+    query GetRepoObjects($owner: String!, $name: String!) {
+      repository(owner: $owner, name: $name) {${fields}
+      }
+    }
+  `;
+    const data = await ghGraphQL(query, { owner, name: repo });
+    chunk.forEach((p, i) => {
+      const obj = data?.repository?.[`o${i}`];
+      if (!obj) result[p] = null;
+      else if (Array.isArray(obj.entries)) {
+        const names = (type) =>
+          obj.entries.filter((e) => e.type === type).map((e) => e.name);
+        result[p] = { dirs: names('tree'), files: names('blob') };
+      } else result[p] = obj.text ?? null;
+    });
+  }
+  return result;
+}
+
+// Listagem recursiva dos arquivos do `ref` (`HEAD` é a branch padrão) numa só
+// chamada, com o tamanho de cada um (`sizes`, na ordem de `paths`). Em
+// árvores muito grandes o GitHub trunca a resposta: `truncated` avisa que a
+// lista está incompleta.
+async function getRepoTree(owner, repo, ref = 'HEAD') {
+  const { status, data } = await ghGET(
+    `${config.apiBaseUrl}/repos/${owner}/${repo}/git/trees/${encodeURIComponent(
+      ref
+    )}?recursive=1`
+  );
+  if (status !== 200 || !Array.isArray(data?.tree)) return null;
+  const blobs = data.tree.filter((e) => e.type === 'blob');
+  return {
+    paths: blobs.map((e) => e.path),
+    sizes: blobs.map((e) => e.size ?? 0),
+    truncated: Boolean(data.truncated),
+  };
+}
+
+// Dados de um repositório no mesmo formato dos itens da Search API.
+// `revalidate` não confia no cache fresco (existência, arquivamento)
+async function getRepo(owner, repo, { revalidate = false } = {}) {
+  const { status, data } = await ghGET(
+    `${config.apiBaseUrl}/repos/${owner}/${repo}`,
+    { revalidate }
+  );
+  return status === 200 ? data : null;
+}
+
+// `{ sha, date }` de um commit (a partir do SHA, tag ou branch em `ref`)
+function commitSummary(data) {
+  return {
+    sha: data.sha,
+    date: data.commit?.committer?.date || data.commit?.author?.date || null,
+  };
+}
+
+// Commit apontado por `ref`, ou null se não existir
+async function getCommit(owner, repo, ref) {
+  const { status, data } = await ghGET(
+    `${config.apiBaseUrl}/repos/${owner}/${repo}/commits/${encodeURIComponent(
+      ref
+    )}`
+  );
+  return status === 200 && data?.sha ? commitSummary(data) : null;
+}
+
+// Atividade do repositório numa só query (ver activityFields), para quem
+// não veio num lote de getReposInfoGraphQL. Null se o repositório não existir.
+async function getRepoActivityGraphQL(owner, repo, since) {
+  const query = `
+    query GetRepoActivity($owner: String!, $name: String!) {
+      repository(owner: $owner, name: $name) {${activityFields(since)}
+      }
+    }
+  `;
+  const data = await ghGraphQL(query, { owner, name: repo });
+  return data?.repository || null;
+}
+
+// Data do commit mais antigo da branch padrão, que tem `total` commits a
+// partir de `oid`. O histórico só pagina para a frente; o cursor
+// `"<oid> <n>"` pula direto para o último item.
+async function getFirstCommitDate(owner, repo, oid, total) {
+  const query = `
+    query GetFirstCommit($owner: String!, $name: String!, $cursor: String!) {
+      repository(owner: $owner, name: $name) {
+        defaultBranchRef {
+          target {
+            ... on Commit {
+              history(first: 1, after: $cursor) {
+                nodes {
+                  committedDate
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const data = await ghGraphQL(query, {
+    owner,
+    name: repo,
+    cursor: `${oid} ${total - 2}`,
+  });
+  const target = data?.repository?.defaultBranchRef?.target;
+  return target?.history?.nodes?.[0]?.committedDate ?? null;
+}
+
+// Contribuidores, contando os anônimos. Com uma pessoa por página, o número
+// da última página (cabeçalho Link) é o total; repositório vazio responde
+// 204. Em históricos grandes demais o GitHub recusa a lista com 403: ghGET
+// lança o erro, e computeActivity segue com `contributors` null.
+async function getContributorCount(owner, repo) {
+  const { status, data, link } = await ghGET(
+    `${config.apiBaseUrl}/repos/${owner}/${repo}/contributors?per_page=1&anon=true`
+  );
+  if (status === 204) return 0;
+  if (status !== 200) return null;
+  const last = link?.match(/[?&]page=(\d+)[^>]*>;\s*rel="last"/);
+  if (last) return Number(last[1]);
+  return Array.isArray(data) ? data.length : null;
+}
+
+// Último commit da branch padrão até `until` (ISO 8601), ou null se o
+// repositório ainda não tinha commits
+async function getCommitBefore(owner, repo, until) {
+  const { status, data } = await ghGET(
+    `${
+      config.apiBaseUrl
+    }/repos/${owner}/${repo}/commits?until=${encodeURIComponent(
+      until
+    )}&per_page=1`
+  );
+  if (status !== 200 || !Array.isArray(data) || data.length === 0) return null;
+  return commitSummary(data[0]);
+}
+
+async function getRepoLanguages(owner, repo) {
+  const { status, data } = await ghGET(
+    `${config.apiBaseUrl}/repos/${owner}/${repo}/languages`
+  );
+  if (status !== 200 || !data) return {};
+  return data;
+}
+
+async function getRepoTopics(owner, repo) {
+  const { status, data } = await ghGET(
+    `${config.apiBaseUrl}/repos/${owner}/${repo}/topics`
+  );
+  if (status !== 200 || !data) return [];
+  return Array.isArray(data.names) ? data.names : [];
+}
+
+async function getRepoContent(owner, repo, pathName, ref = 'HEAD') {
+  const query = ref === 'HEAD' ? '' : `?ref=${encodeURIComponent(ref)}`;
+  const { status, data } = await ghGET(
+    `${config.apiBaseUrl}/repos/${owner}/${repo}/contents/${encodeURIComponent(
+      pathName
+    )}${query}`
+  );
+  if (status !== 200 || !data) return null;
+  if (data.encoding === 'base64' && data.content) {
+    try {
+      const decoded = Buffer.from(data.content, 'base64').toString('utf-8');
+      return decoded;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+async function getRepoReadme(owner, repo) {
+  const { status, data } = await ghGET(
+    `${config.apiBaseUrl}/repos/${owner}/${repo}/readme`
+  );
+  if (status !== 200 || !data) return '';
+  if (data.encoding === 'base64' && data.content) {
+    try {
+      return Buffer.from(data.content, 'base64').toString('utf-8');
+    } catch {
+      return '';
+    }
+  }
+  return '';
+}
+
+// SEARCH_SORT/SEARCH_ORDER vazios mantêm a ordem padrão (best match)
+async function searchReposREST(query, page, perPage) {
+  const sort = config.searchSort
+    ? `&sort=${config.searchSort}${
+        config.searchOrder ? `&order=${config.searchOrder}` : ''
+      }`
+    : '';
+  const url = `${config.apiBaseUrl}/search/repositories?q=${encodeURIComponent(
+    query
+  )}&per_page=${perPage}&page=${page}${sort}`;
+  const { status, data } = await ghGET(url);
+  if (status !== 200 || !data) return { total_count: 0, items: [] };
+  return { total_count: data.total_count || 0, items: data.items || [] };
+}
+
+module.exports = {
+  sleep,
+  fetchWithTimeout,
+  ghGET,
+  ghGraphQL,
+  ghGraphQLResponse,
+  getGraphqlUsage,
+  getRepoInfoGraphQL,
+  getReposInfoGraphQL,
+  getRepoObjectsGraphQL,
+  getRepoTree,
+  getRepo,
+  getCommit,
+  getCommitBefore,
+  getRepoActivityGraphQL,
+  getFirstCommitDate,
+  getContributorCount,
+  getRepoLanguages,
+  getRepoTopics,
+  getRepoContent,
+  getRepoReadme,
+  searchReposREST,
+};
@@ -0,0 +1,134 @@
+/* scripts/lib/history.js */
+/* Mineração histórica: sinais de um repositório num commit, tag ou data e a
+   série temporal de adoção e abandono de cada sinal */
+
+'use strict';
+
+const { isIsoDate } = require('./config');
+const { getCriteria } = require('./criteria');
+const { detectTech } = require('./detect');
+const { getCommit, getCommitBefore, getRepo } = require('./github');
+
+// Passos da série → meses de cada período
+const HISTORY_STEPS = { month: 1, quarter: 3, year: 12 };
+
+/**
+ * Resolve `at` num commit. Uma data AAAA-MM-DD vira o último commit da
+ * branch padrão até o fim daquele dia (UTC); qualquer outro valor é um SHA,
+ * tag ou branch. Retorna `{ ref, sha, date }` ou null se não houver commit.
+ */
+async function resolveSnapshot(owner, repo, at) {
+  const commit = isIsoDate(at)
+    ? await getCommitBefore(owner, repo, `${at}T23:59:59Z`)
+    : await getCommit(owner, repo, at);
+  return commit ? { ref: at, ...commit } : null;
+}
+
+/**
+ * Datas da série: o último dia de cada mês, trimestre ou ano (alinhados ao
+ * calendário) entre `from` e `to`, em AAAA-MM-DD, terminando sempre no
+ * próprio `to`.
+ */
+function historyDates(from, to, step = 'quarter') {
+  const months = HISTORY_STEPS[step];
+  const start = new Date(`${from}T00:00:00Z`);
+  const year = start.getUTCFullYear();
+  const dates = [];
+  for (
+    let month = Math.floor(start.getUTCMonth() / months) * months;
+    ;
+    month += months
+  ) {
+    const end = new Date(Date.UTC(year, month + months, 0))
+      .toISOString()
+      .slice(0, 10);
+    if (end >= to) break;
+    dates.push(end);
+  }
+  dates.push(to);
+  return dates;
+}
+
+/**
+ * Marca em cada ponto os sinais que passaram a valer (`adopted`) ou
+ * deixaram de valer (`dropped`) desde o ponto anterior com commit. No
+ * primeiro ponto, tudo o que já vale conta como adotado.
+ */
+function annotateChanges(points, names) {
+  let previous = null;
+  for (const point of points) {
+    point.adopted = [];
+    point.dropped = [];
+    if (!point.signals) continue;
+    for (const name of names) {
+      const was = Boolean(previous?.signals[name]);
+      if (point.signals[name] && !was) point.adopted.push(name);
+      if (!point.signals[name] && was) point.dropped.push(name);
+    }
+    previous = point;
+  }
+  return points;
+}
+
+/**
+ * Série temporal dos sinais de `owner/repo`: detectTech no último commit de
+ * cada data de historyDates (de `from`, padrão a criação do repositório, até
+ * `to`). Datas que caem no mesmo commit reaproveitam a avaliação. Retorna
+ * `{ name, found, points }`, com cada ponto `{ at, sha, committedAt,
+ * signals, adopted, dropped }` restrito aos sinais de `signals` (padrão:
+ * todos do critério); antes do primeiro commit, `sha` e `signals` são null.
+ */
+async function mineHistory(
+  fullName,
+  {
+    from = null,
+    to,
+    step = 'quarter',
+    signals = null,
+    criteria = getCriteria(),
+  }
+) {
+  const [owner, repo] = fullName.split('/');
+  const item = owner && repo ? await getRepo(owner, repo) : null;
+  if (!item) return { name: fullName, found: false, points: [] };
+
+  const name = item.full_name;
+  const names = signals || Object.keys(criteria.signals);
+  const dates = historyDates(from || item.created_at.slice(0, 10), to, step);
+  const points = [];
+  let last = null;
+  for (const at of dates) {
+    const commit = await resolveSnapshot(item.owner.login, item.name, at);
+    if (!commit) {
+      points.push({ at, sha: null, committedAt: null, signals: null });
+      continue;
+    }
+    if (last?.sha !== commit.sha) {
+      console.log(`🕰️ ${name} em ${at}: ${commit.sha.slice(0, 7)}`);
+      const tech = await detectTech(
+        item.owner.login,
+        item.name,
+        criteria,
+        undefined,
+        commit.sha
+      );
+      last = {
+        sha: commit.sha,
+        committedAt: commit.date,
+        signals: Object.fromEntries(
+          names.map((signal) => [signal, Boolean(tech.signals[signal])])
+        ),
+      };
+    }
+    points.push({ at, ...last });
+  }
+  return { name, found: true, points: annotateChanges(points, names) };
+}
+
+module.exports = {
+  HISTORY_STEPS,
+  annotateChanges,
+  historyDates,
+  mineHistory,
+  resolveSnapshot,
+};
@@ -0,0 +1,91 @@
+/* scripts/lib/metrics.js */
+/* Métricas de teste por repositório: arquivos, casos, RTL x Enzyme, snapshots */
+
+'use strict';
+
+const { analyzeTestFile } = require('./ast');
+const { config } = require('./config');
+const { findTestFilePaths } = require('./detect');
+const { getRepoObjectsGraphQL, getRepoTree } = require('./github');
+
+// Independe do critério: toda a árvore, `.test`/`.spec` e `__tests__`
+const METRICS_TEST_FILES = { pattern: '\\.(test|spec)\\.[jt]sx?$' };
+
+// `it(`, `test(`, `it.only(`, `test.each(...)(`, `it.concurrent(`...
+const TEST_CASE_RE =
+  /(?:^|[^\w.$])(?:it|test)(?:\.(?:only|skip|todo|concurrent|failing))?(?:\.each\s*(?:`[^`]*`|\([^)]*\)))?\s*\(/g;
+const RTL_IMPORT_RE =
+  /(?:from\s+|require\(\s*|import\s+)['"]@testing-library\/react['"]/;
+const ENZYME_IMPORT_RE = /(?:from\s+|require\(\s*|import\s+)['"]enzyme['"]/;
+const SNAPSHOT_RE = /\.toMatch(?:Inline)?Snapshot\s*\(/;
+
+// Pela AST (lib/ast.js); arquivos que não parseiam voltam às regexes
+function analyzeTestSource(text, filePath) {
+  const analysis = analyzeTestFile(text, filePath);
+  if (analysis) {
+    const { rtl, enzyme, snapshot } = analysis.features;
+    return { cases: analysis.cases, rtl, enzyme, snapshot };
+  }
+  return {
+    cases: (text.match(TEST_CASE_RE) || []).length,
+    rtl: RTL_IMPORT_RE.test(text),
+    enzyme: ENZYME_IMPORT_RE.test(text),
+    snapshot: SNAPSHOT_RE.test(text),
+  };
+}
+
+// Componentes .tsx que não são teste nem código de terceiros
+function countSourceTsx(paths, testPaths) {
+  const tests = new Set(testPaths);
+  return paths.filter(
+    (p) =>
+      p.endsWith('.tsx') &&
+      !tests.has(p) &&
+      !p.split('/').includes('node_modules')
+  ).length;
+}
+
+/**
+ * Métricas de teste a partir da árvore (`{ paths, truncated }`, de
+ * getRepoTree; listada aqui se não vier). A contagem de arquivos usa a
+ * árvore inteira; casos, imports e snapshots vêm do conteúdo de até
+ * `config.maxMetricsFiles` arquivos de teste (`analyzedFiles`).
+ */
+async function computeTestMetrics(owner, repo, tree) {
+  const { paths = [], truncated = false } =
+    tree || (await getRepoTree(owner, repo)) || {};
+  const testPaths = findTestFilePaths(paths, METRICS_TEST_FILES);
+  const sourceTsxFiles = countSourceTsx(paths, testPaths);
+
+  const toAnalyze = testPaths.slice(0, config.maxMetricsFiles);
+  const texts =
+    toAnalyze.length > 0
+      ? await getRepoObjectsGraphQL(owner, repo, toAnalyze)
+      : {};
+
+  const metrics = {
+    testFiles: testPaths.length,
+    analyzedFiles: 0,
+    testCases: 0,
+    rtlFiles: 0,
+    enzymeFiles: 0,
+    snapshotFiles: 0,
+    snapshotArtifacts: paths.filter((p) => p.endsWith('.snap')).length,
+    sourceTsxFiles,
+    testToSourceRatio:
+      sourceTsxFiles > 0 ? testPaths.length / sourceTsxFiles : null,
+    truncated,
+  };
+  for (const p of toAnalyze) {
+    if (typeof texts[p] !== 'string') continue;
+    const file = analyzeTestSource(texts[p], p);
+    metrics.analyzedFiles++;
+    metrics.testCases += file.cases;
+    if (file.rtl) metrics.rtlFiles++;
+    if (file.enzyme) metrics.enzymeFiles++;
+    if (file.snapshot) metrics.snapshotFiles++;
+  }
+  return metrics;
+}
+
+module.exports = { analyzeTestSource, computeTestMetrics, countSourceTsx };
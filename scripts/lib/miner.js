@@ -0,0 +1,888 @@
+/* scripts/lib/miner.js */
+/* Laço principal: busca, análise concorrente, CSV e checkpoint */
+
+'use strict';
+
+const { config } = require('./config');
+const {
+  ACTIVITY_MINIMUMS,
+  activityShortfalls,
+  activitySince,
+  computeActivity,
+  hasActivityMinimums,
+} = require('./activity');
+const {
+  loadCheckpoint,
+  recordRepoVerdict,
+  saveCheckpoint,
+  startIncrementalPass,
+} = require('./checkpoint');
+const { getCacheStats } = require('./cache');
+const { ConcurrencyLimiter } = require('./concurrency');
+const { detectCourseOrBoilerplate } = require('./course');
+const { evaluateRule, getCriteria, ruleSignals } = require('./criteria');
+const { detectTech, repoInfoFiles } = require('./detect');
+const { writeFixturesManifest } = require('./fixtures');
+const {
+  getGraphqlUsage,
+  getRepo,
+  getReposInfoGraphQL,
+  searchReposREST,
+} = require('./github');
+const { resolveSnapshot } = require('./history');
+const { computeTestMetrics } = require('./metrics');
+const {
+  SEARCH_RESULT_CAP,
+  buildQuerySlices,
+  collectCoverage,
+  matchesOwnerType,
+  searchQualifiers,
+  sliceQuery,
+  splitSlice,
+} = require('./queries');
+const { getTokenPool } = require('./tokens');
+const { fetchDependencyVersions } = require('./versions');
+const { openWriters } = require('./writers');
+
+let stopRequested = false;
+
+function requestStop() {
+  stopRequested = true;
+}
+
+function trueSignals(signals) {
+  return Object.keys(signals).filter((name) => signals[name]);
+}
+
+// Parcela dos bytes de código que é TypeScript (null sem linguagens)
+function typescriptShare(languages = {}) {
+  const total = Object.values(languages).reduce((sum, n) => sum + n, 0);
+  return total > 0 ? (languages.TypeScript || 0) / total : null;
+}
+
+// Campos que a Search API já traz em `item`, sem consultas extras
+function repoMetadata(item, tech) {
+  return {
+    description: item.description || '',
+    forks: item.forks_count ?? '',
+    openIssues: item.open_issues_count ?? '',
+    createdAt: item.created_at || '',
+    pushedAt: item.pushed_at || '',
+    defaultBranch: item.default_branch || '',
+    license: item.license?.spdx_id || '',
+    sizeKb: item.size ?? '',
+    topics: item.topics || tech.topics || [],
+    ownerType: item.owner?.type || '',
+    typescriptShare: typescriptShare(tech.languages),
+  };
+}
+
+/**
+ * Detecção e veredito de um repositório, sem efeitos colaterais: sinais
+ * (`tech`), flag de curso/boilerplate (`course`) e o resultado de todas as
+ * etapas do critério. `failedStage` é a primeira etapa reprovada.
+ * `prefetched` vem de getReposInfoGraphQL e `ref`, se dado, é a versão
+ * avaliada (ver detectTech).
+ */
+async function evaluateRepository(
+  item,
+  criteria = getCriteria(),
+  prefetched = undefined,
+  ref = 'HEAD'
+) {
+  const tech = await detectTech(
+    item.owner.login,
+    item.name,
+    criteria,
+    prefetched,
+    ref
+  );
+  const course = await detectCourseOrBoilerplate(
+    item.owner.login,
+    item.name,
+    item.name,
+    item.description,
+    tech.topics,
+    tech.readme
+  );
+  const stages = criteria.stages.map((stage) => {
+    const cited = ruleSignals(stage.rule);
+    const passed = evaluateRule(stage.rule, tech.signals);
+    return {
+      id: stage.id,
+      label: stage.label || stage.id,
+      passed,
+      ruleSignals: cited,
+      failedSignals: passed ? [] : cited.filter((name) => !tech.signals[name]),
+    };
+  });
+  const excluded = Boolean(
+    config.excludeCourseBoilerplate && course.isCourseOrBoilerplate
+  );
+  const failedStage = stages.find((stage) => !stage.passed) || null;
+  return {
+    tech,
+    course,
+    stages,
+    excluded,
+    failedStage,
+    qualified: !excluded && !failedStage,
+  };
+}
+
+async function processRepository(
+  item,
+  processed,
+  checkpoint,
+  criteria = getCriteria(),
+  writers = null,
+  prefetched = undefined
+) {
+  const nameWithOwner = item.full_name;
+
+  // Registra a rejeição no checkpoint e, com detalhes, nas saídas
+  function reject(stage, label, details) {
+    recordRepoVerdict(
+      checkpoint,
+      nameWithOwner,
+      'rejected',
+      stage,
+      item.pushed_at
+    );
+    writers?.writeRejection({
+      name: nameWithOwner,
+      link: `https://github.com/${nameWithOwner}`,
+      stars: item.stargazers_count,
+      stage,
+      label,
+      failedSignals: [],
+      courseKind: null,
+      keyword: null,
+      matchedIn: null,
+      ...details,
+      at: checkpoint.repos[nameWithOwner].at,
+    });
+  }
+
+  if (processed.has(nameWithOwner)) return null;
+  processed.add(nameWithOwner);
+
+  console.log(`🔍 Analisando: ${nameWithOwner} (${item.stargazers_count}⭐)`);
+
+  try {
+    const evaluation = await evaluateRepository(item, criteria, prefetched);
+    const { tech, course: courseFlag, failedStage } = evaluation;
+
+    if (evaluation.excluded) {
+      console.log(
+        `⏭️ Excluído por curso/boilerplate/template: ${nameWithOwner}`
+      );
+      reject('course', 'Curso/boilerplate/template', {
+        courseKind: courseFlag.kind,
+        keyword: courseFlag.keyword,
+        matchedIn: courseFlag.matchedIn,
+        signals: trueSignals(tech.signals),
+      });
+      return null;
+    }
+
+    if (failedStage) {
+      const flags = failedStage.ruleSignals
+        .map((name) => `${name}:${tech.signals[name]}`)
+        .join(' ');
+      console.log(`❌ ${failedStage.label} (${flags}): ${nameWithOwner}`);
+      reject(failedStage.id, failedStage.label, {
+        failedSignals: failedStage.failedSignals,
+        signals: trueSignals(tech.signals),
+      });
+      return null;
+    }
+
+    // Atividade antes das métricas de teste: abaixo dos mínimos, rejeita
+    // sem gastar as consultas das métricas
+    let activity = null;
+    if (config.activityMetrics || hasActivityMinimums()) {
+      try {
+        activity = await computeActivity(
+          item.owner.login,
+          item.name,
+          config.referenceDate,
+          prefetched?.activity
+        );
+      } catch (err) {
+        // Com mínimos definidos não dá para decidir sem as métricas
+        if (err.transient || hasActivityMinimums()) throw err;
+        console.warn(
+          `⚠️ Métricas de atividade indisponíveis (${nameWithOwner}): ${err.message}`
+        );
+      }
+      const shortfalls = activity ? activityShortfalls(activity) : [];
+      if (shortfalls.length > 0) {
+        console.log(
+          `📉 Atividade abaixo do mínimo (${shortfalls.join(
+            ', '
+          )}): ${nameWithOwner}`
+        );
+        reject('activity', 'Atividade abaixo do mínimo', {
+          failedSignals: shortfalls,
+          signals: trueSignals(tech.signals),
+        });
+        return null;
+      }
+    }
+
+    let metrics = null;
+    if (config.testMetrics) {
+      try {
+        metrics = await computeTestMetrics(
+          item.owner.login,
+          item.name,
+          tech.tree
+        );
+      } catch (err) {
+        if (err.transient) throw err;
+        console.warn(
+          `⚠️ Métricas de teste indisponíveis (${nameWithOwner}): ${err.message}`
+        );
+      }
+    }
+
+    let versions = null;
+    if (config.dependencyVersions) {
+      try {
+        versions = await fetchDependencyVersions(
+          item.owner.login,
+          item.name,
+          tech.packageJsons,
+          criteria
+        );
+      } catch (err) {
+        if (err.transient) throw err;
+        console.warn(
+          `⚠️ Versões de dependências indisponíveis (${nameWithOwner}): ${err.message}`
+        );
+      }
+    }
+
+    const repoData = {
+      nameWithOwner,
+      stars: item.stargazers_count,
+      metadata: repoMetadata(item, tech),
+      signals: tech.signals,
+      evidence: tech.evidence,
+      monorepo: tech.monorepo,
+      satisfiedBy: tech.satisfiedBy,
+      metrics,
+      versions,
+      activity,
+    };
+
+    console.log(`✅ Validado: ${nameWithOwner}`);
+    return repoData;
+  } catch (err) {
+    console.warn(`⚠️ Falha ao analisar ${nameWithOwner}: ${err.message}`);
+    recordRepoVerdict(checkpoint, nameWithOwner, 'failed', err.message);
+    // Falha transitória: guarda o item para reprocessar (a página da busca
+    // pode já estar concluída e não trazê-lo de volta)
+    if (err.transient) checkpoint.pending[nameWithOwner] = item;
+    else delete checkpoint.pending[nameWithOwner];
+    return null;
+  }
+}
+
+/**
+ * Avalia um único repositório (`owner/repo`) fora do laço de busca, sem
+ * tocar no checkpoint nem nas saídas e sem calcular métricas de teste.
+ * Retorna `{ name, verdict, item, evaluation, snapshot, activity,
+ * shortfalls }`, com `verdict` igual a `qualified`, `rejected`, `failed` (e
+ * `error`) ou `not-found`. Com mínimos de atividade configurados, um
+ * qualificado pelo critério também passa por eles, como no `mine`:
+ * `activity` traz as métricas e `shortfalls` as que ficaram abaixo. Com `at`
+ * (commit, tag ou data; ver resolveSnapshot), avalia aquela versão e
+ * `snapshot` traz o commit resolvido; os mínimos, que medem o repositório
+ * hoje, não se aplicam.
+ */
+async function checkRepository(fullName, criteria = getCriteria(), at = null) {
+  const [owner, repo] = fullName.split('/');
+  const item = owner && repo ? await getRepo(owner, repo) : null;
+  if (!item) return { name: fullName, verdict: 'not-found' };
+
+  const name = item.full_name;
+  console.log(`🔍 Analisando: ${name} (${item.stargazers_count}⭐)`);
+  try {
+    const snapshot = at
+      ? await resolveSnapshot(item.owner.login, item.name, at)
+      : null;
+    if (at && !snapshot) {
+      return { name, verdict: 'failed', item, error: `nenhum commit em ${at}` };
+    }
+    const evaluation = await evaluateRepository(
+      item,
+      criteria,
+      undefined,
+      snapshot?.sha
+    );
+    let activity = null;
+    let shortfalls = [];
+    if (evaluation.qualified && !at && hasActivityMinimums()) {
+      activity = await computeActivity(item.owner.login, item.name);
+      shortfalls = activityShortfalls(activity);
+    }
+    return {
+      name,
+      verdict:
+        evaluation.qualified && shortfalls.length === 0
+          ? 'qualified'
+          : 'rejected',
+      item,
+      evaluation,
+      snapshot,
+      activity,
+      shortfalls,
+    };
+  } catch (err) {
+    return { name, verdict: 'failed', item, error: err.message };
+  }
+}
+
+async function main() {
+  process.on('SIGTERM', requestStop);
+  process.on('SIGINT', requestStop);
+
+  const criteria = getCriteria();
+  const limiter = new ConcurrencyLimiter(config.concurrentRepos);
+
+  const writers = await openWriters(criteria);
+  if (config.httpFixtures === 'record') writeFixturesManifest();
+  if (config.httpFixtures) {
+    console.log(
+      `🎞️ Fixtures HTTP (${config.httpFixtures}): ${config.httpFixturesDir}`
+    );
+  }
+
+  const checkpoint = loadCheckpoint();
+  const writtenNames = writers.existingNames();
+  const pass = config.incremental ? startIncrementalPass(checkpoint) : null;
+
+  // Repositórios com veredito definitivo não são reanalisados; falhas sim
+  const processed = new Set(
+    Object.entries(checkpoint.repos)
+      .filter(([, r]) => r.verdict !== 'failed')
+      .map(([name]) => name)
+  );
+  for (const name of writtenNames) processed.add(name);
+  let totalQualified = writtenNames.size;
+  let reachedLimit = false;
+  const initialProcessed = processed.size;
+  const initialQualified = totalQualified;
+  // Modo incremental: reavaliações, linhas atualizadas e mudanças de situação
+  let reevaluated = 0;
+  let updated = 0;
+  const statusChanges = {};
+
+  // No modo incremental os limites valem para esta execução, não para o
+  // dataset inteiro
+  const qualifiedForLimit = () =>
+    pass ? totalQualified - initialQualified : totalQualified;
+  const analyzedForLimit = () =>
+    pass ? processed.size - initialProcessed + reevaluated : processed.size;
+
+  // Modo incremental: quem já tem veredito só volta a ser avaliado se teve
+  // push desde então (ou se já foi avaliado nesta passada, nunca)
+  function changedSinceVerdict(item) {
+    const entry = checkpoint.repos[item.full_name];
+    if (!entry || entry.verdict === 'failed') return true;
+    if (entry.at >= pass.startedAt) return false;
+    return !item.pushed_at || entry.pushedAt !== item.pushed_at;
+  }
+
+  // Muda a situação de um qualificado do dataset (ver REPO_STATUSES)
+  function markStatus(name, status) {
+    const entry = checkpoint.repos[name] || {
+      verdict: 'qualified',
+      at: new Date().toISOString(),
+    };
+    if ((entry.status || 'active') === status) return;
+    writers.markRepo(name, status);
+    checkpoint.repos[name] = { ...entry, status };
+    statusChanges[status] = (statusChanges[status] || 0) + 1;
+    console.log(`🏷️ ${name}: ${status}`);
+  }
+
+  // Qualificados do dataset que foram reavaliados e agora são rejeitados
+  function markDisqualified(names) {
+    for (const name of names) {
+      if (
+        writtenNames.has(name) &&
+        checkpoint.repos[name]?.verdict === 'rejected'
+      ) {
+        markStatus(name, 'disqualified');
+      }
+    }
+  }
+
+  // Grava os qualificados e registra o veredito. Retorna false se algum
+  // ficou de fora por limite ou interrupção (será reanalisado depois).
+  function registerResults(validResults) {
+    let complete = true;
+    for (const result of validResults) {
+      if (reachedLimit || stopRequested) {
+        // Não registrados: serão reanalisados na próxima execução
+        processed.delete(result.nameWithOwner);
+        complete = false;
+        continue;
+      }
+      if (!writtenNames.has(result.nameWithOwner)) {
+        writers.writeRepo(result);
+        writtenNames.add(result.nameWithOwner);
+        totalQualified++;
+      } else if (pass) {
+        // Reavaliado no modo incremental: a linha é atualizada no lugar
+        writers.writeRepo(result);
+        updated++;
+      }
+      recordRepoVerdict(
+        checkpoint,
+        result.nameWithOwner,
+        'qualified',
+        null,
+        result.metadata.pushedAt
+      );
+      console.log(
+        `📝 Registrado: ${result.nameWithOwner} | Total qualificados: ${totalQualified}`
+      );
+
+      if (qualifiedForLimit() >= config.maxQualified) {
+        console.log(
+          `Atingiu MAX_QUALIFIED=${config.maxQualified}. Finalizando...`
+        );
+        reachedLimit = true;
+      }
+    }
+    return complete;
+  }
+
+  // Fim de uma passada incremental: qualificados do dataset que a busca não
+  // trouxe são conferidos um a um. 404 ou privado → deleted; arquivado →
+  // archived; com push novo → reavaliado; senão (ou se ainda qualifica) →
+  // unlisted. A consulta revalida o cache HTTP: uma entrada dentro do TTL
+  // esconderia um repositório apagado ou arquivado. Retorna false se alguma
+  // consulta falhou.
+  async function reviewMissing() {
+    const missing = [...writtenNames].filter((name) => !(name in pass.seen));
+    if (missing.length === 0) return true;
+    console.log(
+      `\n🔎 Conferindo ${missing.length} repositórios do dataset que a busca não trouxe...`
+    );
+    let complete = true;
+    const changed = [];
+    await Promise.all(
+      missing.map((name) =>
+        limiter.add(async () => {
+          const [owner, repo] = name.split('/');
+          let item;
+          try {
+            item = await getRepo(owner, repo, { revalidate: true });
+          } catch (err) {
+            console.warn(`⚠️ Falha ao conferir ${name}: ${err.message}`);
+            complete = false;
+            return;
+          }
+          if (
+            !item ||
+            item.private ||
+            item.full_name.toLowerCase() !== name.toLowerCase()
+          ) {
+            markStatus(name, 'deleted');
+          } else if (item.archived) {
+            markStatus(name, 'archived');
+          } else if (changedSinceVerdict(item)) {
+            changed.push(item);
+          } else {
+            markStatus(name, 'unlisted');
+          }
+        })
+      )
+    );
+
+    for (const item of changed) processed.delete(item.full_name);
+    reevaluated += changed.length;
+    const results = await Promise.all(
+      changed.map((item) =>
+        limiter.add(() =>
+          processRepository(item, processed, checkpoint, criteria, writers)
+        )
+      )
+    );
+    if (!registerResults(results.filter((r) => r !== null))) complete = false;
+    for (const item of changed) {
+      if (checkpoint.repos[item.full_name]?.verdict === 'qualified') {
+        markStatus(item.full_name, 'unlisted');
+      }
+    }
+    markDisqualified(changed.map((item) => item.full_name));
+    return complete;
+  }
+
+  const slices = buildQuerySlices({ bases: criteria.search.bases });
+  const queries = slices.map((slice) => sliceQuery(slice));
+  const startedAt = new Date().toISOString();
+  const run = {
+    id: startedAt,
+    criteria: criteria.id,
+    startedAt,
+    finishedAt: null,
+    formats: config.outputFormats,
+    queries: queries.length,
+    analyzed: 0,
+    qualified: 0,
+    interrupted: false,
+    settings: {
+      quartersCount: config.quartersCount,
+      referenceDate: config.referenceDate.toISOString(),
+      excludeTopics: config.excludeTopics,
+      incremental: config.incremental,
+      search: {
+        qualifiers: searchQualifiers(),
+        minStars: config.minStars,
+        maxStars: config.maxStars,
+        minSizeKb: config.minSizeKb,
+        maxSizeKb: config.maxSizeKb,
+        licenses: config.licenses,
+        createdFrom: config.createdFrom || null,
+        createdTo: config.createdTo || null,
+        includeOwners: config.includeOwners,
+        excludeOwners: config.excludeOwners,
+        ownerType: config.ownerType || null,
+        sort: config.searchSort || null,
+        order: config.searchOrder || null,
+      },
+      batchSize: config.batchSize,
+      maxQualified: config.maxQualified,
+      maxAnalyzed: config.maxAnalyzed,
+      excludeCourseBoilerplate: config.excludeCourseBoilerplate,
+      monorepoDetection: config.monorepoDetection,
+      testMetrics: config.testMetrics,
+      dependencyVersions: config.dependencyVersions,
+      activityMetrics: config.activityMetrics,
+      activityMinimums: {
+        ...Object.fromEntries(
+          Object.keys(ACTIVITY_MINIMUMS).map((field) => [field, config[field]])
+        ),
+        requireCi: config.requireCi,
+      },
+      httpFixtures: config.httpFixtures || null,
+      httpCache: config.httpCache,
+      tokens: getTokenPool().tokens.length,
+    },
+  };
+  writers.startRun(run);
+  console.log(`Critério: ${criteria.id} — ${criteria.description || ''}`);
+  console.log(`Queries geradas: ${queries.length}`);
+  console.log(
+    `Concorrência configurada: ${config.concurrentRepos} repositórios em paralelo`
+  );
+  console.log(`🔑 Tokens no pool: ${getTokenPool().tokens.length}`);
+  if (queries.length > 0) console.log(`Exemplo de query[0]: ${queries[0]}`);
+  if (pass) {
+    console.log(
+      `🔁 Modo incremental: passada iniciada em ${pass.startedAt}, ${writtenNames.size} repositórios no dataset`
+    );
+  }
+  if (processed.size > 0) {
+    const { done } = collectCoverage(checkpoint, slices);
+    console.log(
+      `♻️ Retomando de ${config.checkpointFile}: ${processed.size} repositórios já analisados, ${done}/${queries.length} queries concluídas`
+    );
+  }
+
+  if (qualifiedForLimit() >= config.maxQualified) {
+    console.log(`Atingiu MAX_QUALIFIED=${config.maxQualified}. Finalizando...`);
+    reachedLimit = true;
+  }
+
+  // Pilha de fatias: uma query com mais de 1000 resultados é trocada pelas
+  // fatias filhas (splitSlice), processadas na ordem antes da próxima
+  const stack = [...slices].reverse();
+  while (stack.length > 0) {
+    if (reachedLimit || stopRequested) break;
+
+    const slice = stack.pop();
+    const q = sliceQuery(slice);
+    const queryState = checkpoint.queries[q] || { lastPage: 0, done: false };
+    checkpoint.queries[q] = queryState;
+    if (queryState.split) {
+      stack.push(...splitSlice(slice).reverse());
+      continue;
+    }
+    if (queryState.done) continue;
+
+    console.log(`\n🔎 Query: ${q}`);
+    let page = queryState.lastPage + 1;
+    if (page > 1) console.log(`♻️ Retomando na página ${page}`);
+
+    while (!reachedLimit && !stopRequested) {
+      let result;
+      try {
+        result = await searchReposREST(q, page, config.batchSize);
+      } catch (e) {
+        console.error(`❌ Erro na busca REST: ${e.message}`);
+        break;
+      }
+
+      const items = result.items || [];
+      console.log(
+        `📈 total_count≈${result.total_count} | página=${page} | itens=${items.length}`
+      );
+
+      if (page === 1) {
+        queryState.total = result.total_count;
+        const children =
+          result.total_count > SEARCH_RESULT_CAP ? splitSlice(slice) : null;
+        if (children) {
+          // Os itens desta página voltam nas fatias filhas
+          console.log(
+            `✂️ Mais de ${SEARCH_RESULT_CAP} resultados: dividindo em ${children.length} fatias`
+          );
+          queryState.split = true;
+          stack.push(...children.reverse());
+          break;
+        }
+        if (result.total_count > SEARCH_RESULT_CAP) {
+          queryState.capped = true;
+          console.warn(
+            `⚠️ Fatia indivisível com ${result.total_count} resultados: só os primeiros ${SEARCH_RESULT_CAP} serão visitados`
+          );
+        }
+      }
+
+      if (items.length === 0) {
+        queryState.done = true;
+        break;
+      }
+
+      // OWNER_TYPE não é qualificador da busca: o filtro é feito aqui
+      const selected = items.filter((item) => matchesOwnerType(item));
+      if (selected.length < items.length) {
+        console.log(
+          `👤 ${items.length - selected.length} itens ignorados (OWNER_TYPE=${
+            config.ownerType
+          })`
+        );
+      }
+
+      if (pass) {
+        for (const item of selected) {
+          pass.seen[item.full_name] = item.pushed_at || null;
+          if (!changedSinceVerdict(item)) {
+            // De volta à busca sem push novo (ex.: desarquivado): o
+            // qualificado do dataset volta a ser `active`
+            if (
+              writtenNames.has(item.full_name) &&
+              checkpoint.repos[item.full_name]?.verdict === 'qualified'
+            ) {
+              markStatus(item.full_name, 'active');
+            }
+          } else if (processed.delete(item.full_name)) {
+            reevaluated++;
+          }
+        }
+      }
+
+      // Processa repositórios em paralelo
+      console.log(
+        `🔄 Processando ${selected.length} repositórios em paralelo (máx ${config.concurrentRepos})...`
+      );
+      // Linguagens, tópicos, arquivos da raiz e contagens de atividade de
+      // toda a página em poucas queries GraphQL, em vez de uma por repositório
+      const infos = await getReposInfoGraphQL(
+        selected
+          .map((item) => item.full_name)
+          .filter((name) => !processed.has(name)),
+        repoInfoFiles(criteria),
+        {
+          activitySince:
+            config.activityMetrics || hasActivityMinimums()
+              ? activitySince()
+              : null,
+        }
+      );
+      const tasks = selected.map((item) =>
+        limiter.add(() =>
+          processRepository(
+            item,
+            processed,
+            checkpoint,
+            criteria,
+            writers,
+            infos.get(item.full_name)
+          )
+        )
+      );
+
+      const results = await Promise.all(tasks);
+      const validResults = results.filter((r) => r !== null);
+      console.log(
+        `📊 Lote processado: ${validResults.length}/${selected.length} repositórios válidos`
+      );
+
+      // Escreve resultados válidos nas saídas
+      const pageComplete = registerResults(validResults);
+      if (pass) markDisqualified(selected.map((item) => item.full_name));
+
+      // Só avança a página no checkpoint se todos os itens foram registrados
+      if (pageComplete) {
+        queryState.lastPage = page;
+        queryState.seen = (queryState.seen || 0) + items.length;
+      }
+
+      const maxPages = Math.ceil(
+        Math.min(result.total_count, SEARCH_RESULT_CAP) / config.batchSize
+      );
+      if (pageComplete && page >= maxPages) {
+        queryState.done = true;
+      }
+      writers.flush();
+      saveCheckpoint(checkpoint);
+
+      if (reachedLimit || stopRequested) break;
+
+      // Verifica limite de repositórios analisados
+      if (config.maxAnalyzed > 0 && analyzedForLimit() >= config.maxAnalyzed) {
+        console.log(
+          `Atingiu MAX_ANALYZED=${config.maxAnalyzed}. Finalizando...`
+        );
+        reachedLimit = true;
+        break;
+      }
+
+      if (queryState.done) {
+        console.log('🏁 Fim da paginação desta query (limite da Search API).');
+        break;
+      }
+      page += 1;
+      // Sleep dinâmico já está sendo controlado em ghGET/ghGraphQL
+    }
+
+    saveCheckpoint(checkpoint);
+    console.log('📊 Query finalizada.');
+    // Removido sleep fixo - controle dinâmico está ativo
+  }
+
+  // Falhas transitórias (desta execução e das anteriores) têm mais uma
+  // chance; as que falharem de novo continuam pendentes no checkpoint
+  const pending = Object.values(checkpoint.pending);
+  if (pending.length > 0 && !reachedLimit && !stopRequested) {
+    console.log(
+      `\n🔁 Reprocessando ${pending.length} repositórios com falha transitória...`
+    );
+    for (const item of pending) processed.delete(item.full_name);
+    const results = await Promise.all(
+      pending.map((item) =>
+        limiter.add(() =>
+          processRepository(item, processed, checkpoint, criteria, writers)
+        )
+      )
+    );
+    registerResults(results.filter((r) => r !== null));
+    writers.flush();
+    saveCheckpoint(checkpoint);
+  }
+  const stillPending = Object.keys(checkpoint.pending).length;
+  if (stillPending > 0) {
+    console.log(
+      `🔁 ${stillPending} repositórios com falha transitória ficam pendentes para a próxima execução.`
+    );
+  }
+
+  const coverage = collectCoverage(checkpoint, slices);
+  // A passada só termina com a busca inteira percorrida: antes disso, sumir
+  // da busca não quer dizer nada
+  if (
+    pass &&
+    coverage.done === coverage.total &&
+    !reachedLimit &&
+    !stopRequested
+  ) {
+    if (await reviewMissing()) {
+      delete checkpoint.incremental;
+    } else {
+      console.log(
+        '🔁 Conferência incompleta: a passada incremental continua na próxima execução.'
+      );
+    }
+    writers.flush();
+    saveCheckpoint(checkpoint);
+  }
+
+  Object.assign(run, {
+    finishedAt: new Date().toISOString(),
+    analyzed: processed.size - initialProcessed + reevaluated,
+    qualified: totalQualified - initialQualified,
+    interrupted: stopRequested,
+    coverage: {
+      estimated: coverage.estimated,
+      visited: coverage.visited,
+      split: coverage.split,
+      capped: coverage.capped.length,
+    },
+  });
+  writers.finishRun(run);
+  writers.close();
+  saveCheckpoint(checkpoint);
+
+  if (stopRequested) {
+    console.log(
+      `\n⏸️ Interrompido. Progresso salvo em ${config.checkpointFile}; execute novamente para retomar.`
+    );
+  }
+
+  console.log('\n🎉 ===== RESUMO =====');
+  console.log(`🔢 Repositórios únicos analisados: ${processed.size}`);
+  console.log(`✅ Repositórios mantidos (pós-filtros): ${totalQualified}`);
+  if (pass) {
+    const changes = Object.entries(statusChanges)
+      .map(([status, n]) => `${status} ${n}`)
+      .join(', ');
+    console.log(
+      `🔁 Incremental: ${reevaluated} reavaliados, ${updated} linhas atualizadas, situações alteradas: ${
+        changes || 'nenhuma'
+      }`
+    );
+  }
+  for (const file of writers.files) console.log(`📁 Saída: ${file}`);
+  console.log(`💾 Checkpoint: ${config.checkpointFile}`);
+  console.log(
+    `🧭 Cobertura da busca: ${coverage.visited}/${coverage.estimated} resultados estimados visitados (${coverage.split} queries divididas)`
+  );
+  for (const { query, total, seen } of coverage.capped) {
+    console.log(`⚠️ Incompleta: ${query} (${seen}/${total})`);
+  }
+  if (config.httpCache) {
+    const cache = getCacheStats();
+    console.log(
+      `🗄️ Cache HTTP: ${cache.hits} respostas do disco, ${cache.revalidated} revalidadas (304), ${cache.stored} gravadas`
+    );
+  }
+  const graphql = getGraphqlUsage();
+  console.log(
+    `🧮 GraphQL: ${graphql.queries} queries, custo ${graphql.cost} (restante ${
+      graphql.remaining ?? '?'
+    })`
+  );
+  for (const { token, ...buckets } of getTokenPool().summary()) {
+    const quotas = Object.entries(buckets)
+      .map(([bucket, q]) => `${bucket} ${q.remaining ?? '?'}/${q.limit ?? '?'}`)
+      .join(', ');
+    console.log(`🔑 ${token}: ${quotas}`);
+  }
+}
+
+module.exports = {
+  checkRepository,
+  evaluateRepository,
+  processRepository,
+  main,
+  requestStop,
+  repoMetadata,
+};
@@ -0,0 +1,273 @@
+/* scripts/lib/output.js */
+/* Escrita dos CSVs de repositórios qualificados e de rejeições */
+
+'use strict';
+
+const fs = require('fs');
+
+const { config } = require('./config');
+const { getCriteria } = require('./criteria');
+const { formatCsvRow, parseCsv } = require('./csv');
+const { versionMajors } = require('./versions');
+
+function ensureOutput() {
+  if (!fs.existsSync(config.outputDir))
+    fs.mkdirSync(config.outputDir, { recursive: true });
+}
+
+// Metadados do repositório (campos da Search API e linguagens): coluna → valor
+const METADATA_COLUMNS = [
+  ['Descricao', (m) => m.description],
+  ['Forks', (m) => m.forks],
+  ['IssuesAbertas', (m) => m.openIssues],
+  ['CriadoEm', (m) => m.createdAt],
+  ['UltimoPush', (m) => m.pushedAt],
+  ['BranchPadrao', (m) => m.defaultBranch],
+  ['Licenca', (m) => m.license],
+  ['TamanhoKB', (m) => m.sizeKb],
+  ['Topicos', (m) => m.topics.join('|')],
+  ['TipoDono', (m) => m.ownerType],
+  [
+    'ParcelaTypeScript',
+    (m) => (m.typescriptShare === null ? '' : m.typescriptShare.toFixed(3)),
+  ],
+];
+
+// Métricas de teste (lib/metrics.js): coluna → valor formatado
+const METRIC_COLUMNS = [
+  ['ArquivosTeste', (m) => m.testFiles],
+  ['ArquivosTesteAnalisados', (m) => m.analyzedFiles],
+  ['CasosTeste', (m) => m.testCases],
+  ['ArquivosRTL', (m) => m.rtlFiles],
+  ['ArquivosEnzyme', (m) => m.enzymeFiles],
+  ['ArquivosSnapshot', (m) => m.snapshotFiles],
+  ['ArquivosSnap', (m) => m.snapshotArtifacts],
+  ['FontesTsx', (m) => m.sourceTsxFiles],
+  [
+    'RazaoTesteFonte',
+    (m) => (m.testToSourceRatio === null ? '' : m.testToSourceRatio.toFixed(3)),
+  ],
+];
+
+// Atividade do repositório (lib/activity.js): coluna → valor
+const ACTIVITY_COLUMNS = [
+  ['Contribuidores', (a) => a.contributors ?? ''],
+  ['Commits', (a) => a.commits],
+  ['CommitsUltimoAno', (a) => a.commitsLastYear],
+  ['PrimeiroCommit', (a) => a.firstCommitAt ?? ''],
+  ['UltimoCommit', (a) => a.lastCommitAt ?? ''],
+  ['PRsAbertos', (a) => a.openPullRequests],
+  ['PRsFechados', (a) => a.closedPullRequests],
+  ['IssuesAbertasSemPRs', (a) => a.openIssues],
+  ['IssuesFechadas', (a) => a.closedIssues],
+  ['Releases', (a) => a.releases],
+  ['WorkflowsCI', (a) => a.ciWorkflows],
+];
+
+// Metadados, uma coluna Sim/Não por sinal do critério, as evidências
+// encontradas, em monorepos os manifestos de workspace e onde cada sinal
+// apareceu, as métricas de teste, a situação no dataset (ver
+// REPO_STATUSES em lib/writers.js), as versões das dependências do
+// critério (lib/versions.js) e a atividade. As colunas mais novas vão
+// sempre para o fim, para CSVs antigos só ganharem colunas vazias.
+function csvColumns(criteria = getCriteria()) {
+  return [
+    'Repositorio',
+    'Link',
+    'Estrelas',
+    ...METADATA_COLUMNS.map(([column]) => column),
+    ...Object.keys(criteria.signals),
+    'Evidencias',
+    'Monorepo',
+    'SinaisPorWorkspace',
+    ...METRIC_COLUMNS.map(([column]) => column),
+    'Situacao',
+    'Lockfile',
+    'ApenasPeer',
+    'Versoes',
+    ...Object.keys(criteria.versions || {}).map((key) => `Major${key}`),
+    ...ACTIVITY_COLUMNS.map(([column]) => column),
+  ];
+}
+
+function csvHeader(criteria = getCriteria()) {
+  return csvColumns(criteria).join(',');
+}
+
+// `react=^16.8.0→16.14.0|enzyme=^3.11.0` (→ só com versão do lockfile)
+function formatVersions(versions) {
+  return Object.entries(versions?.packages || {})
+    .map(
+      ([name, { range, resolved }]) =>
+        `${name}=${range}${resolved ? `→${resolved}` : ''}`
+    )
+    .join('|');
+}
+
+// `React=packages/web;Jest=.|packages/web` (`.` é a raiz)
+function formatSatisfiedBy(satisfiedBy = {}, names) {
+  return names
+    .filter((name) => satisfiedBy[name]?.length > 0)
+    .map((name) => `${name}=${satisfiedBy[name].join('|')}`)
+    .join(';');
+}
+
+// Regrava o CSV inteiro de forma atômica
+function rewriteCsv(file, rows) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, rows.map(formatCsvRow).join(''), 'utf-8');
+  fs.renameSync(tmp, file);
+}
+
+// Cria o CSV com o cabeçalho ou confere que o existente tem as mesmas
+// colunas. Um CSV de uma versão anterior, sem as colunas acrescentadas no
+// fim, ganha essas colunas vazias.
+function ensureCsvHeader(file, columns, what) {
+  ensureOutput();
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, formatCsvRow(columns), 'utf-8');
+    return;
+  }
+  const [existing = [], ...rows] = parseCsv(fs.readFileSync(file, 'utf-8'));
+  const isPrefix =
+    existing.length < columns.length &&
+    existing.every((column, i) => column === columns[i]);
+  if (isPrefix) {
+    const added = columns.slice(existing.length);
+    console.log(`🧱 Colunas novas em ${file}: ${added.join(', ')}`);
+    rewriteCsv(file, [
+      columns,
+      ...rows.map((row) => [...row, ...added.map(() => '')]),
+    ]);
+    return;
+  }
+  if (existing.join(',') !== columns.join(',')) {
+    throw new Error(
+      `${file} tem colunas diferentes das ${what}. Mova o arquivo ou use outra OUTPUT_DIR.`
+    );
+  }
+}
+
+function writeCsvHeaderIfNeeded(criteria = getCriteria()) {
+  ensureCsvHeader(
+    config.csvFile,
+    csvColumns(criteria),
+    `do critério ${criteria.id}`
+  );
+}
+
+// Valores de uma linha do CSV, na ordem de csvColumns
+function csvRow(
+  {
+    nameWithOwner,
+    stars,
+    metadata,
+    signals,
+    evidence,
+    monorepo,
+    satisfiedBy,
+    metrics,
+    status,
+    versions,
+    activity,
+  },
+  criteria = getCriteria()
+) {
+  const names = Object.keys(criteria.signals);
+  const link = `https://github.com/${nameWithOwner}`;
+  const flags = names.map((name) => (signals[name] ? 'Sim' : 'Não'));
+  const found = [...new Set(names.flatMap((name) => evidence[name] || []))];
+  return [
+    nameWithOwner,
+    link,
+    stars,
+    ...METADATA_COLUMNS.map(([, value]) => (metadata ? value(metadata) : '')),
+    ...flags,
+    found.join('|'),
+    monorepo ? monorepo.sources.join('|') : '',
+    monorepo ? formatSatisfiedBy(satisfiedBy, names) : '',
+    ...METRIC_COLUMNS.map(([, value]) => (metrics ? value(metrics) : '')),
+    status || 'active',
+    versions?.lockfile || '',
+    (versions?.peerOnly || []).join('|'),
+    formatVersions(versions),
+    ...Object.values(versionMajors(versions, criteria)).map((major) =>
+      major === null ? '' : major
+    ),
+    ...ACTIVITY_COLUMNS.map(([, value]) => (activity ? value(activity) : '')),
+  ];
+}
+
+function appendCsvRow(repoData, criteria = getCriteria()) {
+  fs.appendFileSync(config.csvFile, formatCsvRow(csvRow(repoData, criteria)));
+}
+
+/**
+ * Atualiza linhas do CSV de qualificados no lugar. `updates` mapeia o nome
+ * do repositório a uma função `(linha) => nova linha`; nomes ausentes do
+ * arquivo são ignorados.
+ */
+function updateCsvRows(updates) {
+  const [header, ...rows] = parseCsv(fs.readFileSync(config.csvFile, 'utf-8'));
+  rewriteCsv(config.csvFile, [
+    header,
+    ...rows.map((row) => {
+      const update = updates.get(row[0]?.trim());
+      return update ? update(row) : row;
+    }),
+  ]);
+}
+
+// Uma linha por repositório rejeitado (ver `reject` em lib/miner.js)
+const REJECTION_COLUMNS = [
+  ['Repositorio', (r) => r.name],
+  ['Link', (r) => r.link],
+  ['Estrelas', (r) => r.stars],
+  ['Etapa', (r) => r.stage],
+  ['Motivo', (r) => r.label],
+  ['SinaisFaltando', (r) => r.failedSignals.join('|')],
+  ['TipoExclusao', (r) => r.courseKind],
+  ['PalavraChave', (r) => r.keyword],
+  ['EncontradaEm', (r) => r.matchedIn],
+  ['SinaisPresentes', (r) => (r.signals || []).join('|')],
+  ['AnalisadoEm', (r) => r.at],
+];
+
+function writeRejectionsHeaderIfNeeded() {
+  ensureCsvHeader(
+    config.rejectionsCsvFile,
+    REJECTION_COLUMNS.map(([column]) => column),
+    'esperadas para rejeições'
+  );
+}
+
+function appendRejectionRow(rejection) {
+  fs.appendFileSync(
+    config.rejectionsCsvFile,
+    formatCsvRow(REJECTION_COLUMNS.map(([, value]) => value(rejection)))
+  );
+}
+
+// Nomes já presentes no CSV (evita linhas duplicadas ao retomar uma execução)
+function readCsvRepoNames() {
+  const names = new Set();
+  if (!fs.existsSync(config.csvFile)) return names;
+  const rows = parseCsv(fs.readFileSync(config.csvFile, 'utf-8')).slice(1);
+  for (const [name = ''] of rows) {
+    if (name.trim()) names.add(name.trim());
+  }
+  return names;
+}
+
+module.exports = {
+  ensureOutput,
+  csvColumns,
+  csvHeader,
+  writeCsvHeaderIfNeeded,
+  csvRow,
+  appendCsvRow,
+  updateCsvRows,
+  readCsvRepoNames,
+  writeRejectionsHeaderIfNeeded,
+  appendRejectionRow,
+};
@@ -0,0 +1,285 @@
+/* scripts/lib/queries.js */
+/* Montagem das queries da Search API e divisão das que passam do limite de
+   1000 resultados */
+
+'use strict';
+
+const { config } = require('./config');
+const { getCriteria } = require('./criteria');
+
+// A Search API só pagina os primeiros 1000 resultados de cada query
+const SEARCH_RESULT_CAP = 1000;
+
+// Faixas de estrelas usadas quando um único dia ainda passa do limite. A
+// maioria dos repositórios tem poucas estrelas, então as faixas baixas são
+// estreitas.
+const STAR_BUCKETS = [
+  [0, 0],
+  [1, 1],
+  [2, 4],
+  [5, 9],
+  [10, 49],
+  [50, 199],
+  [200, 999],
+  [1000, Infinity],
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDate(text) {
+  return new Date(`${text}T00:00:00Z`);
+}
+
+function addDays(text, days) {
+  return isoDate(new Date(parseDate(text).getTime() + days * DAY_MS));
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / DAY_MS) + 1;
+}
+
+// Último dia do mês de `text` (YYYY-MM-DD)
+function endOfMonth(text) {
+  const d = parseDate(text);
+  return isoDate(
+    new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0))
+  );
+}
+
+// Trimestres como intervalos `{ from, to }`, do atual para trás
+function buildQuarterRanges(n, now = config.referenceDate) {
+  const ranges = [];
+  const qStartMonth = Math.floor(now.getUTCMonth() / 3) * 3;
+  let cur = new Date(Date.UTC(now.getUTCFullYear(), qStartMonth, 1));
+
+  for (let i = 0; i < n; i++) {
+    const y = cur.getUTCFullYear();
+    const m0 = cur.getUTCMonth();
+    ranges.push({
+      from: isoDate(cur),
+      to: isoDate(new Date(Date.UTC(y, m0 + 3, 0))),
+    });
+    cur = new Date(Date.UTC(y, m0 - 3, 1));
+  }
+  return ranges;
+}
+
+function buildLastNQuarters(n, now = config.referenceDate) {
+  return buildQuarterRanges(n, now).map(
+    ({ from, to }) => `pushed:${from}..${to}`
+  );
+}
+
+// `stars:5..9`, `stars:>=1000`, `created:<=2020-12-31`... (null ou Infinity
+// = sem limite daquele lado)
+function rangeQualifier(name, min, max) {
+  const hasMin = min !== null && min !== '';
+  const hasMax = max !== null && max !== '' && max !== Infinity;
+  if (hasMin && hasMax) {
+    return min === max ? `${name}:${min}` : `${name}:${min}..${max}`;
+  }
+  if (hasMin) return `${name}:>=${min}`;
+  if (hasMax) return `${name}:<=${max}`;
+  return null;
+}
+
+/**
+ * Qualificadores da configuração acrescentados a toda query: tamanho,
+ * criação, licenças, donos incluídos (`user:`, que vale também para
+ * organizações; vários combinam com OU) e excluídos, EXCLUDE_TOPICS e
+ * EXCLUDE_TERMS (só com APPLY_TEXT_EXCLUDES). As estrelas ficam na fatia
+ * (ver `configuredStars`).
+ */
+function searchQualifiers(cfg = config) {
+  return [
+    rangeQualifier('size', cfg.minSizeKb, cfg.maxSizeKb),
+    rangeQualifier('created', cfg.createdFrom, cfg.createdTo),
+    ...cfg.licenses.map((license) => `license:${license}`),
+    ...cfg.includeOwners.map((owner) => `user:${owner}`),
+    ...cfg.excludeOwners.map((owner) => `-user:${owner}`),
+    cfg.excludeTopics,
+    cfg.applyTextExcludes ? cfg.excludeTerms : null,
+  ].filter(Boolean);
+}
+
+// Faixa de estrelas de MIN_STARS/MAX_STARS, ou null se nenhuma foi definida
+function configuredStars(cfg = config) {
+  if (cfg.minStars === null && cfg.maxStars === null) return null;
+  return { min: cfg.minStars ?? 0, max: cfg.maxStars ?? Infinity };
+}
+
+// A Search API não tem qualificador para o tipo do dono
+function matchesOwnerType(item, ownerType = config.ownerType) {
+  if (!ownerType) return true;
+  const type = item.owner?.type === 'Organization' ? 'org' : 'user';
+  return type === ownerType;
+}
+
+/**
+ * Fatias iniciais da busca: uma por base do critério e trimestre. Uma fatia
+ * é `{ base, pushed: { from, to }, stars }`, com `stars` null ou
+ * `{ min, max }` (max Infinity = sem limite).
+ */
+function buildQuerySlices({
+  bases = getCriteria().search.bases,
+  quartersCount = config.quartersCount,
+  now = config.referenceDate,
+  stars = configuredStars(),
+} = {}) {
+  const quarters = buildQuarterRanges(quartersCount, now);
+  return bases.flatMap((base) =>
+    quarters.map((pushed) => ({ base, pushed, stars }))
+  );
+}
+
+// Texto da query de uma fatia; também é a chave dela no checkpoint
+function sliceQuery({ base, pushed, stars }, qualifiers = searchQualifiers()) {
+  return [
+    base,
+    `pushed:${pushed.from}..${pushed.to}`,
+    stars && rangeQualifier('stars', stars.min, stars.max),
+    'fork:false',
+    'archived:false',
+    ...qualifiers,
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .trim();
+}
+
+function buildQueries({
+  excludeTopics = config.excludeTopics,
+  ...options
+} = {}) {
+  const qualifiers = searchQualifiers({ ...config, excludeTopics });
+  return buildQuerySlices(options).map((slice) =>
+    sliceQuery(slice, qualifiers)
+  );
+}
+
+function splitRange({ from, to }) {
+  const ranges = [];
+  if (endOfMonth(from) < to) {
+    // Vários meses → um intervalo por mês
+    for (let start = from; start <= to; ) {
+      const end = endOfMonth(start) < to ? endOfMonth(start) : to;
+      ranges.push({ from: start, to: end });
+      start = addDays(end, 1);
+    }
+  } else {
+    // Um mês → semanas; uma semana → dias
+    const step = daysBetween(from, to) > 7 ? 7 : 1;
+    for (let start = from; start <= to; start = addDays(start, step)) {
+      const end = addDays(start, step - 1);
+      ranges.push({ from: start, to: end < to ? end : to });
+    }
+  }
+  return ranges;
+}
+
+// Faixas de STAR_BUCKETS dentro de `{ min, max }`; se só uma couber, a
+// faixa é dividida ao meio
+function splitStars({ min, max }) {
+  const buckets = STAR_BUCKETS.filter(([lo, hi]) => hi >= min && lo <= max);
+  if (buckets.length > 1) {
+    return buckets.map(([lo, hi]) => ({
+      min: Math.max(lo, min),
+      max: Math.min(hi, max),
+    }));
+  }
+  if (max === Infinity) {
+    return [
+      { min, max: min * 2 - 1 },
+      { min: min * 2, max: Infinity },
+    ];
+  }
+  const mid = Math.floor((min + max) / 2);
+  return [
+    { min, max: mid },
+    { min: mid + 1, max },
+  ];
+}
+
+/**
+ * Divide uma fatia com mais resultados do que a Search API pagina: o
+ * intervalo de `pushed:` vai para meses, semanas e dias; um único dia é
+ * dividido em faixas de estrelas, e cada faixa ao meio. Retorna as fatias
+ * filhas, sempre na mesma ordem, ou null se a fatia não pode ser dividida
+ * (um dia e um único valor de estrelas).
+ */
+function splitSlice(slice) {
+  const { pushed, stars } = slice;
+  if (pushed.from < pushed.to) {
+    return splitRange(pushed).map((range) => ({ ...slice, pushed: range }));
+  }
+  const range = stars || { min: 0, max: Infinity };
+  if (range.min < range.max) {
+    return splitStars(range).map((r) => ({ ...slice, stars: r }));
+  }
+  return null;
+}
+
+/**
+ * Cobertura das fatias segundo o checkpoint. `estimated` soma o total_count
+ * das fatias iniciais já buscadas e `visited`, os itens das páginas
+ * concluídas; a diferença vem de fatias que não puderam ser divididas
+ * (`capped`) ou que ainda não terminaram. `done`/`started` contam fatias
+ * iniciais (uma fatia dividida só termina quando todas as filhas terminam).
+ */
+function collectCoverage(checkpoint, slices) {
+  const coverage = {
+    total: slices.length,
+    done: 0,
+    started: 0,
+    estimated: 0,
+    visited: 0,
+    split: 0,
+    capped: [],
+  };
+
+  function walk(slice) {
+    const query = sliceQuery(slice);
+    const state = checkpoint.queries[query];
+    if (!state) return 'pending';
+    if (state.split) {
+      coverage.split++;
+      const children = splitSlice(slice).map(walk);
+      return children.every((s) => s === 'done') ? 'done' : 'started';
+    }
+    coverage.visited += state.seen || 0;
+    if (state.capped) {
+      coverage.capped.push({
+        query,
+        total: state.total,
+        seen: state.seen || 0,
+      });
+    }
+    return state.done ? 'done' : 'started';
+  }
+
+  for (const slice of slices) {
+    coverage.estimated += checkpoint.queries[sliceQuery(slice)]?.total || 0;
+    const status = walk(slice);
+    if (status === 'done') coverage.done++;
+    else if (status === 'started') coverage.started++;
+  }
+  return coverage;
+}
+
+module.exports = {
+  SEARCH_RESULT_CAP,
+  buildLastNQuarters,
+  buildQuarterRanges,
+  buildQueries,
+  buildQuerySlices,
+  collectCoverage,
+  configuredStars,
+  matchesOwnerType,
+  searchQualifiers,
+  sliceQuery,
+  splitSlice,
+};
@@ -0,0 +1,178 @@
+/* scripts/lib/sampling.js */
+/* Amostra aleatória estratificada (estrelas × trimestre de push) dos
+   qualificados, reproduzível a partir de uma semente */
+
+'use strict';
+
+// Limites inferiores das faixas de estrelas: 0-9, 10-99, 100-999 e 1000+
+const DEFAULT_STAR_BUCKETS = [0, 10, 100, 1000];
+
+// Gerador pseudoaleatório de 32 bits (mulberry32): a mesma semente gera
+// sempre a mesma sequência, em qualquer versão do Node
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a: mistura o id do estrato na semente, para que cada estrato tenha a
+// própria sequência (mudar um estrato não muda o sorteio dos outros)
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Primeiros `k` de um embaralhamento de Fisher-Yates
+function seededPick(items, k, random) {
+  const pool = [...items];
+  const n = Math.min(k, pool.length);
+  for (let i = 0; i < n; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, n);
+}
+
+// "0,10,100,1000" → [0, 10, 100, 1000] (crescente, começando em 0)
+function parseStarBuckets(text) {
+  const bounds = String(text)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map(Number);
+  if (
+    bounds.length === 0 ||
+    bounds.some((b) => !Number.isInteger(b) || b < 0) ||
+    bounds.some((b, i) => i > 0 && b <= bounds[i - 1])
+  ) {
+    throw new Error(
+      `faixas de estrelas inválidas (${text}): use inteiros crescentes, ex.: 0,10,100,1000`
+    );
+  }
+  return bounds[0] === 0 ? bounds : [0, ...bounds];
+}
+
+function starsLabel({ min, max }) {
+  return max === null ? `${min}+` : `${min}-${max}`;
+}
+
+function quarterLabel({ from }) {
+  const [year, month] = from.split('-').map(Number);
+  return `${year}Q${Math.floor((month - 1) / 3) + 1}`;
+}
+
+/**
+ * Estratos do cruzamento das faixas de estrelas com os trimestres
+ * (`{ from, to }`, como em buildQuarterRanges). `max` null = sem limite.
+ */
+function buildStrata(starBuckets, quarters) {
+  const ranges = starBuckets.map((min, i) => ({
+    min,
+    max: i + 1 < starBuckets.length ? starBuckets[i + 1] - 1 : null,
+  }));
+  return ranges.flatMap((stars) =>
+    quarters.map((pushed) => ({
+      id: `${starsLabel(stars)}@${quarterLabel(pushed)}`,
+      stars,
+      pushed,
+    }))
+  );
+}
+
+function stratumOf(record, strata) {
+  const stars = Number(record.stars);
+  const pushed = String(record.pushedAt || '').slice(0, 10);
+  return (
+    strata.find(
+      (s) =>
+        stars >= s.stars.min &&
+        (s.stars.max === null || stars <= s.stars.max) &&
+        pushed >= s.pushed.from &&
+        pushed <= s.pushed.to
+    ) || null
+  );
+}
+
+// Alocação proporcional de `size` pelos estratos (maiores restos)
+function proportionalTargets(populations, size) {
+  const total = populations.reduce((a, b) => a + b, 0);
+  if (total <= size) return [...populations];
+  const exact = populations.map((p) => (p * size) / total);
+  const targets = exact.map(Math.floor);
+  let missing = size - targets.reduce((a, b) => a + b, 0);
+  const byRemainder = exact
+    .map((value, i) => [value - targets[i], i])
+    .sort(([a, i], [b, j]) => b - a || i - j);
+  for (const [, i] of byRemainder) {
+    if (missing === 0) break;
+    targets[i]++;
+    missing--;
+  }
+  return targets;
+}
+
+/**
+ * Sorteia a amostra. `options`: `seed` (inteiro), `starBuckets`, `quarters`
+ * e `size` (total, alocado proporcionalmente) ou `perStratum` (alvo fixo
+ * por estrato). Retorna `{ sample, strata, outOfStrata }`: os registros
+ * sorteados (com o campo `stratum`), cada estrato com `population`, `target`
+ * e `selected`, e quantos registros não caíram em estrato nenhum.
+ */
+function drawSample(
+  records,
+  { seed, starBuckets, quarters, size, perStratum }
+) {
+  const strata = buildStrata(starBuckets, quarters).map((s) => ({
+    ...s,
+    members: [],
+  }));
+  let outOfStrata = 0;
+  // Ordem por nome: o sorteio não depende da ordem do arquivo de origem. A
+  // comparação é por code point (localeCompare muda com o ICU e o locale)
+  const sorted = [...records].sort((a, b) =>
+    a.name < b.name ? -1 : a.name > b.name ? 1 : 0
+  );
+  for (const record of sorted) {
+    const stratum = stratumOf(record, strata);
+    if (stratum) stratum.members.push(record);
+    else outOfStrata++;
+  }
+
+  const populations = strata.map((s) => s.members.length);
+  const targets =
+    perStratum !== undefined
+      ? strata.map(() => perStratum)
+      : proportionalTargets(populations, size);
+
+  const sample = [];
+  const summary = strata.map(({ members, ...stratum }, i) => {
+    const random = mulberry32(seed ^ hashString(stratum.id));
+    const picked = seededPick(members, targets[i], random);
+    sample.push(...picked.map((r) => ({ ...r, stratum: stratum.id })));
+    return {
+      ...stratum,
+      population: members.length,
+      target: targets[i],
+      selected: picked.length,
+    };
+  });
+  return { sample, strata: summary, outOfStrata };
+}
+
+module.exports = {
+  DEFAULT_STAR_BUCKETS,
+  buildStrata,
+  drawSample,
+  mulberry32,
+  parseStarBuckets,
+  proportionalTargets,
+};
@@ -0,0 +1,302 @@
+/* scripts/lib/sqlite.js */
+/* Saída SQLite (sql.js, sem compilação nativa): repos, rejeições e execuções */
+
+'use strict';
+
+const fs = require('fs');
+
+const { config } = require('./config');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS repos (
+    name TEXT PRIMARY KEY,
+    link TEXT,
+    stars INTEGER,
+    criteria TEXT,
+    description TEXT,
+    forks INTEGER,
+    open_issues INTEGER,
+    created_at TEXT,
+    pushed_at TEXT,
+    default_branch TEXT,
+    license TEXT,
+    size_kb INTEGER,
+    topics TEXT,
+    owner_type TEXT,
+    typescript_share REAL,
+    signals TEXT,
+    evidence TEXT,
+    monorepo TEXT,
+    satisfied_by TEXT,
+    metrics TEXT,
+    run_id TEXT,
+    written_at TEXT,
+    status TEXT,
+    status_at TEXT,
+    versions TEXT,
+    activity TEXT
+  );
+  CREATE TABLE IF NOT EXISTS rejections (
+    name TEXT PRIMARY KEY,
+    stage TEXT,
+    label TEXT,
+    at TEXT,
+    run_id TEXT
+  );
+  CREATE TABLE IF NOT EXISTS runs (
+    id TEXT PRIMARY KEY,
+    criteria TEXT,
+    started_at TEXT,
+    finished_at TEXT,
+    formats TEXT,
+    queries INTEGER,
+    analyzed INTEGER,
+    qualified INTEGER,
+    interrupted INTEGER,
+    settings TEXT,
+    coverage TEXT
+  );
+`;
+
+// Colunas acrescentadas depois da primeira versão do esquema; bancos antigos
+// ganham as que faltam ao serem abertos
+const ADDED_COLUMNS = {
+  repos: {
+    status: 'TEXT',
+    status_at: 'TEXT',
+    versions: 'TEXT',
+    activity: 'TEXT',
+  },
+  rejections: {
+    link: 'TEXT',
+    stars: 'INTEGER',
+    failed_signals: 'TEXT',
+    course_kind: 'TEXT',
+    keyword: 'TEXT',
+    matched_in: 'TEXT',
+    signals: 'TEXT',
+  },
+  runs: { coverage: 'TEXT' },
+};
+
+function migrate(db) {
+  let changed = false;
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const [info] = db.exec(`PRAGMA table_info(${table})`);
+    const existing = new Set(info.values.map((row) => row[1]));
+    for (const [column, type] of Object.entries(columns)) {
+      if (!existing.has(column)) {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+// Campos vazios viram NULL; objetos e listas, JSON (consultável com json_extract)
+function sqlValue(value) {
+  if (value === undefined || value === '') return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function upsert(db, table, row) {
+  const columns = Object.keys(row);
+  db.run(
+    `INSERT OR REPLACE INTO ${table} (${columns.join(', ')})
+     VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((c) => sqlValue(row[c]))
+  );
+}
+
+function runRow(run) {
+  return {
+    id: run.id,
+    criteria: run.criteria,
+    started_at: run.startedAt,
+    finished_at: run.finishedAt,
+    formats: run.formats,
+    queries: run.queries,
+    analyzed: run.analyzed,
+    qualified: run.qualified,
+    interrupted: run.interrupted,
+    settings: run.settings,
+    coverage: run.coverage,
+  };
+}
+
+/**
+ * O banco fica em memória e é regravado em `config.sqliteFile` a cada
+ * `flush` (fim de página) e no `close`, de forma atômica. Um arquivo
+ * existente é reaberto, então execuções retomadas continuam no mesmo banco.
+ */
+function createSqliteWriter() {
+  let db = null;
+  let dirty = false;
+
+  return {
+    format: 'sqlite',
+    file: config.sqliteFile,
+
+    async open() {
+      const initSqlJs = require('sql.js');
+      const SQL = await initSqlJs();
+      const data = fs.existsSync(config.sqliteFile)
+        ? fs.readFileSync(config.sqliteFile)
+        : undefined;
+      db = new SQL.Database(data);
+      db.exec(SCHEMA);
+      dirty = migrate(db) || !data;
+    },
+
+    existingNames() {
+      const [result] = db.exec('SELECT name FROM repos');
+      return new Set((result?.values || []).map(([name]) => name));
+    },
+
+    startRun(run) {
+      upsert(db, 'runs', runRow(run));
+      dirty = true;
+    },
+
+    writeRepo(repoData, record) {
+      upsert(db, 'repos', {
+        name: record.name,
+        link: record.link,
+        stars: record.stars,
+        criteria: record.criteria,
+        description: record.description,
+        forks: record.forks,
+        open_issues: record.openIssues,
+        created_at: record.createdAt,
+        pushed_at: record.pushedAt,
+        default_branch: record.defaultBranch,
+        license: record.license,
+        size_kb: record.sizeKb,
+        topics: record.topics,
+        owner_type: record.ownerType,
+        typescript_share: record.typescriptShare,
+        signals: record.signals,
+        evidence: record.evidence,
+        monorepo: record.monorepo,
+        satisfied_by: record.satisfiedBy,
+        metrics: record.metrics,
+        run_id: record.runId,
+        written_at: record.writtenAt,
+        status: record.status,
+        status_at: record.statusAt,
+        versions: record.versions,
+        activity: record.activity,
+      });
+      dirty = true;
+    },
+
+    markRepo(name, status, at) {
+      db.run('UPDATE repos SET status = ?, status_at = ? WHERE name = ?', [
+        status,
+        at,
+        name,
+      ]);
+      dirty = true;
+    },
+
+    writeRejection(rejection) {
+      upsert(db, 'rejections', {
+        name: rejection.name,
+        link: rejection.link,
+        stars: rejection.stars,
+        stage: rejection.stage,
+        label: rejection.label,
+        failed_signals: rejection.failedSignals,
+        course_kind: rejection.courseKind,
+        keyword: rejection.keyword,
+        matched_in: rejection.matchedIn,
+        signals: rejection.signals,
+        at: rejection.at,
+        run_id: rejection.runId,
+      });
+      dirty = true;
+    },
+
+    finishRun(run) {
+      upsert(db, 'runs', runRow(run));
+      dirty = true;
+    },
+
+    flush() {
+      if (!dirty) return;
+      const tmp = `${config.sqliteFile}.tmp`;
+      fs.writeFileSync(tmp, Buffer.from(db.export()));
+      fs.renameSync(tmp, config.sqliteFile);
+      dirty = false;
+    },
+
+    close() {
+      this.flush();
+      db.close();
+    },
+  };
+}
+
+// Colunas JSON de cada tabela, decodificadas na leitura
+const JSON_COLUMNS = [
+  'topics',
+  'signals',
+  'evidence',
+  'monorepo',
+  'satisfied_by',
+  'metrics',
+  'versions',
+  'activity',
+  'failed_signals',
+  'formats',
+  'settings',
+  'coverage',
+];
+
+function camelCase(column) {
+  return column.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function selectRecords(db, table) {
+  const [result] = db.exec(`SELECT * FROM ${table} ORDER BY rowid`);
+  if (!result) return [];
+  return result.values.map((row) => {
+    const record = {};
+    result.columns.forEach((column, i) => {
+      let value = row[i];
+      if (JSON_COLUMNS.includes(column) && typeof value === 'string') {
+        value = JSON.parse(value);
+      }
+      record[camelCase(column)] = value;
+    });
+    return record;
+  });
+}
+
+// Qualificados, rejeições e execuções gravados em `config.sqliteFile`, com
+// os mesmos nomes de campo dos registros JSON Lines
+async function readSqliteRecords() {
+  if (!fs.existsSync(config.sqliteFile)) {
+    return { repos: [], rejections: [], runs: [] };
+  }
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(fs.readFileSync(config.sqliteFile));
+  try {
+    return {
+      repos: selectRecords(db, 'repos'),
+      rejections: selectRecords(db, 'rejections'),
+      runs: selectRecords(db, 'runs').map((run) => ({
+        ...run,
+        interrupted: Boolean(run.interrupted),
+      })),
+    };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { createSqliteWriter, readSqliteRecords };
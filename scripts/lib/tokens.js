@@ -0,0 +1,154 @@
+/* scripts/lib/tokens.js */
+/* Pool de tokens do GitHub: cota por token e por bucket (core, search, graphql) */
+
+'use strict';
+
+const { config } = require('./config');
+
+const BUCKETS = ['core', 'search', 'graphql'];
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Bucket de rate limit de uma requisição, pela URL
+function bucketFor(url) {
+  const { pathname } = new URL(url);
+  if (pathname.endsWith('/graphql')) return 'graphql';
+  if (pathname.includes('/search/')) return 'search';
+  return 'core';
+}
+
+// Cada token tem a cota de cada bucket: `remaining` (null = ainda não
+// conhecida), `limit` e `reset` (ms). Um bucket está esgotado até `reset`
+// mais a margem de RATE_LIMIT_MARGIN_MS.
+// Sem tokens (replay de fixtures), o pool tem uma entrada anônima.
+class TokenPool {
+  constructor(tokens) {
+    this.tokens = (tokens.length > 0 ? tokens : [null]).map((token, i) => ({
+      token,
+      label: token ? `token #${i + 1}` : 'sem token',
+      buckets: Object.fromEntries(
+        BUCKETS.map((b) => [b, { remaining: null, limit: null, reset: 0 }])
+      ),
+    }));
+  }
+
+  quota(entry, bucket) {
+    const quota = entry.buckets[bucket];
+    if (
+      quota.remaining !== null &&
+      Date.now() >= quota.reset + config.rateLimitMarginMs
+    ) {
+      // A janela renovou: a cota volta a ser desconhecida (cheia)
+      quota.remaining = null;
+    }
+    return quota;
+  }
+
+  // Token com mais cota restante no bucket; cota desconhecida conta como
+  // cheia, e assim cada token é experimentado antes de se repetir o primeiro
+  healthiest(bucket) {
+    let best = null;
+    for (const entry of this.tokens) {
+      const { remaining } = this.quota(entry, bucket);
+      const score = remaining === null ? Infinity : remaining;
+      if (score > 0 && (!best || score > best.score)) best = { entry, score };
+    }
+    return best?.entry || null;
+  }
+
+  /**
+   * Escolhe o token da próxima requisição no bucket, já descontando uma
+   * unidade da cota. Só espera quando todos os tokens estão esgotados.
+   */
+  async acquire(bucket) {
+    while (true) {
+      const entry = this.healthiest(bucket);
+      if (entry) {
+        const quota = entry.buckets[bucket];
+        if (quota.remaining !== null) quota.remaining--;
+        return entry;
+      }
+      const waitMs = Math.max(
+        0,
+        Math.min(...this.tokens.map((e) => e.buckets[bucket].reset)) +
+          config.rateLimitMarginMs -
+          Date.now()
+      );
+      console.warn(
+        `Rate limit atingido em todos os tokens (${bucket}). Aguardando ${(
+          waitMs / 1000
+        ).toFixed(0)}s...`
+      );
+      await sleep(waitMs);
+    }
+  }
+
+  // Atualiza a cota com os cabeçalhos `x-ratelimit-*` da resposta
+  update(entry, bucket, headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    const reset = headers.get('x-ratelimit-reset');
+    if (remaining === null || reset === null) return;
+    const resource = headers.get('x-ratelimit-resource');
+    const quota = entry.buckets[BUCKETS.includes(resource) ? resource : bucket];
+    quota.remaining = parseInt(remaining, 10);
+    quota.reset = parseInt(reset, 10) * 1000;
+    const limit = headers.get('x-ratelimit-limit');
+    if (limit !== null) quota.limit = parseInt(limit, 10);
+  }
+
+  // Marca o bucket do token como esgotado até `resetMs`
+  exhaust(entry, bucket, resetMs) {
+    const quota = entry.buckets[bucket];
+    quota.remaining = 0;
+    quota.reset = resetMs;
+    console.warn(
+      `Rate limit atingido no ${entry.label} (${bucket}). ${this.available(
+        bucket
+      )} de ${this.tokens.length} tokens disponíveis.`
+    );
+  }
+
+  available(bucket) {
+    return this.tokens.filter((e) => this.quota(e, bucket).remaining !== 0)
+      .length;
+  }
+
+  // Cota somada de todos os tokens num bucket (null se ainda desconhecida)
+  status(bucket) {
+    let remaining = 0;
+    let reset = 0;
+    for (const entry of this.tokens) {
+      const quota = this.quota(entry, bucket);
+      if (quota.remaining === null) return { remaining: null, reset: 0 };
+      remaining += quota.remaining;
+      reset = Math.max(reset, quota.reset);
+    }
+    return { remaining, reset };
+  }
+
+  // Resumo por token, sem expor os tokens (logs e metadados da execução)
+  summary() {
+    return this.tokens.map((entry) => ({
+      token: entry.label,
+      ...Object.fromEntries(
+        BUCKETS.map((b) => [b, { ...this.quota(entry, b) }])
+      ),
+    }));
+  }
+}
+
+let cached = null;
+
+// Pool dos tokens de `config` (recriado se a lista mudar)
+function getTokenPool() {
+  const tokens = config.githubTokens?.length
+    ? config.githubTokens
+    : [config.githubToken].filter(Boolean);
+  const key = tokens.join('\n');
+  if (cached?.key !== key) cached = { key, pool: new TokenPool(tokens) };
+  return cached.pool;
+}
+
+module.exports = { BUCKETS, TokenPool, bucketFor, getTokenPool };
@@ -0,0 +1,298 @@
+/* scripts/lib/versions.js */
+/* Versões das dependências acompanhadas pelo critério: faixa declarada no
+   package.json e versão resolvida pelo lockfile */
+
+'use strict';
+
+const { getCriteria } = require('./criteria');
+const { getRepoObjectsGraphQL } = require('./github');
+
+// Lockfiles lidos na raiz, em ordem de preferência quando há mais de um
+const LOCKFILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// Campos do package.json, em ordem de precedência
+const DEPENDENCY_FIELDS = [
+  'dependencies',
+  'devDependencies',
+  'optionalDependencies',
+  'peerDependencies',
+];
+
+// Pacotes acompanhados pelo critério (`versions`: chave → pacotes), sem repetir
+function trackedPackages(criteria = getCriteria()) {
+  return [...new Set(Object.values(criteria.versions || {}).flat())];
+}
+
+// Versão exata (`18.2.0`, `v18.2.0`), sem sufixos de peers do pnpm
+function cleanVersion(text) {
+  const match = String(text || '').match(/^v?(\d+\.\d+\.\d+[^\s_(]*)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Major de uma faixa semver: o limite inferior de cada alternativa (`||`),
+ * ficando com o maior. `^16.8.0` → 16, `>=17 <19` → 17, `16.x` → 16,
+ * `16.8.0 - 18` → 16, `npm:react@^18` → 18; `*`, `latest`, URLs e
+ * `workspace:`/`file:`/`link:` → null.
+ */
+function majorOfRange(range) {
+  if (typeof range !== 'string') return null;
+  const spec = range.startsWith('npm:')
+    ? range.slice(range.lastIndexOf('@') + 1)
+    : range;
+  if (/^[a-z+]+:|\//i.test(spec)) return null;
+  const majors = spec
+    .split('||')
+    .map((alternative) => {
+      const bound = alternative
+        .replace(/([<>=~^])\s+/g, '$1')
+        .trim()
+        .split(/\s+/)
+        .find((token) => token && !token.startsWith('<'));
+      const match = bound?.match(/^(?:[~^]|>=?|=)?\s*v?(\d+)/);
+      return match ? Number(match[1]) : null;
+    })
+    .filter((major) => major !== null);
+  return majors.length > 0 ? Math.max(...majors) : null;
+}
+
+function majorOfVersion(version) {
+  const match = cleanVersion(version)?.match(/^(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+function unquote(text) {
+  return text.replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * package-lock.json (lockfileVersion 1, 2 e 3) → `(nome, faixa, dir) =>
+ * versão`. Nas versões 2+ procura `node_modules/<nome>` dentro do workspace
+ * e depois o içado na raiz; na 1, `dependencies[nome]`.
+ */
+function parsePackageLock(text) {
+  const lock = JSON.parse(text);
+  return (name, range, dir = '.') => {
+    const packages = lock.packages || {};
+    const local = dir === '.' ? null : packages[`${dir}/node_modules/${name}`];
+    const entry =
+      local ||
+      packages[`node_modules/${name}`] ||
+      lock.dependencies?.[name] ||
+      null;
+    return cleanVersion(entry?.version);
+  };
+}
+
+/**
+ * yarn.lock, clássico (v1) ou Berry → `(nome, faixa) => versão`. Cada
+ * bloco lista os especificadores (`react@^16.8.0`, `react@npm:^18.2.0`)
+ * resolvidos para uma versão; sem o especificador exato, vale a versão do
+ * pacote se houver uma só.
+ */
+function parseYarnLock(text) {
+  const resolved = new Map();
+  let current = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+    if (!/^\s/.test(line)) {
+      current = line.endsWith(':')
+        ? line
+            .slice(0, -1)
+            .split(/,\s*/)
+            .map((spec) => unquote(spec.trim()))
+        : [];
+      continue;
+    }
+    const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?\s*$/);
+    if (version) {
+      for (const spec of current) resolved.set(spec, version[1]);
+      current = [];
+    }
+  }
+
+  return (name, range) => {
+    const exact =
+      resolved.get(`${name}@${range}`) || resolved.get(`${name}@npm:${range}`);
+    if (exact) return cleanVersion(exact);
+    const versions = new Set(
+      [...resolved]
+        .filter(([spec]) => spec.startsWith(`${name}@`))
+        .map(([, version]) => version)
+    );
+    return versions.size === 1 ? cleanVersion([...versions][0]) : null;
+  };
+}
+
+// Seções do pnpm-lock.yaml com as dependências diretas; o resto (`packages`,
+// `snapshots`) é pulado
+const PNPM_SECTIONS = ['importers', ...DEPENDENCY_FIELDS];
+
+// Mapas YAML aninhados por indentação, só o que o pnpm-lock.yaml usa nas
+// seções de PNPM_SECTIONS (sem listas, fluxos nem textos em bloco)
+function parseYamlMaps(text) {
+  const root = {};
+  const stack = [{ indent: -1, node: root }];
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('-')) {
+      continue;
+    }
+    const match = trimmed.match(/^('[^']*'|"[^"]*"|[^:]+):(?:\s+(.*))?$/);
+    if (!match) continue;
+    const indent = line.length - line.trimStart().length;
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+    const parent = stack[stack.length - 1].node;
+    const key = unquote(match[1]);
+    if (match[2] !== undefined) {
+      if (parent) parent[key] = unquote(match[2].trim());
+      continue;
+    }
+    const skip = !parent || (indent === 0 && !PNPM_SECTIONS.includes(key));
+    const node = skip ? null : {};
+    if (node) parent[key] = node;
+    stack.push({ indent, node });
+  }
+  return root;
+}
+
+/**
+ * pnpm-lock.yaml → `(nome, faixa, dir) => versão`. Lê o importer do
+ * workspace (`importers`, lockfile 5.3+ em monorepos e 6+ sempre) ou as
+ * seções de dependências da raiz; a versão é o valor da entrada (5.x) ou
+ * seu `version` (6+), sem o sufixo de peers.
+ */
+function parsePnpmLock(text) {
+  const lock = parseYamlMaps(text);
+  return (name, range, dir = '.') => {
+    const importer = lock.importers?.[dir] || lock.importers?.['.'] || lock;
+    for (const field of DEPENDENCY_FIELDS) {
+      const entry = importer[field]?.[name];
+      if (entry) return cleanVersion(entry.version ?? entry);
+    }
+    return null;
+  };
+}
+
+const LOCKFILE_PARSERS = {
+  'package-lock.json': parsePackageLock,
+  'yarn.lock': parseYarnLock,
+  'pnpm-lock.yaml': parsePnpmLock,
+};
+
+/**
+ * Onde cada pacote de `packages` foi declarado nos manifestos (`{ dir:
+ * pkgJson }`, raiz `.` primeiro): o primeiro que o declara fora de
+ * peerDependencies (ou, se nenhum, o primeiro que o declara lá) e o campo
+ * de maior precedência em DEPENDENCY_FIELDS. `peer` diz se o manifesto
+ * também o tem em peerDependencies.
+ */
+function declaredVersions(packageJsons, packages) {
+  const declared = {};
+  for (const name of packages) {
+    for (const [dir, pkgJson] of Object.entries(packageJsons || {})) {
+      const field = DEPENDENCY_FIELDS.find(
+        (f) => typeof pkgJson?.[f]?.[name] === 'string'
+      );
+      if (!field || (declared[name] && field === 'peerDependencies')) continue;
+      declared[name] = {
+        range: pkgJson[field][name],
+        field,
+        dir,
+        peer: typeof pkgJson.peerDependencies?.[name] === 'string',
+      };
+      if (field !== 'peerDependencies') break;
+    }
+  }
+  return declared;
+}
+
+/**
+ * Versões dos pacotes acompanhados: `{ lockfile, packages, peerOnly }`.
+ * Cada pacote declarado ganha `resolved` (do lockfile, ou null) e `major`
+ * (da versão resolvida ou, sem ela, da faixa). Pacotes só em
+ * peerDependencies (bibliotecas que aceitam a versão do consumidor) vão
+ * para `peerOnly` e não têm `major`: a faixa é de compatibilidade, não a
+ * versão usada.
+ */
+function resolveVersions(packageJsons, packages, lockfile = null) {
+  let resolve = null;
+  if (lockfile) {
+    try {
+      resolve = LOCKFILE_PARSERS[lockfile.file](lockfile.text);
+    } catch (err) {
+      console.warn(`⚠️ ${lockfile.file} ilegível: ${err.message}`);
+    }
+  }
+
+  const declared = declaredVersions(packageJsons, packages);
+  const peerOnly = [];
+  for (const [name, entry] of Object.entries(declared)) {
+    if (entry.field === 'peerDependencies') {
+      peerOnly.push(name);
+      Object.assign(entry, { resolved: null, major: null });
+      continue;
+    }
+    entry.resolved = resolve ? resolve(name, entry.range, entry.dir) : null;
+    entry.major =
+      entry.resolved !== null
+        ? majorOfVersion(entry.resolved)
+        : majorOfRange(entry.range);
+  }
+  return {
+    lockfile: resolve ? lockfile.file : null,
+    packages: declared,
+    peerOnly,
+  };
+}
+
+/**
+ * Major de cada chave de `criteria.versions`: o do primeiro pacote da lista
+ * que tem major (`{ React: 18, Enzyme: null, ... }`).
+ */
+function versionMajors(versions, criteria = getCriteria()) {
+  return Object.fromEntries(
+    Object.entries(criteria.versions || {}).map(([key, names]) => {
+      const name = names.find((n) => versions?.packages[n]?.major != null);
+      return [key, name ? versions.packages[name].major : null];
+    })
+  );
+}
+
+/**
+ * Lê os lockfiles da raiz (uma consulta GraphQL) e resolve as versões dos
+ * pacotes de `criteria.versions` declarados em `packageJsons` (de
+ * detectTech). Null se o critério não acompanha versões.
+ */
+async function fetchDependencyVersions(
+  owner,
+  repo,
+  packageJsons,
+  criteria = getCriteria()
+) {
+  const packages = trackedPackages(criteria);
+  if (packages.length === 0) return null;
+  if (Object.keys(declaredVersions(packageJsons, packages)).length === 0) {
+    return resolveVersions(packageJsons, packages);
+  }
+  const texts = await getRepoObjectsGraphQL(owner, repo, LOCKFILES);
+  const file = LOCKFILES.find((f) => typeof texts[f] === 'string');
+  return resolveVersions(
+    packageJsons,
+    packages,
+    file ? { file, text: texts[file] } : null
+  );
+}
+
+module.exports = {
+  LOCKFILES,
+  declaredVersions,
+  fetchDependencyVersions,
+  majorOfRange,
+  parsePackageLock,
+  parsePnpmLock,
+  parseYarnLock,
+  resolveVersions,
+  trackedPackages,
+  versionMajors,
+};
@@ -0,0 +1,232 @@
+/* scripts/lib/workspaces.js */
+/* Monorepos: descoberta dos workspaces (npm/yarn/pnpm, Lerna, Nx) e leitura
+   dos manifestos e configs de cada pacote */
+
+'use strict';
+
+const { normalizeConfigFile } = require('./criteria');
+const { getRepoObjectsGraphQL } = require('./github');
+
+// Manifestos da raiz que declaram workspaces, além do package.json.
+// Turborepo não tem manifesto próprio: usa os workspaces do npm/yarn/pnpm.
+const WORKSPACE_MANIFESTS = ['pnpm-workspace.yaml', 'lerna.json', 'nx.json'];
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Lê só a lista `packages:` do pnpm-workspace.yaml (bloco ou `[a, b]`),
+// que é tudo o que o formato usa na prática
+function parsePnpmWorkspace(text) {
+  const patterns = [];
+  let inPackages = false;
+  for (const raw of (text || '').split('\n')) {
+    const line = raw
+      .replace(/\s#.*$/, '')
+      .replace(/^#.*$/, '')
+      .trimEnd();
+    if (!line.trim()) continue;
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      const inline = line.match(/^packages\s*:\s*\[(.*)\]/);
+      if (inline) patterns.push(...inline[1].split(',').map(unquote));
+      continue;
+    }
+    const item = inPackages && line.match(/^\s*-\s*(.+)$/);
+    if (item) patterns.push(unquote(item[1]));
+  }
+  return patterns.filter(Boolean);
+}
+
+/**
+ * Padrões de workspace declarados na raiz e os manifestos de onde vieram.
+ * `manifests` mapeia o nome de cada arquivo de WORKSPACE_MANIFESTS ao texto.
+ */
+function workspacePatterns(pkgJson, manifests = {}) {
+  const patterns = [];
+  const sources = [];
+
+  const ws = pkgJson?.workspaces;
+  const fromPkg = Array.isArray(ws) ? ws : ws?.packages;
+  if (Array.isArray(fromPkg) && fromPkg.length > 0) {
+    patterns.push(...fromPkg);
+    sources.push('package.json');
+  }
+
+  const fromPnpm = parsePnpmWorkspace(manifests['pnpm-workspace.yaml']);
+  if (fromPnpm.length > 0) {
+    patterns.push(...fromPnpm);
+    sources.push('pnpm-workspace.yaml');
+  }
+
+  const lerna = parseJson(manifests['lerna.json']);
+  if (lerna) {
+    patterns.push(
+      ...(Array.isArray(lerna.packages) ? lerna.packages : ['packages/*'])
+    );
+    sources.push('lerna.json');
+  }
+
+  const nx = parseJson(manifests['nx.json']);
+  if (nx) {
+    const layout = nx.workspaceLayout || {};
+    patterns.push(
+      `${layout.appsDir || 'apps'}/*`,
+      `${layout.libsDir || 'libs'}/*`
+    );
+    sources.push('nx.json');
+  }
+
+  return { patterns: [...new Set(patterns)], sources };
+}
+
+function normalizePattern(pattern) {
+  return pattern
+    .trim()
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .replace(/\/package\.json$/, '');
+}
+
+function joinPath(prefix, segment) {
+  return prefix ? `${prefix}/${segment}` : segment;
+}
+
+// Um segmento de glob (`*`, `pkg-*`, `**`) vira regex de um nível de diretório.
+// `**` é tratado como `*`: workspaces aninhados em vários níveis são raros.
+function segmentRegExp(segment) {
+  const escaped = segment
+    .replace(/\*\*/g, '*')
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function globRegExp(pattern) {
+  const parts = normalizePattern(pattern)
+    .split('/')
+    .map((seg) => segmentRegExp(seg).source.slice(1, -1));
+  return new RegExp(`^${parts.join('/')}$`);
+}
+
+/**
+ * Expande os padrões em diretórios existentes, listando via GraphQL um nível
+ * de cada vez (uma query por nível de glob). Padrões `!x` excluem diretórios.
+ */
+async function expandWorkspacePatterns(
+  owner,
+  repo,
+  patterns,
+  max = Infinity,
+  ref = 'HEAD'
+) {
+  const include = patterns.filter((p) => !p.startsWith('!'));
+  const exclude = patterns
+    .filter((p) => p.startsWith('!'))
+    .map((p) => globRegExp(p.slice(1)));
+
+  const found = new Set();
+  let frontier = include
+    .map(normalizePattern)
+    .filter(Boolean)
+    .map((p) => ({ prefix: '', segments: p.split('/') }));
+
+  while (frontier.length > 0) {
+    const pending = [];
+    for (let { prefix, segments } of frontier) {
+      while (segments.length > 0 && !segments[0].includes('*')) {
+        prefix = joinPath(prefix, segments[0]);
+        segments = segments.slice(1);
+      }
+      if (segments.length === 0) found.add(prefix);
+      else pending.push({ prefix, segments });
+    }
+    if (pending.length === 0) break;
+
+    const listings = await getRepoObjectsGraphQL(
+      owner,
+      repo,
+      [...new Set(pending.map((p) => p.prefix))],
+      ref
+    );
+    frontier = [];
+    for (const { prefix, segments } of pending) {
+      const [glob, ...rest] = segments;
+      const re = segmentRegExp(glob);
+      for (const dir of listings[prefix]?.dirs || []) {
+        if (re.test(dir)) {
+          frontier.push({ prefix: joinPath(prefix, dir), segments: rest });
+        }
+      }
+    }
+  }
+
+  return [...found]
+    .filter((dir) => dir && !exclude.some((re) => re.test(dir)))
+    .sort()
+    .slice(0, max);
+}
+
+/**
+ * Lê o package.json e os arquivos de configuração do critério em cada
+ * workspace. Primeiro lista cada diretório; depois só baixa o texto do que
+ * existe e precisa de conteúdo (package.json e configs com `pattern`).
+ * Retorna `{ dir: { pkgText, configTexts } }`; em `configTexts`, `true`
+ * indica arquivo presente cujo conteúdo não importa.
+ */
+async function fetchWorkspaceFiles(owner, repo, dirs, criteria, ref = 'HEAD') {
+  const entries = Object.values(criteria.signals)
+    .flatMap((s) => s.configFiles || [])
+    .map(normalizeConfigFile);
+
+  const listings = await getRepoObjectsGraphQL(owner, repo, dirs, ref);
+  const toFetch = [];
+  for (const dir of dirs) {
+    const files = listings[dir]?.files || [];
+    if (files.includes('package.json')) toFetch.push(`${dir}/package.json`);
+    for (const { file, pattern } of entries) {
+      if (file.includes('/') || (pattern && files.includes(file))) {
+        toFetch.push(`${dir}/${file}`);
+      }
+    }
+  }
+  const texts = await getRepoObjectsGraphQL(
+    owner,
+    repo,
+    [...new Set(toFetch)],
+    ref
+  );
+
+  const result = {};
+  for (const dir of dirs) {
+    const files = listings[dir]?.files || [];
+    const configTexts = {};
+    for (const { file } of entries) {
+      const fetched = texts[`${dir}/${file}`];
+      if (typeof fetched === 'string') configTexts[file] = fetched;
+      else configTexts[file] = files.includes(file) || null;
+    }
+    result[dir] = {
+      pkgText: texts[`${dir}/package.json`] ?? null,
+      configTexts,
+    };
+  }
+  return result;
+}
+
+module.exports = {
+  WORKSPACE_MANIFESTS,
+  expandWorkspacePatterns,
+  fetchWorkspaceFiles,
+  parsePnpmWorkspace,
+  workspacePatterns,
+};
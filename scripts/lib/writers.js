@@ -0,0 +1,346 @@
+/* scripts/lib/writers.js */
+/* Saídas plugáveis (OUTPUT_FORMATS): CSV, JSON Lines e SQLite */
+
+'use strict';
+
+const fs = require('fs');
+
+const { config } = require('./config');
+const {
+  appendCsvRow,
+  appendRejectionRow,
+  ensureOutput,
+  csvColumns,
+  csvRow,
+  readCsvRepoNames,
+  updateCsvRows,
+  writeCsvHeaderIfNeeded,
+  writeRejectionsHeaderIfNeeded,
+} = require('./output');
+const { createSqliteWriter, readSqliteRecords } = require('./sqlite');
+
+/*
+ * Todo writer expõe `format`, `file`, `open()`, `existingNames()`,
+ * `startRun(run)`, `writeRepo(repoData, record)`,
+ * `markRepo(name, status, at)`, `writeRejection(rejection)`,
+ * `finishRun(run)`, `flush()` e `close()`. `repoData` é o objeto de
+ * processRepository; `record` é a versão estruturada de repoRecord.
+ * `writeRepo` de um nome já gravado substitui o registro anterior.
+ */
+
+// Situação de um qualificado no dataset, atualizada pelo modo incremental
+const REPO_STATUSES = [
+  'active', // encontrado na última passada (ou reavaliado e aprovado)
+  'deleted', // 404: apagado ou tornado privado
+  'archived', // arquivado pelo dono
+  'disqualified', // reavaliado e rejeitado pelo critério
+  'unlisted', // existe, mas saiu da busca (janela de trimestres, filtros)
+];
+
+// Registro estruturado de um qualificado, sem achatar listas nem evidências
+function repoRecord(repoData, criteria) {
+  const {
+    nameWithOwner,
+    stars,
+    metadata,
+    signals,
+    evidence,
+    monorepo,
+    satisfiedBy,
+    metrics,
+    status,
+    versions,
+    activity,
+  } = repoData;
+  return {
+    name: nameWithOwner,
+    link: `https://github.com/${nameWithOwner}`,
+    stars,
+    criteria: criteria.id,
+    ...metadata,
+    signals,
+    evidence,
+    monorepo: monorepo || null,
+    satisfiedBy: monorepo ? satisfiedBy : null,
+    metrics: metrics || null,
+    status: status || 'active',
+    versions: versions || null,
+    activity: activity || null,
+  };
+}
+
+// Dois CSVs: qualificados e rejeitados; execuções ficam só nas outras
+// saídas. Linhas novas são acrescentadas na hora; as de nomes já gravados
+// são substituídas no `flush`, que regrava o arquivo uma vez por página.
+function createCsvWriter(criteria) {
+  let names = new Set();
+  const updates = new Map();
+  const statusIndex = csvColumns(criteria).indexOf('Situacao');
+
+  return {
+    format: 'csv',
+    file: config.csvFile,
+    open() {
+      writeCsvHeaderIfNeeded(criteria);
+      writeRejectionsHeaderIfNeeded();
+      names = readCsvRepoNames();
+    },
+    existingNames: () => new Set(names),
+    startRun() {},
+    writeRepo(repoData) {
+      const name = repoData.nameWithOwner;
+      if (!names.has(name)) {
+        appendCsvRow(repoData, criteria);
+        names.add(name);
+        return;
+      }
+      const row = csvRow(repoData, criteria).map((value) => String(value));
+      updates.set(name, () => row);
+    },
+    markRepo(name, status) {
+      const previous = updates.get(name);
+      updates.set(name, (row) => {
+        const updated = [...(previous ? previous(row) : row)];
+        updated[statusIndex] = status;
+        return updated;
+      });
+    },
+    writeRejection(rejection) {
+      appendRejectionRow(rejection);
+    },
+    finishRun() {},
+    flush() {
+      if (updates.size === 0) return;
+      updateCsvRows(updates);
+      updates.clear();
+    },
+    close() {
+      this.flush();
+    },
+  };
+}
+
+function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        // Última linha cortada por uma interrupção no meio da escrita
+        return [];
+      }
+    });
+}
+
+// Um JSON por linha em três arquivos: qualificados, rejeições e execuções.
+// Atualizações são acrescentadas (a última linha de cada nome prevalece) e
+// o `close` compacta o arquivo de qualificados, deixando uma linha por nome.
+function createJsonlWriter() {
+  const files = config.jsonlFiles;
+  const append = (file, value) =>
+    fs.appendFileSync(file, `${JSON.stringify(value)}\n`);
+  let latest = new Map();
+  let updated = false;
+
+  return {
+    format: 'jsonl',
+    file: files.repos,
+    open() {
+      latest = new Map(readJsonLines(files.repos).map((r) => [r.name, r]));
+    },
+    existingNames() {
+      return new Set(latest.keys());
+    },
+    startRun() {},
+    writeRepo(repoData, record) {
+      if (latest.has(record.name)) updated = true;
+      latest.set(record.name, record);
+      append(files.repos, record);
+    },
+    markRepo(name, status, at) {
+      const record = latest.get(name);
+      if (!record) return;
+      const marked = { ...record, status, statusAt: at };
+      latest.set(name, marked);
+      append(files.repos, marked);
+      updated = true;
+    },
+    writeRejection(rejection) {
+      append(files.rejections, rejection);
+    },
+    finishRun(run) {
+      append(files.runs, run);
+    },
+    flush() {},
+    close() {
+      if (!updated) return;
+      const tmp = `${files.repos}.tmp`;
+      fs.writeFileSync(
+        tmp,
+        [...latest.values()].map((r) => `${JSON.stringify(r)}\n`).join(''),
+        'utf-8'
+      );
+      fs.renameSync(tmp, files.repos);
+    },
+  };
+}
+
+// Inverso de repoRecord: o formato de processRepository, usado pelo CSV
+function repoDataFromRecord(record) {
+  const {
+    name,
+    stars,
+    signals,
+    evidence,
+    monorepo,
+    satisfiedBy,
+    metrics,
+    description,
+    forks,
+    openIssues,
+    createdAt,
+    pushedAt,
+    defaultBranch,
+    license,
+    sizeKb,
+    topics,
+    ownerType,
+    typescriptShare,
+    status,
+    versions,
+    activity,
+  } = record;
+  return {
+    nameWithOwner: name,
+    stars,
+    metadata: {
+      description: description ?? '',
+      forks: forks ?? '',
+      openIssues: openIssues ?? '',
+      createdAt: createdAt ?? '',
+      pushedAt: pushedAt ?? '',
+      defaultBranch: defaultBranch ?? '',
+      license: license ?? '',
+      sizeKb: sizeKb ?? '',
+      topics: topics || [],
+      ownerType: ownerType ?? '',
+      typescriptShare: typescriptShare ?? null,
+    },
+    signals: signals || {},
+    evidence: evidence || {},
+    monorepo: monorepo || null,
+    satisfiedBy: satisfiedBy || {},
+    metrics: metrics || null,
+    status: status || 'active',
+    versions: versions || null,
+    activity: activity || null,
+  };
+}
+
+// Arquivo principal de cada formato (existe se a saída já tem dados)
+function outputFile(format) {
+  return {
+    csv: config.csvFile,
+    jsonl: config.jsonlFiles.repos,
+    sqlite: config.sqliteFile,
+  }[format];
+}
+
+// Registros já gravados numa saída estruturada (`jsonl` ou `sqlite`). Em
+// JSON Lines, a última linha de cada nome prevalece.
+async function readRecords(format) {
+  if (format === 'sqlite') return readSqliteRecords();
+  if (format !== 'jsonl') {
+    throw new Error(
+      `Só é possível ler registros de jsonl ou sqlite (recebido ${format})`
+    );
+  }
+  const lastByName = (records) => [
+    ...new Map(records.map((r) => [r.name, r])).values(),
+  ];
+  return {
+    repos: lastByName(readJsonLines(config.jsonlFiles.repos)),
+    rejections: lastByName(readJsonLines(config.jsonlFiles.rejections)),
+    runs: readJsonLines(config.jsonlFiles.runs),
+  };
+}
+
+const WRITER_FACTORIES = {
+  csv: createCsvWriter,
+  jsonl: createJsonlWriter,
+  sqlite: createSqliteWriter,
+};
+
+/**
+ * Abre os writers de `formats` e devolve um único objeto que repassa cada
+ * chamada a todos eles. `existingNames` é a união dos nomes já gravados, e
+ * registros e rejeições recebem o `runId` da execução iniciada em `startRun`.
+ */
+async function openWriters(criteria, formats = config.outputFormats) {
+  ensureOutput();
+  const writers = [];
+  for (const format of formats) {
+    const factory = WRITER_FACTORIES[format];
+    if (!factory) throw new Error(`Formato de saída desconhecido: ${format}`);
+    const writer = factory(criteria);
+    await writer.open();
+    writers.push(writer);
+  }
+
+  let runId = null;
+  const each = (fn) => writers.forEach(fn);
+
+  return {
+    files: writers.map((w) => w.file),
+    existingNames() {
+      const names = new Set();
+      each((w) => w.existingNames().forEach((name) => names.add(name)));
+      return names;
+    },
+    startRun(run) {
+      runId = run.id;
+      each((w) => w.startRun(run));
+    },
+    // `record` já pronto (ex.: no export) preserva `runId` e `writtenAt`
+    writeRepo(repoData, record = null) {
+      const full = record || {
+        ...repoRecord(repoData, criteria),
+        runId,
+        writtenAt: new Date().toISOString(),
+      };
+      each((w) => w.writeRepo(repoData, full));
+    },
+    // Muda só a situação (REPO_STATUSES) de um qualificado já gravado
+    markRepo(name, status) {
+      const at = new Date().toISOString();
+      each((w) => w.markRepo(name, status, at));
+    },
+    writeRejection(rejection) {
+      const record = { runId, ...rejection };
+      each((w) => w.writeRejection(record));
+    },
+    finishRun(run) {
+      each((w) => w.finishRun(run));
+    },
+    flush() {
+      each((w) => w.flush());
+    },
+    close() {
+      each((w) => w.close());
+    },
+  };
+}
+
+module.exports = {
+  REPO_STATUSES,
+  openWriters,
+  outputFile,
+  readJsonLines,
+  readRecords,
+  repoDataFromRecord,
+  repoRecord,
+};
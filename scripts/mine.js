@@ -0,0 +1,15 @@
+/* scripts/mine.js */
+/* Node 18+ (fetch nativo). Execute `node scripts/mine.js --help` para ver os comandos */
+
+'use strict';
+
+const { runCli } = require('./lib/cli');
+
+runCli(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((e) => {
+    console.error('Erro fatal:', e);
+    process.exit(1);
+  });
@@ -0,0 +1,166 @@
+'use strict';
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  activityShortfalls,
+  activitySince,
+  computeActivity,
+  hasActivityMinimums,
+} = require('../scripts/lib/activity');
+const { config } = require('../scripts/lib/config');
+const { getReposInfoGraphQL } = require('../scripts/lib/github');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+
+const NOW = new Date('2024-06-30T00:00:00Z');
+
+const NO_MINIMUMS = {
+  minContributors: null,
+  minCommits: null,
+  minCommitsLastYear: null,
+  minPullRequests: null,
+  minIssues: null,
+  minReleases: null,
+  requireCi: false,
+};
+
+function commit(n, date) {
+  return { sha: `c${n}`.padEnd(40, '0'), date, files: {} };
+}
+
+describe('computeActivity contra o stub da API', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: {
+        'acme/app': {
+          files: {
+            '.github/workflows/ci.yml': 'on: push',
+            '.github/workflows/release.yaml': 'on: push',
+            '.github/workflows/README.md': '# workflows',
+          },
+          commits: [
+            commit(1, '2021-03-01T10:00:00Z'),
+            commit(2, '2023-01-15T10:00:00Z'),
+            commit(3, '2023-08-01T10:00:00Z'),
+            commit(4, '2024-05-20T10:00:00Z'),
+          ],
+          activity: {
+            contributors: 7,
+            pullRequests: { open: 2, closed: 30 },
+            issues: { open: 4, closed: 11 },
+            releases: 3,
+          },
+        },
+        'acme/empty': {},
+      },
+    });
+    useStub(config, stub);
+  });
+
+  after(() => stub.close());
+
+  it('junta commits, PRs, issues, releases, CI e contribuidores', async () => {
+    const activity = await computeActivity('acme', 'app', NOW);
+    assert.deepEqual(activity, {
+      contributors: 7,
+      commits: 4,
+      commitsLastYear: 2,
+      firstCommitAt: '2021-03-01T10:00:00Z',
+      lastCommitAt: '2024-05-20T10:00:00Z',
+      openPullRequests: 2,
+      closedPullRequests: 30,
+      openIssues: 4,
+      closedIssues: 11,
+      releases: 3,
+      ciWorkflows: 2,
+    });
+    // Primeiro commit pelo cursor que pula para o fim do histórico
+    const first = stub.graphqlQueries.find((q) =>
+      q.includes('query GetFirstCommit')
+    );
+    assert.ok(first);
+  });
+
+  it('usa as contagens do lote de getReposInfoGraphQL', async () => {
+    const infos = await getReposInfoGraphQL(['acme/app', 'acme/empty'], [], {
+      activitySince: activitySince(NOW),
+    });
+    const { activity: prefetched, ...info } = infos.get('acme/app');
+    assert.equal(info.releases, undefined);
+    const queriesBefore = stub.graphqlQueries.length;
+    const activity = await computeActivity('acme', 'app', NOW, prefetched);
+    assert.equal(activity.commitsLastYear, 2);
+    assert.equal(activity.releases, 3);
+    assert.equal(activity.ciWorkflows, 2);
+    // Só a query do primeiro commit; as contagens já vieram no lote
+    assert.deepEqual(
+      stub.graphqlQueries
+        .slice(queriesBefore)
+        .map((q) => q.match(/query (\w+)/)[1]),
+      ['GetFirstCommit']
+    );
+  });
+
+  it('repositório sem commits e sem contribuidores zera as contagens', async () => {
+    const activity = await computeActivity('acme', 'empty', NOW);
+    assert.equal(activity.contributors, 0);
+    assert.equal(activity.commits, 0);
+    assert.equal(activity.firstCommitAt, null);
+    assert.equal(activity.ciWorkflows, 0);
+  });
+
+  it('segue sem contribuidores quando o GitHub recusa a lista', async () => {
+    stub.failNext('/repos/acme/app/contributors', {
+      status: 403,
+      body: { message: 'The history or contributor list is too large' },
+    });
+    const activity = await computeActivity('acme', 'app', NOW);
+    assert.equal(activity.contributors, null);
+    assert.equal(activity.commits, 4);
+  });
+});
+
+describe('activityShortfalls', () => {
+  const activity = {
+    contributors: null,
+    commits: 40,
+    commitsLastYear: 2,
+    openPullRequests: 1,
+    closedPullRequests: 3,
+    openIssues: 0,
+    closedIssues: 0,
+    releases: 0,
+    ciWorkflows: 0,
+  };
+
+  it('lista as métricas abaixo dos mínimos; indisponíveis não reprovam', () => {
+    const cfg = {
+      ...NO_MINIMUMS,
+      minContributors: 5,
+      minCommits: 40,
+      minCommitsLastYear: 12,
+      minPullRequests: 5,
+      requireCi: true,
+    };
+    assert.equal(hasActivityMinimums(cfg), true);
+    assert.deepEqual(activityShortfalls(activity, cfg), [
+      'commitsLastYear',
+      'pullRequests',
+      'ci',
+    ]);
+  });
+
+  it('sem mínimos nada reprova', () => {
+    assert.equal(hasActivityMinimums(NO_MINIMUMS), false);
+    assert.deepEqual(activityShortfalls(activity, NO_MINIMUMS), []);
+  });
+});
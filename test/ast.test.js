@@ -0,0 +1,81 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeTestFile } = require('../scripts/lib/ast');
+
+function enabled({ features }) {
+  return Object.keys(features).filter((f) => features[f]);
+}
+
+describe('analyzeTestFile', () => {
+  it('reconhece import de RTL com vários nomes, render e JSX no teste', () => {
+    const analysis = analyzeTestFile(
+      `import { render, screen } from '@testing-library/react';
+      import type { Props } from './Button';
+
+      jest.mock('./api');
+
+      describe('Button', () => {
+        it('renderiza', () => {
+          render(<Button label={'ok' as string} />);
+          expect(screen.getByText('ok')).toBeInTheDocument();
+        });
+      });`,
+      'Button.test.tsx'
+    );
+    assert.deepEqual(enabled(analysis), ['rtl', 'render', 'jsx', 'jestMock']);
+    assert.equal(analysis.cases, 1);
+  });
+
+  it('não confunde palavras soltas com Enzyme', () => {
+    const analysis = analyzeTestFile(
+      `// shallow copy antes do mount do app
+      const mountPoint = document.getElementById('root');
+      test('copia', () => expect({ ...mountPoint }).toBeDefined());`,
+      'copy.test.ts'
+    );
+    assert.deepEqual(enabled(analysis), []);
+  });
+
+  it('reconhece enzyme e react-test-renderer via require', () => {
+    const analysis = analyzeTestFile(
+      `const { shallow } = require('enzyme');
+      const renderer = require('react-test-renderer');
+      it('snapshot', () => {
+        expect(shallow(<App />)).toMatchSnapshot();
+      });`,
+      'App.test.js'
+    );
+    assert.deepEqual(enabled(analysis), [
+      'enzyme',
+      'reactTestRenderer',
+      'shallow',
+      'jsx',
+      'snapshot',
+    ]);
+  });
+
+  it('conta casos de .each uma vez por declaração', () => {
+    const analysis = analyzeTestFile(
+      `test.each([[1], [2]])('soma %i', (n) => {});
+      it.each\`a\${1}\`('tabela', () => {});
+      it.skip('pulado', () => {});`,
+      'sum.test.ts'
+    );
+    assert.equal(analysis.cases, 3);
+  });
+
+  it('JSX fora de it/test não conta', () => {
+    const analysis = analyzeTestFile(
+      'const tree = <App />;\nit("x", () => {});',
+      'x.test.jsx'
+    );
+    assert.equal(analysis.features.jsx, false);
+  });
+
+  it('devolve null quando o arquivo não parseia', () => {
+    assert.equal(analyzeTestFile('@@@ !!!', 'x.test.js'), null);
+  });
+});
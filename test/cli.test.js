@@ -0,0 +1,380 @@
+'use strict';
+
+const { after, before, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { helpText, parseCli, runCli } = require('../scripts/lib/cli');
+const { collectStats } = require('../scripts/lib/commands');
+const { config, loadConfig, validateConfig } = require('../scripts/lib/config');
+const { parseCsv } = require('../scripts/lib/csv');
+const { sliceQuery } = require('../scripts/lib/queries');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+mock.method(console, 'error', () => {});
+
+describe('parseCli', () => {
+  it('usa mine como comando padrão e as flags sobrescrevem o ambiente', () => {
+    const parsed = parseCli(['--batch-size', '20', '--no-metrics'], {
+      BATCH_SIZE: '50',
+      TEST_METRICS: 'true',
+      GITHUB_TOKEN: 't',
+    });
+    assert.equal(parsed.command, 'mine');
+    assert.equal(parsed.env.BATCH_SIZE, '20');
+    assert.equal(parsed.env.TEST_METRICS, 'false');
+    assert.equal(parsed.env.GITHUB_TOKEN, 't');
+  });
+
+  it('aplica o arquivo de configuração entre o ambiente e as flags', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const file = path.join(dir, 'mine.json');
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ 'max-qualified': 7, QUARTERS_COUNT: 4, reset: true })
+    );
+    try {
+      const { env } = parseCli(['stats', '--config', file, '--quarters', '2'], {
+        MAX_QUALIFIED: '1',
+        QUARTERS_COUNT: '9',
+      });
+      assert.equal(env.MAX_QUALIFIED, '7');
+      assert.equal(env.QUARTERS_COUNT, '2');
+      assert.equal(env.RESET_CHECKPOINT, 'true');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejeita comandos e flags desconhecidos', () => {
+    assert.throws(() => parseCli(['minerar'], {}), /Comando desconhecido/);
+    assert.throws(() => parseCli(['mine', '--lote', '3'], {}));
+  });
+
+  it('lista comandos e variáveis na ajuda', () => {
+    const text = helpText();
+    for (const name of ['mine', 'resume', 'check', 'export', 'stats']) {
+      assert.match(text, new RegExp(`^  ${name} `, 'm'));
+    }
+    assert.match(text, /--batch-size <n>.*\[BATCH_SIZE\]/);
+    assert.match(helpText('export'), /--from <jsonl\|sqlite>/);
+  });
+});
+
+describe('validateConfig', () => {
+  const errorsFor = (env) =>
+    validateConfig(loadConfig({ GITHUB_TOKEN: 't', ...env }));
+
+  it('aponta valores não numéricos e fora da faixa', () => {
+    assert.deepEqual(errorsFor({ BATCH_SIZE: 'abc' }), [
+      'BATCH_SIZE deve ser um número inteiro.',
+    ]);
+    assert.match(errorsFor({ BATCH_SIZE: '500' })[0], /BATCH_SIZE/);
+    assert.match(errorsFor({ RESET_CHECKPOINT: 'sim' })[0], /RESET_CHECKPOINT/);
+    assert.deepEqual(errorsFor({}), []);
+  });
+
+  it('valida os qualificadores da busca', () => {
+    assert.deepEqual(
+      errorsFor({
+        MIN_STARS: '50',
+        MAX_STARS: '10',
+        CREATED_FROM: '2024-02-30',
+        OWNER_TYPE: 'team',
+        SEARCH_SORT: 'stars',
+      }),
+      [
+        'OWNER_TYPE inválido (team). Use org, user.',
+        'CREATED_FROM deve ser uma data AAAA-MM-DD (recebido 2024-02-30).',
+        'MIN_STARS (50) maior que MAX_STARS (10).',
+      ]
+    );
+    assert.deepEqual(
+      errorsFor({ MIN_STARS: '5', CREATED_TO: '2024-12-31', LICENSES: 'mit' }),
+      []
+    );
+  });
+
+  it('respeita MAX_QUALIFIED', () => {
+    assert.equal(loadConfig({ MAX_QUALIFIED: '3' }).maxQualified, 3);
+    assert.equal(loadConfig({}).maxQualified, 10000);
+  });
+});
+
+describe('collectStats', () => {
+  it('conta vereditos, motivos e queries', () => {
+    const slices = ['a', 'b', 'c'].map((base) => ({
+      base,
+      pushed: { from: '2024-01-01', to: '2024-03-31' },
+      stars: null,
+    }));
+    const [a, b] = slices.map((slice) => sliceQuery(slice));
+    const checkpoint = {
+      updatedAt: '2025-01-01T00:00:00.000Z',
+      queries: {
+        [a]: { done: true, total: 3, seen: 3 },
+        [b]: { done: false, lastPage: 2, total: 9, seen: 4 },
+      },
+      repos: {
+        'x/1': { verdict: 'qualified' },
+        'x/2': { verdict: 'rejected', reason: 'ts-react' },
+        'x/3': { verdict: 'rejected', reason: 'course' },
+        'x/4': { verdict: 'rejected', reason: 'ts-react' },
+        'x/5': { verdict: 'failed', reason: 'boom' },
+      },
+    };
+    const stats = collectStats(checkpoint, slices);
+    assert.equal(stats.analyzed, 5);
+    assert.deepEqual(stats.verdicts, { qualified: 1, rejected: 3, failed: 1 });
+    assert.deepEqual(stats.reasons, [
+      ['ts-react', 2],
+      ['course', 1],
+    ]);
+    assert.deepEqual(stats.queries, { total: 3, done: 1, started: 1 });
+    assert.equal(stats.coverage.estimated, 12);
+    assert.equal(stats.coverage.visited, 7);
+  });
+});
+
+describe('runCli', () => {
+  const saved = { ...config };
+  let stub;
+  let outputDir;
+  let env;
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: {
+        'acme/app': {
+          languages: { TypeScript: 100 },
+          files: {
+            'package.json': JSON.stringify({
+              dependencies: { react: '^18.0.0' },
+              devDependencies: {
+                jest: '^29.0.0',
+                typescript: '^5.0.0',
+                '@testing-library/react': '^14.0.0',
+              },
+            }),
+            'src/App.test.tsx': [
+              "import { render } from '@testing-library/react';",
+              "it('renderiza', () => render(<App />));",
+            ].join('\n'),
+          },
+        },
+        'acme/api': {
+          languages: { TypeScript: 100 },
+          files: { 'package.json': '{"dependencies":{"express":"*"}}' },
+        },
+      },
+      search: [
+        { full_name: 'acme/app', name: 'app', owner: { login: 'acme' } },
+        { full_name: 'acme/api', name: 'api', owner: { login: 'acme' } },
+      ],
+    });
+    useStub(config, stub);
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    env = {
+      GITHUB_TOKEN: 'test-token',
+      GITHUB_API_URL: stub.url,
+      OUTPUT_DIR: outputDir,
+      QUARTERS_COUNT: '1',
+      RATE_LIMIT_MARGIN_MS: '0',
+      HTTP_CACHE: 'false',
+    };
+  });
+
+  after(async () => {
+    Object.assign(config, saved);
+    await stub.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('valida a configuração antes de executar', async () => {
+    console.error.mock.resetCalls();
+    assert.equal(await runCli(['mine', '--batch-size', 'abc'], env), 2);
+    assert.equal(
+      console.error.mock.calls[0].arguments[0],
+      'Erro: BATCH_SIZE deve ser um número inteiro.'
+    );
+    assert.equal(stub.requests.length, 0);
+    assert.equal(await runCli(['resume'], env), 1);
+  });
+
+  it('check explica o veredito de cada repositório', async () => {
+    console.log.mock.resetCalls();
+    const code = await runCli(
+      ['check', 'acme/app', 'https://github.com/acme/api'],
+      env
+    );
+    assert.equal(code, 0);
+    const output = console.log.mock.calls
+      .map((c) => c.arguments.join(' '))
+      .join('\n');
+    assert.match(output, /✅ acme\/app: qualificado \(ts-react-jest\)/);
+    assert.match(output, /✔ React: react \(dependência\)/);
+    assert.match(
+      output,
+      /✔ FrontendTestLibs: regra any\(TestingLibrary, Enzyme, TestFiles\)/
+    );
+    assert.match(
+      output,
+      /✘ TestFiles: não buscado \(when: all\(React, Jest, not/
+    );
+    assert.match(
+      output,
+      /❌ acme\/api: rejeitado na etapa ts-react \(Falta TS ou React\)/
+    );
+    assert.match(output, /✘ ts-react: Falta TS ou React \(faltando: React\)/);
+    assert.ok(!fs.existsSync(path.join(outputDir, 'repos_ts_react_jest.csv')));
+  });
+
+  it('check lê uma lista e imprime JSON', async () => {
+    const list = path.join(outputDir, 'repos.txt');
+    fs.writeFileSync(list, '# revisão\nacme/api\n\nacme/nada\n');
+    console.log.mock.resetCalls();
+    assert.equal(await runCli(['check', '--file', list, '--json'], env), 1);
+    const [api, missing] = JSON.parse(
+      console.log.mock.calls.at(-1).arguments[0]
+    );
+    assert.equal(api.verdict, 'rejected');
+    assert.deepEqual(api.decision, {
+      stage: 'ts-react',
+      label: 'Falta TS ou React',
+    });
+    assert.deepEqual(
+      api.signals.find((signal) => signal.name === 'TypeScript').evidence,
+      [{ type: 'language', item: 'TypeScript', workspace: '.' }]
+    );
+    assert.equal(api.course.isCourseOrBoilerplate, false);
+    assert.deepEqual(missing, {
+      name: 'acme/nada',
+      verdict: 'not-found',
+      error: null,
+    });
+    assert.equal(await runCli(['check'], env), 2);
+  });
+
+  it('history valida as opções e grava a série', async () => {
+    console.error.mock.resetCalls();
+    const history = (...args) => runCli(['history', 'acme/app', ...args], env);
+    assert.equal(await history('--every', 'week'), 2);
+    assert.equal(
+      await history('--from', '2024-03-01', '--to', '2024-01-01'),
+      2
+    );
+    assert.equal(await history('--signals', 'Jest,Nope'), 2);
+    assert.match(
+      console.error.mock.calls.at(-1).arguments[0],
+      /^Erro: sinal desconhecido em --signals: Nope \(sinais do critério: .*Jest/
+    );
+    assert.equal(await history('--signals', ','), 2);
+    assert.equal(
+      console.error.mock.calls.at(-1).arguments[0],
+      'Erro: --signals precisa de ao menos um sinal'
+    );
+
+    // Sem commits no stub: a série existe, mas nenhum ponto tem versão
+    assert.equal(
+      await history('--from', '2024-01-01', '--to', '2024-06-30'),
+      0
+    );
+    const lines = fs
+      .readFileSync(
+        path.join(outputDir, 'history_ts_react_jest.jsonl'),
+        'utf-8'
+      )
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      lines.map(({ name, at, sha }) => [name, at, sha]),
+      [
+        ['acme/app', '2024-03-31', null],
+        ['acme/app', '2024-06-30', null],
+      ]
+    );
+  });
+
+  it('mine grava JSON Lines e export converte para CSV', async () => {
+    assert.equal(await runCli(['--formats', 'jsonl'], env), 0);
+    const csvFile = path.join(outputDir, 'repos_ts_react_jest.csv');
+    assert.ok(!fs.existsSync(csvFile));
+
+    assert.equal(
+      await runCli(['export', '--from', 'jsonl', '--to', 'csv'], env),
+      0
+    );
+    const rows = parseCsv(fs.readFileSync(csvFile, 'utf-8'));
+    assert.deepEqual(
+      rows.slice(1).map((r) => r[0]),
+      ['acme/app']
+    );
+    const rejections = parseCsv(
+      fs.readFileSync(
+        path.join(outputDir, 'rejections_ts_react_jest.csv'),
+        'utf-8'
+      )
+    );
+    assert.equal(rejections[1][0], 'acme/api');
+
+    // O destino já existe: não sobrescreve
+    assert.equal(
+      await runCli(['export', '--from', 'jsonl', '--to', 'csv'], env),
+      2
+    );
+  });
+
+  it('sample grava a amostra e o manifesto do sorteio', async () => {
+    // Um qualificado marcado pelo modo incremental fica fora do sorteio
+    const reposFile = path.join(outputDir, 'repos_ts_react_jest.jsonl');
+    const [record] = fs
+      .readFileSync(reposFile, 'utf-8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    fs.appendFileSync(
+      reposFile,
+      `${JSON.stringify({ ...record, name: 'acme/old', status: 'deleted' })}\n`
+    );
+
+    assert.equal(await runCli(['sample', '--from', 'jsonl'], env), 2);
+    assert.equal(
+      await runCli(
+        ['sample', '--from', 'jsonl', '--per-stratum', '5', '--seed', '9'],
+        env
+      ),
+      0
+    );
+    const manifest = JSON.parse(
+      fs.readFileSync(
+        path.join(outputDir, 'sample_ts_react_jest.manifest.json'),
+        'utf-8'
+      )
+    );
+    assert.equal(manifest.seed, 9);
+    assert.deepEqual(manifest.allocation, {
+      method: 'per-stratum',
+      perStratum: 5,
+    });
+    // Trimestre da execução gravada × 4 faixas de estrelas
+    assert.equal(manifest.quartersCount, 1);
+    assert.equal(manifest.strata.length, 4);
+    assert.equal(manifest.population, 1);
+    assert.equal(manifest.excluded, 1);
+    assert.doesNotMatch(
+      fs.readFileSync(
+        path.join(outputDir, 'sample_ts_react_jest.jsonl'),
+        'utf-8'
+      ),
+      /acme\/old/
+    );
+  });
+});
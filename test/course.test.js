@@ -0,0 +1,106 @@
+'use strict';
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { config } = require('../scripts/lib/config');
+const { detectCourseOrBoilerplate } = require('../scripts/lib/course');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+
+describe('detectCourseOrBoilerplate', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: {
+        'acme/shop': { readme: '# Shop\n\nProjeto final do bootcamp XYZ.' },
+        'acme/dash': { readme: '# Dashboard\n\nPainel interno.' },
+      },
+    });
+    useStub(config, stub);
+  });
+
+  after(() => stub.close());
+
+  it('detecta palavras-chave no nome, descrição e tópicos', async () => {
+    const byName = await detectCourseOrBoilerplate(
+      'acme',
+      'react-starter',
+      'react-starter',
+      '',
+      []
+    );
+    const byDescription = await detectCourseOrBoilerplate(
+      'acme',
+      'app',
+      'app',
+      'Exercícios do curso de React',
+      []
+    );
+    const byTopic = await detectCourseOrBoilerplate('acme', 'app', 'app', '', [
+      'Udemy',
+    ]);
+    assert.equal(byName.isCourseOrBoilerplate, true);
+    assert.equal(byDescription.isCourseOrBoilerplate, true);
+    assert.equal(byTopic.isCourseOrBoilerplate, true);
+
+    assert.deepEqual(byName, {
+      isCourseOrBoilerplate: true,
+      kind: 'boilerplate',
+      keyword: 'starter',
+      matchedIn: 'name',
+    });
+    assert.equal(byDescription.kind, 'course');
+    assert.equal(byDescription.keyword, 'curso');
+    assert.equal(byDescription.matchedIn, 'description');
+    assert.equal(byTopic.matchedIn, 'topics');
+  });
+
+  it('só consulta o README com README_COURSE_CHECK ligado', async () => {
+    config.readmeCourseCheck = false;
+    const off = await detectCourseOrBoilerplate('acme', 'shop', 'shop', '', []);
+    assert.equal(off.isCourseOrBoilerplate, false);
+    assert.ok(!stub.requests.some((r) => r.path.endsWith('/readme')));
+
+    config.readmeCourseCheck = true;
+    const on = await detectCourseOrBoilerplate('acme', 'shop', 'shop', '', []);
+    const clean = await detectCourseOrBoilerplate(
+      'acme',
+      'dash',
+      'dash',
+      '',
+      []
+    );
+    assert.equal(on.isCourseOrBoilerplate, true);
+    assert.equal(on.keyword, 'bootcamp');
+    assert.equal(on.matchedIn, 'readme');
+    assert.equal(clean.isCourseOrBoilerplate, false);
+  });
+
+  it('trata README ausente (404) como vazio', async () => {
+    config.readmeCourseCheck = true;
+    const res = await detectCourseOrBoilerplate('acme', 'none', 'none', '', []);
+    assert.equal(res.isCourseOrBoilerplate, false);
+  });
+
+  it('usa o README já lido pelo GraphQL sem consultar a API', async () => {
+    config.readmeCourseCheck = true;
+    const before = stub.requests.length;
+    const res = await detectCourseOrBoilerplate(
+      'acme',
+      'dash',
+      'dash',
+      '',
+      [],
+      '# Dash\n\nExercícios do curso.'
+    );
+    assert.equal(res.matchedIn, 'readme');
+    assert.equal(stub.requests.length, before);
+  });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  CRITERIA_DIR,
+  evaluateRule,
+  loadCriteria,
+  ruleSignals,
+  validateCriteria,
+} = require('../scripts/lib/criteria');
+
+const MINIMAL = {
+  id: 'x',
+  search: { bases: ['language:Go'] },
+  signals: { Go: { languages: ['Go'] } },
+  stages: [{ id: 'go', rule: 'Go' }],
+};
+
+describe('evaluateRule', () => {
+  const signals = { A: true, B: false, C: true };
+
+  it('avalia nomes, all, any e not', () => {
+    assert.equal(evaluateRule('A', signals), true);
+    assert.equal(evaluateRule({ all: ['A', 'B'] }, signals), false);
+    assert.equal(evaluateRule({ any: ['A', 'B'] }, signals), true);
+    assert.equal(evaluateRule({ not: 'B' }, signals), true);
+    assert.equal(
+      evaluateRule({ all: ['A', { any: ['B', { not: 'C' }] }] }, signals),
+      false
+    );
+  });
+
+  it('aceita funções', () => {
+    assert.equal(
+      evaluateRule((s) => s.A && !s.B, signals),
+      true
+    );
+  });
+
+  it('rejeita regras malformadas', () => {
+    assert.throws(() => evaluateRule({ some: ['A'] }, signals), /inválida/);
+  });
+});
+
+describe('ruleSignals', () => {
+  it('lista os sinais citados sem repetição', () => {
+    assert.deepEqual(
+      ruleSignals({ all: ['A', { any: ['B', 'A'] }, { not: 'C' }] }),
+      ['A', 'B', 'C']
+    );
+  });
+});
+
+describe('validateCriteria', () => {
+  it('aceita um critério mínimo', () => {
+    assert.equal(validateCriteria(MINIMAL), MINIMAL);
+  });
+
+  it('aponta sinais desconhecidos em etapas e regras', () => {
+    assert.throws(
+      () =>
+        validateCriteria({
+          ...MINIMAL,
+          signals: { ...MINIMAL.signals, D: { rule: 'Nope' } },
+          stages: [{ id: 'go', rule: { all: ['Go', 'Rust'] } }],
+        }),
+      /sinal D cita sinal desconhecido: Nope.*etapa go cita sinal desconhecido: Rust/
+    );
+  });
+
+  it('exige bases de busca e fontes nos sinais', () => {
+    assert.throws(
+      () =>
+        validateCriteria({
+          ...MINIMAL,
+          search: { bases: [] },
+          signals: { Go: {} },
+        }),
+      /search\.bases.*sinal Go sem fonte/
+    );
+  });
+
+  it('valida as características citadas em testFiles.match', () => {
+    assert.throws(
+      () =>
+        validateCriteria({
+          ...MINIMAL,
+          signals: {
+            ...MINIMAL.signals,
+            T: { testFiles: { pattern: 'test', match: { any: ['rtl', 'x'] } } },
+          },
+        }),
+      /testFiles\.match` cita característica desconhecida: x/
+    );
+  });
+  it('exige listas de pacotes em versions', () => {
+    assert.throws(
+      () =>
+        validateCriteria({
+          ...MINIMAL,
+          versions: { Go: ['go'], React: 'react', Vue: [] },
+        }),
+      /versions\.React deve ser uma lista de pacotes; versions\.Vue/
+    );
+  });
+});
+
+describe('critérios embutidos', () => {
+  for (const file of fs.readdirSync(CRITERIA_DIR)) {
+    const ref = path.basename(file, '.js');
+    it(`${ref} é válido`, () => {
+      assert.equal(loadCriteria(ref).id, ref);
+    });
+  }
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { csvField, formatCsvRow, parseCsv } = require('../scripts/lib/csv');
+
+describe('csvField', () => {
+  it('só usa aspas quando precisa, dobrando as internas', () => {
+    assert.equal(csvField('simples'), 'simples');
+    assert.equal(csvField('a,b'), '"a,b"');
+    assert.equal(csvField('diz "oi"'), '"diz ""oi"""');
+    assert.equal(csvField('linha\nnova'), '"linha\nnova"');
+    assert.equal(csvField(null), '');
+    assert.equal(csvField(0), '0');
+  });
+});
+
+describe('parseCsv', () => {
+  it('lê de volta o que formatCsvRow escreve', () => {
+    const rows = [
+      ['Repositorio', 'Descricao'],
+      ['acme/app', 'Um app, com "aspas"\r\ne duas linhas'],
+      ['acme/lib', ''],
+    ];
+    assert.deepEqual(parseCsv(rows.map(formatCsvRow).join('')), rows);
+  });
+
+  it('aceita linhas terminadas só em LF', () => {
+    assert.deepEqual(parseCsv('a,b\n1,2\n'), [
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+  });
+});
@@ -0,0 +1,304 @@
+'use strict';
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { config } = require('../scripts/lib/config');
+const { evaluateRule, loadCriteria } = require('../scripts/lib/criteria');
+const {
+  detectSignalsFromPkg,
+  detectTech,
+  findTestFilePaths,
+  pkgHasAnyDep,
+  scriptsContain,
+  searchForTestFiles,
+} = require('../scripts/lib/detect');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+
+const tsReactJest = loadCriteria('ts-react-jest');
+const testFiles = tsReactJest.signals.TestFiles.testFiles;
+
+const RTL_TEST = `import { render, screen } from '@testing-library/react';
+import { Button } from './Button';
+
+it('renders', () => {
+  render(<Button />);
+});
+`;
+
+describe('pkgHasAnyDep', () => {
+  it('procura em dependencies e devDependencies', () => {
+    const pkg = {
+      dependencies: { react: '^18.0.0' },
+      devDependencies: { jest: '^29.0.0' },
+    };
+    assert.equal(pkgHasAnyDep(pkg, ['react']), true);
+    assert.equal(pkgHasAnyDep(pkg, ['vitest', 'jest']), true);
+    assert.equal(pkgHasAnyDep(pkg, ['enzyme']), false);
+  });
+
+  it('aceita package.json ausente', () => {
+    assert.equal(pkgHasAnyDep(null, ['react']), false);
+  });
+});
+
+describe('scriptsContain', () => {
+  it('compara sem diferenciar maiúsculas', () => {
+    const pkg = { scripts: { test: 'JEST --coverage', lint: 'eslint .' } };
+    assert.equal(scriptsContain(pkg, ['jest']), true);
+    assert.equal(scriptsContain(pkg, ['vitest']), false);
+  });
+
+  it('ignora scripts que não são strings', () => {
+    assert.equal(scriptsContain({ scripts: { test: 42 } }, ['4']), false);
+  });
+});
+
+describe('detectSignalsFromPkg', () => {
+  it('lista as deps e scripts que sustentam cada sinal', () => {
+    const evidence = detectSignalsFromPkg(
+      {
+        dependencies: { react: '^18.0.0' },
+        devDependencies: {
+          'ts-jest': '^29.0.0',
+          '@testing-library/react': '*',
+        },
+        scripts: { test: 'jest --ci' },
+      },
+      tsReactJest
+    );
+    assert.deepEqual(evidence.React, ['react']);
+    assert.deepEqual(evidence.Jest, ['ts-jest', 'script:jest']);
+    assert.deepEqual(evidence.TestingLibrary, ['@testing-library/react']);
+    assert.deepEqual(evidence.Enzyme, []);
+  });
+
+  it('aceita package.json ausente', () => {
+    const evidence = detectSignalsFromPkg(null, tsReactJest);
+    assert.ok(Object.values(evidence).every((e) => e.length === 0));
+  });
+});
+
+describe('findTestFilePaths', () => {
+  it('aceita .test/.spec e fontes em __tests__ em qualquer profundidade', () => {
+    const paths = [
+      'src/App.tsx',
+      'src/App.test.tsx',
+      'e2e/login.spec.js',
+      'packages/x/src/components/__tests__/Button.tsx',
+      'packages/x/src/components/__tests__/snapshot.snap',
+      'node_modules/lib/index.test.js',
+      'docs/guide.test.md',
+    ];
+    assert.deepEqual(findTestFilePaths(paths, testFiles), [
+      'src/App.test.tsx',
+      'e2e/login.spec.js',
+      'packages/x/src/components/__tests__/Button.tsx',
+    ]);
+  });
+});
+
+describe('detecção contra o stub da API', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: {
+        'acme/app': {
+          languages: { TypeScript: 1000, CSS: 10 },
+          topics: ['react'],
+          files: {
+            'package.json': JSON.stringify({
+              dependencies: { react: '^18.0.0' },
+              devDependencies: { jest: '^29.0.0', typescript: '^5.0.0' },
+            }),
+            'src/index.ts': 'export {};',
+            'src/components/Button/Button.test.tsx': RTL_TEST,
+          },
+        },
+        'acme/vue-app': {
+          languages: { Vue: 500, TypeScript: 300 },
+          files: {
+            'package.json': JSON.stringify({
+              dependencies: { vue: '^3.4.0' },
+              devDependencies: { '@vue/test-utils': '^2.4.0' },
+            }),
+            'vitest.config.ts': 'export default {};',
+          },
+        },
+        'acme/vite-app': {
+          languages: { TypeScript: 800 },
+          files: {
+            'package.json': JSON.stringify({
+              dependencies: { react: '^18.2.0' },
+              devDependencies: { '@testing-library/react': '^14.0.0' },
+            }),
+            'vite.config.ts':
+              'export default defineConfig({ test: { environment: "jsdom" } });',
+            'cypress.config.ts':
+              'export default defineConfig({ component: { devServer: {} } });',
+          },
+        },
+        'acme/lib': {
+          languages: { JavaScript: 1000 },
+          files: {
+            'package.json': JSON.stringify({ dependencies: { react: '*' } }),
+            'tsconfig.json': '{}',
+            'jest.config.ts': 'export default {};',
+          },
+        },
+        'acme/mono': {
+          languages: { TypeScript: 2000 },
+          files: {
+            'package.json': JSON.stringify({
+              private: true,
+              devDependencies: { typescript: '^5.0.0' },
+            }),
+            'pnpm-workspace.yaml':
+              "packages:\n  - 'apps/*'\n  - '!apps/legacy'\n",
+            'apps/web/package.json': JSON.stringify({
+              dependencies: { react: '^18.0.0' },
+              devDependencies: { jest: '^29.0.0' },
+            }),
+            'apps/web/jest.config.ts': 'export default {};',
+            'apps/web/src/components/__tests__/App.tsx': RTL_TEST,
+            'apps/legacy/package.json': JSON.stringify({
+              dependencies: { enzyme: '*' },
+            }),
+            'apps/api/package.json': JSON.stringify({
+              devDependencies: { mocha: '*' },
+            }),
+          },
+        },
+      },
+    });
+    useStub(config, stub);
+  });
+
+  after(() => stub.close());
+
+  it('searchForTestFiles baixa só os candidatos, via GraphQL', async () => {
+    const before = stub.requests.length;
+    const found = await searchForTestFiles('acme', 'app', testFiles, [
+      'src/index.ts',
+      'src/components/Button/Button.test.tsx',
+    ]);
+    assert.equal(found, 'src/components/Button/Button.test.tsx');
+    const requests = stub.requests.slice(before);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].path, '/graphql');
+  });
+
+  it('searchForTestFiles ignora testes sem o conteúdo esperado', async () => {
+    const found = await searchForTestFiles(
+      'acme',
+      'lib',
+      { ...testFiles, match: 'rtl' },
+      ['jest.config.ts', 'tsconfig.json']
+    );
+    assert.equal(found, null);
+  });
+
+  it('detectTech encontra testes React na árvore quando faltam libs no package.json', async () => {
+    const tech = await detectTech('acme', 'app', tsReactJest);
+    assert.equal(tech.signals.TypeScript, true);
+    assert.equal(tech.signals.React, true);
+    assert.equal(tech.signals.Jest, true);
+    assert.equal(tech.signals.FrontendTestLibs, true);
+    assert.deepEqual(tech.evidence.TestFiles, [
+      'src/components/Button/Button.test.tsx',
+    ]);
+    assert.deepEqual(tech.evidence.React, ['react', 'topic:react']);
+    assert.equal(
+      stub.requests.filter((r) => r.path.includes('/contents/')).length,
+      0
+    );
+    assert.deepEqual(tech.topics, ['react']);
+  });
+
+  it('detectTech usa tsconfig e jest.config quando as deps não bastam', async () => {
+    const tech = await detectTech('acme', 'lib', tsReactJest);
+    assert.deepEqual(tech.evidence.TypeScript, ['tsconfig.json']);
+    assert.deepEqual(tech.evidence.Jest, ['jest.config.ts']);
+    assert.equal(tech.signals.FrontendTestLibs, false);
+  });
+
+  it('detectTech avalia outro critério com o mesmo motor', async () => {
+    const tech = await detectTech(
+      'acme',
+      'vue-app',
+      loadCriteria('vue-vitest')
+    );
+    assert.deepEqual(tech.evidence.Vue, ['vue', 'lang:Vue']);
+    assert.deepEqual(tech.evidence.Vitest, ['vitest.config.ts']);
+    assert.equal(tech.signals.VueTestUtils, true);
+  });
+
+  it('detectTech reconhece Vitest pelo bloco test do vite.config', async () => {
+    const tech = await detectTech('acme', 'vite-app', tsReactJest);
+    assert.deepEqual(tech.evidence.Vitest, ['vite.config.ts']);
+    assert.deepEqual(tech.evidence.Cypress, ['cypress.config.ts']);
+    assert.deepEqual(tech.evidence.CypressCT, ['cypress.config.ts']);
+    assert.equal(tech.signals.Jest, false);
+    assert.equal(tech.signals.Mocha, false);
+  });
+
+  it('ts-react-tests qualifica React testado sem Jest', async () => {
+    const criteria = loadCriteria('ts-react-tests');
+    const tech = await detectTech('acme', 'vite-app', criteria);
+    const [, frontendTests] = criteria.stages;
+    assert.equal(evaluateRule(frontendTests.rule, tech.signals), true);
+
+    const jestOnly = tsReactJest.stages[1];
+    assert.equal(evaluateRule(jestOnly.rule, tech.signals), false);
+  });
+
+  it('detectTech agrega os sinais dos workspaces de um monorepo', async () => {
+    const tech = await detectTech('acme', 'mono', tsReactJest);
+    assert.deepEqual(tech.monorepo, {
+      sources: ['pnpm-workspace.yaml'],
+      workspaces: ['apps/api', 'apps/web'],
+    });
+    assert.deepEqual(tech.evidence.React, ['apps/web:react']);
+    assert.deepEqual(tech.evidence.Jest, [
+      'apps/web:jest',
+      'apps/web:jest.config.ts',
+    ]);
+    assert.deepEqual(tech.evidence.TestFiles, [
+      'apps/web/src/components/__tests__/App.tsx',
+    ]);
+    assert.equal(tech.signals.Enzyme, false);
+    assert.equal(tech.signals.FrontendTestLibs, true);
+    assert.deepEqual(tech.satisfiedBy.TypeScript, ['.']);
+    assert.deepEqual(tech.satisfiedBy.Mocha, ['apps/api']);
+    assert.deepEqual(tech.satisfiedBy.TestFiles, ['apps/web']);
+  });
+
+  it('detectTech ignora workspaces com MONOREPO_DETECTION desligado', async () => {
+    config.monorepoDetection = false;
+    try {
+      const tech = await detectTech('acme', 'mono', tsReactJest);
+      assert.equal(tech.monorepo, null);
+      assert.equal(tech.signals.React, false);
+    } finally {
+      config.monorepoDetection = true;
+    }
+  });
+
+  it('detectTech cai para a API REST quando o GraphQL falha', async () => {
+    stub.failNext('/graphql', { status: 400, body: { message: 'Bad' } });
+    const tech = await detectTech('acme', 'lib', tsReactJest);
+    assert.equal(tech.signals.TypeScript, true);
+    assert.equal(tech.signals.React, true);
+    assert.equal(tech.signals.Jest, true);
+    assert.ok(
+      stub.requests.some((r) => r.path === '/repos/acme/lib/languages')
+    );
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { config } = require('../scripts/lib/config');
+const { getRepoContent, ghGET } = require('../scripts/lib/github');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+
+describe('fixtures HTTP', () => {
+  let stub;
+  let dir;
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: { 'acme/app': { files: { 'package.json': '{"name":"app"}' } } },
+    });
+    useStub(config, stub);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    config.httpFixturesDir = dir;
+  });
+
+  after(async () => {
+    config.httpFixtures = '';
+    await stub.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('grava respostas e as reproduz sem rede', async () => {
+    config.httpFixtures = 'record';
+    assert.equal(
+      await getRepoContent('acme', 'app', 'package.json'),
+      '{"name":"app"}'
+    );
+    await ghGET(`${stub.url}/repos/acme/app/readme`);
+
+    const files = fs.readdirSync(dir);
+    assert.equal(files.length, 2);
+    const recorded = fs.readFileSync(path.join(dir, files[0]), 'utf-8');
+    assert.doesNotMatch(recorded, /test-token|x-ratelimit/);
+
+    await stub.close();
+    config.httpFixtures = 'replay';
+    assert.equal(
+      await getRepoContent('acme', 'app', 'package.json'),
+      '{"name":"app"}'
+    );
+    assert.deepEqual(await ghGET(`${stub.url}/repos/acme/app/readme`), {
+      status: 404,
+    });
+  });
+
+  it('falha com erro claro quando falta a fixture', async () => {
+    config.httpFixtures = 'replay';
+    await assert.rejects(
+      ghGET(`${stub.url}/repos/acme/other/languages`),
+      /Fixture ausente/
+    );
+  });
+});
@@ -0,0 +1,337 @@
+'use strict';
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getCacheStats } = require('../scripts/lib/cache');
+const { config } = require('../scripts/lib/config');
+const {
+  getGraphqlUsage,
+  getRepo,
+  getRepoContent,
+  getReposInfoGraphQL,
+  ghGET,
+  ghGraphQL,
+  searchReposREST,
+} = require('../scripts/lib/github');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+
+describe('cliente da API do GitHub', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: { 'acme/app': { files: { 'src/a.ts': 'export const a = 1;' } } },
+      search: Array.from({ length: 5 }, (_, i) => ({
+        full_name: `acme/r${i}`,
+      })),
+    });
+    useStub(config, stub);
+  });
+
+  after(() => stub.close());
+
+  it('envia o token e os cabeçalhos da API', async () => {
+    await ghGET(`${stub.url}/repos/acme/app/languages`);
+    const req = stub.requests.at(-1);
+    assert.equal(req.headers.authorization, 'Bearer test-token');
+    assert.equal(req.headers['x-github-api-version'], '2022-11-28');
+  });
+
+  it('espera o reset e repete após 403 de rate limit', async () => {
+    stub.rateLimitNext('/repos/acme/app/contents');
+    const before = stub.requests.length;
+    const content = await getRepoContent('acme', 'app', 'src/a.ts');
+    assert.equal(content, 'export const a = 1;');
+    assert.equal(stub.requests.length - before, 2);
+  });
+
+  it('troca de token quando a cota de um bucket se esgota', async () => {
+    config.githubTokens = ['token-a', 'token-b'];
+    try {
+      stub.rateLimitNext('/search/repositories', { resetIn: 3600 });
+      const started = Date.now();
+      const page = await searchReposREST('react', 1, 2);
+      assert.equal(page.items.length, 2);
+      assert.ok(Date.now() - started < 1000);
+      const auth = (req) => req.headers.authorization;
+      assert.deepEqual(stub.requests.slice(-2).map(auth), [
+        'Bearer token-a',
+        'Bearer token-b',
+      ]);
+
+      // O bucket core do primeiro token continua disponível
+      await ghGET(`${stub.url}/repos/acme/app/languages`);
+      assert.equal(auth(stub.requests.at(-1)), 'Bearer token-a');
+    } finally {
+      config.githubTokens = ['test-token'];
+    }
+  });
+
+  it('repete 5xx, 429 com Retry-After e erros de rede', async () => {
+    const before = stub.requests.length;
+    stub.failNext('/repos/acme/app/contents', { status: 502, body: {} });
+    stub.failNext('/repos/acme/app/contents', {
+      status: 429,
+      headers: { 'retry-after': '0' },
+      body: { message: 'Too many requests' },
+    });
+    stub.dropNext('/repos/acme/app/contents');
+    const content = await getRepoContent('acme', 'app', 'src/a.ts');
+    assert.equal(content, 'export const a = 1;');
+    assert.equal(stub.requests.length - before, 4);
+  });
+
+  it('repete o rate limit secundário em 403', async () => {
+    stub.failNext('/graphql', {
+      status: 403,
+      body: { message: 'You have exceeded a secondary rate limit.' },
+    });
+    const data = await ghGraphQL(
+      'query($owner: String!, $name: String!) { repository(owner: $owner, name: $name) { id } }',
+      { owner: 'acme', name: 'app' }
+    );
+    assert.ok(data.repository);
+  });
+
+  it('esgotadas as tentativas, lança um erro transitório', async () => {
+    const retries = config.maxRetries;
+    config.maxRetries = 1;
+    try {
+      for (let i = 0; i < 2; i++) {
+        stub.failNext('/repos/acme/app/topics', { status: 503, body: {} });
+      }
+      await assert.rejects(
+        ghGET(`${stub.url}/repos/acme/app/topics`),
+        (err) => err.transient === true && /falhou: 503/.test(err.message)
+      );
+    } finally {
+      config.maxRetries = retries;
+    }
+  });
+
+  it('devolve status 404 sem lançar erro', async () => {
+    const res = await ghGET(`${stub.url}/repos/acme/missing/readme`);
+    assert.deepEqual(res, { status: 404 });
+    assert.equal(await getRepoContent('acme', 'app', 'nope.ts'), null);
+  });
+
+  it('lança erro em 403 que não é de rate limit', async () => {
+    stub.failNext('/repos/acme/app/topics', {
+      status: 403,
+      body: { message: 'Resource not accessible' },
+    });
+    await assert.rejects(
+      ghGET(`${stub.url}/repos/acme/app/topics`),
+      (err) => !err.transient && /falhou: 403/.test(err.message)
+    );
+  });
+
+  it('lança erro quando o GraphQL responde com errors', async () => {
+    stub.failNext('/graphql', {
+      status: 200,
+      body: { errors: [{ message: 'Something went wrong' }] },
+    });
+    await assert.rejects(
+      ghGraphQL('query { viewer { login } }'),
+      /GraphQL errors/
+    );
+  });
+
+  it('pagina a Search API', async () => {
+    const page1 = await searchReposREST('react', 1, 2);
+    const page3 = await searchReposREST('react', 3, 2);
+    assert.equal(page1.total_count, 5);
+    assert.deepEqual(
+      page1.items.map((i) => i.full_name),
+      ['acme/r0', 'acme/r1']
+    );
+    assert.deepEqual(
+      page3.items.map((i) => i.full_name),
+      ['acme/r4']
+    );
+  });
+
+  it('envia SEARCH_SORT e SEARCH_ORDER à Search API', async () => {
+    Object.assign(config, { searchSort: 'stars', searchOrder: 'asc' });
+    try {
+      await searchReposREST('react', 1, 2);
+    } finally {
+      Object.assign(config, { searchSort: '', searchOrder: '' });
+    }
+    const { query } = stub.requests.at(-1);
+    assert.equal(query.sort, 'stars');
+    assert.equal(query.order, 'asc');
+  });
+});
+
+describe('getReposInfoGraphQL', () => {
+  let stub;
+  const repoNames = ['acme/a', 'acme/b', 'acme/c', 'acme/d', 'acme/e'];
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: Object.fromEntries(
+        repoNames.map((name) => [
+          name,
+          {
+            languages: { TypeScript: 10 },
+            topics: ['react'],
+            files: { 'package.json': '{}', 'tsconfig.json': '{}' },
+          },
+        ])
+      ),
+      graphqlMaxRepos: 2,
+    });
+    useStub(config, stub);
+  });
+
+  after(() => stub.close());
+
+  it('consulta vários repositórios por query e reduz o lote se for complexo demais', async () => {
+    config.graphqlBatchSize = 4;
+    const usage = getGraphqlUsage();
+    const infos = await getReposInfoGraphQL(
+      [...repoNames, 'acme/missing'],
+      ['tsconfig.json', 'jest.config.js']
+    );
+
+    assert.equal(infos.size, 6);
+    assert.deepEqual(infos.get('acme/a').files, {
+      'tsconfig.json': '{}',
+      'jest.config.js': null,
+    });
+    assert.equal(infos.get('acme/e').packageJson.text, '{}');
+    assert.equal(infos.get('acme/missing'), null);
+
+    // 4 → recusado; 2 + 2 + 2 aceitos
+    const sizes = stub.graphqlQueries.map(
+      (q) => (q.match(/: repository\(/g) || []).length
+    );
+    assert.deepEqual(sizes, [4, 2, 2, 2]);
+    assert.equal(getGraphqlUsage().cost - usage.cost, 3);
+    assert.equal(getGraphqlUsage().remaining, 4999);
+  });
+
+  it('não reduz o lote por um 502', async () => {
+    config.graphqlBatchSize = 2;
+    const retries = config.maxRetries;
+    config.maxRetries = 0;
+    const requestsBefore = stub.requests.length;
+    stub.failNext('/graphql', { status: 502, body: {} });
+    try {
+      const infos = await getReposInfoGraphQL(repoNames);
+      // O lote que falhou fica de fora; os seguintes mantêm o tamanho
+      assert.deepEqual([...infos.keys()], ['acme/c', 'acme/d', 'acme/e']);
+    } finally {
+      config.maxRetries = retries;
+    }
+
+    const sizes = stub.requests
+      .slice(requestsBefore)
+      .map((r) => (r.body.match(/: repository\(/g) || []).length);
+    assert.deepEqual(sizes, [2, 2, 1]);
+  });
+});
+
+describe('cache HTTP', () => {
+  let stub;
+  let cacheDir;
+  const languagesUrl = () => `${stub.url}/repos/acme/app/languages`;
+  const repos = { 'acme/app': { languages: { TypeScript: 100 } } };
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos,
+      search: [{ full_name: 'acme/app' }],
+    });
+    useStub(config, stub);
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    Object.assign(config, {
+      httpCache: true,
+      httpCacheDir: cacheDir,
+      httpCacheTtlHours: 24,
+    });
+  });
+
+  after(async () => {
+    config.httpCache = false;
+    await stub.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('serve do disco dentro do TTL e revalida com ETag depois', async () => {
+    const first = await ghGET(languagesUrl());
+    const before = stub.requests.length;
+    const hits = getCacheStats().hits;
+    const second = await ghGET(languagesUrl());
+    assert.deepEqual(second, first);
+    assert.equal(stub.requests.length, before);
+    assert.equal(getCacheStats().hits, hits + 1);
+
+    // TTL 0: toda entrada está vencida e vai com If-None-Match
+    config.httpCacheTtlHours = 0;
+    try {
+      const revalidated = getCacheStats().revalidated;
+      const third = await ghGET(languagesUrl());
+      assert.deepEqual(third, { status: 200, data: { TypeScript: 100 } });
+      assert.match(stub.requests.at(-1).headers['if-none-match'], /^"\w+"$/);
+      assert.equal(getCacheStats().revalidated, revalidated + 1);
+    } finally {
+      config.httpCacheTtlHours = 24;
+    }
+  });
+
+  it('revalida a situação do repositório mesmo dentro do TTL', async () => {
+    assert.equal((await getRepo('acme', 'app')).archived, undefined);
+    repos['acme/app'].meta = { archived: true };
+    try {
+      // Sem revalidar, a entrada fresca esconde o arquivamento
+      assert.equal((await getRepo('acme', 'app')).archived, undefined);
+      const before = stub.requests.length;
+      const item = await getRepo('acme', 'app', { revalidate: true });
+      assert.equal(item.archived, true);
+      assert.equal(stub.requests.length, before + 1);
+    } finally {
+      delete repos['acme/app'].meta;
+    }
+  });
+
+  it('guarda GraphQL sem somar o custo nas respostas do disco', async () => {
+    const query = 'query { viewer { login } }';
+    await ghGraphQL(query);
+    const usage = getGraphqlUsage().queries;
+    const before = stub.requests.length;
+    await ghGraphQL(query);
+    assert.equal(stub.requests.length, before);
+    assert.equal(getGraphqlUsage().queries, usage);
+  });
+
+  it('não guarda a Search API nem funciona com --no-cache', async () => {
+    await searchReposREST('react', 1, 10);
+    await searchReposREST('react', 1, 10);
+    const searches = stub.requests.filter(
+      (r) => r.path === '/search/repositories'
+    );
+    assert.equal(searches.length, 2);
+
+    config.httpCache = false;
+    try {
+      const before = stub.requests.length;
+      await ghGET(languagesUrl());
+      assert.equal(stub.requests.length, before + 1);
+      assert.equal(stub.requests.at(-1).headers['if-none-match'], undefined);
+    } finally {
+      config.httpCache = true;
+    }
+  });
+});
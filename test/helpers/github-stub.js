@@ -0,0 +1,417 @@
+/* test/helpers/github-stub.js */
+/* Servidor HTTP local que imita os endpoints da API do GitHub usados pelo minerador */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { mock } = require('node:test');
+
+function b64(text) {
+  return Buffer.from(text, 'utf-8').toString('base64');
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'content-type': 'application/json; charset=utf-8',
+    'x-ratelimit-remaining': '4999',
+    'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600),
+    ...headers,
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Resposta com ETag; devolve 304 se o cliente mandar o mesmo If-None-Match
+function sendCacheable(req, res, body) {
+  const etag = `"${crypto
+    .createHash('sha1')
+    .update(JSON.stringify(body) ?? '')
+    .digest('hex')}"`;
+  if (req.headers['if-none-match'] === etag) {
+    return sendJson(res, 304, undefined, { etag });
+  }
+  return sendJson(res, 200, body, { etag });
+}
+
+// Lista o conteúdo imediato de um diretório a partir do mapa de arquivos
+function listDirectory(files, dirPath) {
+  const prefix = dirPath ? `${dirPath}/` : '';
+  const entries = new Map();
+  for (const filePath of Object.keys(files)) {
+    if (!filePath.startsWith(prefix)) continue;
+    const rest = filePath.slice(prefix.length);
+    const [name, ...deeper] = rest.split('/');
+    entries.set(name, {
+      name,
+      path: `${prefix}${name}`,
+      type: deeper.length > 0 ? 'dir' : 'file',
+    });
+  }
+  return [...entries.values()];
+}
+
+// Arquivos do repositório em `ref`: `HEAD` é `files`; um SHA ou tag aponta
+// para um dos `commits` (null se não existir)
+function filesAt(repo, ref = 'HEAD') {
+  if (ref === 'HEAD') return repo.files || {};
+  const commit = (repo.commits || []).find(
+    (c) => c.sha === ref || (c.tags || []).includes(ref)
+  );
+  return commit ? commit.files : null;
+}
+
+// Commit no formato da REST API
+function restCommit({ sha, date }) {
+  return { sha, commit: { committer: { date } } };
+}
+
+// Campos de atividade (GetRepoActivity, lotes) e GetFirstCommit: o histórico
+// vem de `commits` (o cursor `"<oid> <n>"` aponta para o item n+1, do mais
+// novo para o mais antigo) e as contagens, de `activity`
+function graphqlActivity(repo, query, variables) {
+  const since = query.match(/history\(since:\s*"([^"]+)"\)/)?.[1];
+  const commits = [...(repo.commits || [])].reverse();
+  const { pullRequests = {}, issues = {}, releases = 0 } = repo.activity || {};
+  const cursor = String(variables.cursor || '').match(/ (\d+)$/);
+  const start = cursor ? Number(cursor[1]) + 1 : 0;
+  const head = commits[0];
+  return {
+    defaultBranchRef: head
+      ? {
+          target: {
+            oid: head.sha,
+            committedDate: head.date,
+            history: {
+              totalCount: commits.length,
+              nodes: commits
+                .slice(start, start + 1)
+                .map((c) => ({ committedDate: c.date })),
+            },
+            lastYear: {
+              totalCount: commits.filter((c) => c.date >= since).length,
+            },
+          },
+        }
+      : null,
+    openPullRequests: { totalCount: pullRequests.open || 0 },
+    closedPullRequests: { totalCount: pullRequests.closed || 0 },
+    openIssues: { totalCount: issues.open || 0 },
+    closedIssues: { totalCount: issues.closed || 0 },
+    releases: { totalCount: releases },
+  };
+}
+
+const BATCH_ALIAS_RE =
+  /(\w+):\s*repository\(owner:\s*"([^"]+)",\s*name:\s*"([^"]+)"\)/g;
+
+// Monta a resposta de `repository(...)` olhando os aliases
+// `alias: object(expression: "REF:arquivo")` presentes na query
+function graphqlRepository(repo, query, variables = {}) {
+  const data = {
+    ...(/\bdefaultBranchRef\b/.test(query)
+      ? graphqlActivity(repo, query, variables)
+      : {}),
+    languages: {
+      edges: Object.entries(repo.languages || {}).map(([name, size]) => ({
+        size,
+        node: { name },
+      })),
+    },
+    repositoryTopics: {
+      nodes: (repo.topics || []).map((name) => ({ topic: { name } })),
+    },
+  };
+  const re = /(\w+):\s*object\(expression:\s*"([^":]+):([^"]*)"\)/g;
+  let m;
+  while ((m = re.exec(query))) {
+    const [, alias, ref, filePath] = m;
+    const files = filesAt(repo, ref) || {};
+    if (files[filePath] !== undefined) {
+      data[alias] = { text: files[filePath] };
+      continue;
+    }
+    // Diretório: entradas no formato de `... on Tree { entries { name type } }`
+    const entries = listDirectory(files, filePath).map(({ name, type }) => ({
+      name,
+      type: type === 'dir' ? 'tree' : 'blob',
+    }));
+    data[alias] = entries.length > 0 ? { entries } : null;
+  }
+  return data;
+}
+
+/**
+ * Sobe o stub numa porta livre.
+ *
+ * `repos` mapeia `owner/name` para
+ * `{ languages, topics, readme, files, commits, meta, activity }`, onde
+ * `files` mapeia caminhos para conteúdo textual (no HEAD), `commits` é o
+ * histórico `[{ sha, date, tags, files }]` do mais antigo ao mais novo,
+ * `meta` sobrescreve campos de `GET /repos/:owner/:repo` e `activity` traz
+ * `{ contributors, pullRequests: { open, closed }, issues: { open, closed },
+ * releases }`. `search` é a lista de
+ * itens devolvidos pela Search API (ou uma função `(q) => itens`).
+ * Consultas GraphQL em lote com mais de `graphqlMaxRepos` repositórios
+ * recebem um erro de complexidade.
+ */
+async function startGitHubStub({
+  repos = {},
+  search = [],
+  graphqlMaxRepos = Infinity,
+} = {}) {
+  const requests = [];
+  const graphqlQueries = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: raw,
+      });
+
+      const failureIdx = failures.findIndex((f) =>
+        typeof f.pathPrefix === 'function'
+          ? f.pathPrefix(url.pathname, raw)
+          : url.pathname.startsWith(f.pathPrefix)
+      );
+      if (failureIdx !== -1) {
+        const [failure] = failures.splice(failureIdx, 1);
+        if (failure.drop) return req.socket.destroy();
+        return sendJson(res, failure.status, failure.body, failure.headers);
+      }
+
+      if (req.method === 'POST' && url.pathname === '/graphql') {
+        const { query, variables = {} } = JSON.parse(raw || '{}');
+        graphqlQueries.push(query);
+        const batch = [...query.matchAll(BATCH_ALIAS_RE)];
+        if (batch.length === 0) {
+          const repo = repos[`${variables.owner}/${variables.name}`];
+          return sendJson(res, 200, {
+            data: {
+              repository: repo
+                ? graphqlRepository(repo, query, variables)
+                : null,
+            },
+          });
+        }
+        if (batch.length > graphqlMaxRepos) {
+          return sendJson(res, 200, {
+            errors: [
+              {
+                type: 'MAX_NODE_LIMIT_EXCEEDED',
+                message: `This query requests too many nodes.`,
+              },
+            ],
+          });
+        }
+        // Consulta em lote: aliases `rN: repository(owner: "o", name: "n")`
+        const data = {};
+        const errors = [];
+        for (const [, alias, owner, name] of batch) {
+          const repo = repos[`${owner}/${name}`];
+          data[alias] = repo ? graphqlRepository(repo, query) : null;
+          if (!repo) {
+            errors.push({
+              type: 'NOT_FOUND',
+              path: [alias],
+              message: `Could not resolve to a Repository with the name '${owner}/${name}'.`,
+            });
+          }
+        }
+        if (/\brateLimit\b/.test(query)) {
+          data.rateLimit = {
+            cost: 1,
+            remaining: 4999,
+            resetAt: new Date(Date.now() + 3600 * 1000).toISOString(),
+          };
+        }
+        return sendJson(res, 200, {
+          data,
+          ...(errors.length > 0 ? { errors } : {}),
+        });
+      }
+
+      if (url.pathname === '/search/repositories') {
+        const q = url.searchParams.get('q');
+        const perPage = parseInt(url.searchParams.get('per_page') || '30', 10);
+        const page = parseInt(url.searchParams.get('page') || '1', 10);
+        const all = typeof search === 'function' ? search(q) : search;
+        return sendJson(res, 200, {
+          total_count: all.length,
+          items: all.slice((page - 1) * perPage, page * perPage),
+        });
+      }
+
+      const info = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)\/?$/);
+      if (info && repos[`${info[1]}/${info[2]}`]) {
+        const repo = repos[`${info[1]}/${info[2]}`];
+        return sendJson(res, 200, {
+          full_name: `${info[1]}/${info[2]}`,
+          name: info[2],
+          owner: { login: info[1], type: 'User' },
+          stargazers_count: 0,
+          description: '',
+          topics: repo.topics || [],
+          default_branch: 'main',
+          ...repo.meta,
+        });
+      }
+
+      const m = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)\/(\w+)\/?(.*)$/);
+      const repo = m && repos[`${m[1]}/${m[2]}`];
+      if (!repo) return sendJson(res, 404, { message: 'Not Found' });
+
+      const [, , , endpoint, rest] = m;
+      if (endpoint === 'commits') {
+        const commits = repo.commits || [];
+        if (rest) {
+          const commit = commits.find(
+            (c) => c.sha === rest || (c.tags || []).includes(rest)
+          );
+          return commit
+            ? sendJson(res, 200, restCommit(commit))
+            : sendJson(res, 422, {
+                message: `No commit found for SHA: ${rest}`,
+              });
+        }
+        const until = url.searchParams.get('until');
+        const before = commits.filter((c) => !until || c.date <= until);
+        return sendJson(res, 200, before.slice(-1).reverse().map(restCommit));
+      }
+      if (endpoint === 'contributors') {
+        const total = repo.activity?.contributors || 0;
+        if (total === 0) return sendJson(res, 204);
+        const perPage = Number(url.searchParams.get('per_page') || 30);
+        const page = Number(url.searchParams.get('page') || 1);
+        const last = Math.ceil(total / perPage);
+        const from = (page - 1) * perPage;
+        const items = Array.from(
+          { length: Math.max(0, Math.min(perPage, total - from)) },
+          (_, i) => ({ login: `dev${from + i}`, contributions: 1 })
+        );
+        const link =
+          page < last
+            ? `<http://${req.headers.host}${url.pathname}?per_page=${perPage}&anon=true&page=${last}>; rel="last"`
+            : null;
+        return sendJson(res, 200, items, link ? { link } : {});
+      }
+      const ref =
+        endpoint === 'git'
+          ? decodeURIComponent(rest.replace(/^trees\//, ''))
+          : url.searchParams.get('ref') || 'HEAD';
+      const files = filesAt(repo, ref) || {};
+      if (endpoint === 'languages') {
+        return sendCacheable(req, res, repo.languages);
+      }
+      if (endpoint === 'topics') {
+        return sendJson(res, 200, { names: repo.topics || [] });
+      }
+      if (endpoint === 'readme') {
+        if (repo.readme === undefined) {
+          return sendJson(res, 404, { message: 'Not Found' });
+        }
+        return sendJson(res, 200, {
+          encoding: 'base64',
+          content: b64(repo.readme),
+        });
+      }
+      if (endpoint === 'git' && rest.startsWith('trees/')) {
+        const dirs = new Set(
+          Object.keys(files).flatMap((filePath) =>
+            filePath
+              .split('/')
+              .slice(0, -1)
+              .map((_, i, parts) => parts.slice(0, i + 1).join('/'))
+          )
+        );
+        return sendJson(res, 200, {
+          truncated: false,
+          tree: [
+            ...[...dirs].map((dirPath) => ({ path: dirPath, type: 'tree' })),
+            ...Object.keys(files).map((filePath) => ({
+              path: filePath,
+              type: 'blob',
+              size: Buffer.byteLength(files[filePath]),
+            })),
+          ],
+        });
+      }
+      if (endpoint === 'contents') {
+        const filePath = decodeURIComponent(rest);
+        if (files[filePath] !== undefined) {
+          return sendJson(res, 200, {
+            type: 'file',
+            path: filePath,
+            encoding: 'base64',
+            content: b64(files[filePath]),
+          });
+        }
+        const entries = listDirectory(files, filePath);
+        if (entries.length > 0) return sendJson(res, 200, entries);
+      }
+      return sendJson(res, 404, { message: 'Not Found' });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    graphqlQueries,
+    // A próxima requisição cujo path começa com `pathPrefix` recebe esta
+    // resposta (`pathPrefix` também pode ser uma função `(path, corpo)`)
+    failNext(pathPrefix, { status, headers = {}, body }) {
+      failures.push({ pathPrefix, status, headers, body });
+    },
+    // Derruba a conexão da próxima requisição (erro de rede no cliente)
+    dropNext(pathPrefix) {
+      failures.push({ pathPrefix, drop: true });
+    },
+    // Resposta de rate limit primário esgotado; o reset é imediato, ou
+    // daqui a `resetIn` segundos
+    rateLimitNext(pathPrefix, { resetIn = 0 } = {}) {
+      failures.push({
+        pathPrefix,
+        status: 403,
+        headers: {
+          'x-ratelimit-remaining': '0',
+          'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + resetIn),
+        },
+        body: { message: 'API rate limit exceeded' },
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Aponta o cliente HTTP do minerador para o stub
+function useStub(config, stub) {
+  config.apiBaseUrl = stub.url;
+  config.githubToken = 'test-token';
+  config.githubTokens = ['test-token'];
+  config.httpFixtures = '';
+  config.httpCache = false;
+  config.rateLimitMarginMs = 0;
+  config.retryBaseMs = 1;
+  config.searchRetryBaseMs = 1;
+}
+
+// Os logs do minerador (com emojis) poluem a saída do runner e, no Node 20,
+// podem corromper o protocolo entre o runner e o processo de teste
+function silenceLogs() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+}
+
+module.exports = { silenceLogs, startGitHubStub, useStub };
@@ -0,0 +1,177 @@
+'use strict';
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { config } = require('../scripts/lib/config');
+const { getCriteria } = require('../scripts/lib/criteria');
+const { languagesFromTree } = require('../scripts/lib/detect');
+const {
+  annotateChanges,
+  historyDates,
+  mineHistory,
+} = require('../scripts/lib/history');
+const { checkRepository } = require('../scripts/lib/miner');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+
+const SIGNALS = ['TypeScript', 'React', 'Jest', 'TestingLibrary', 'Enzyme'];
+
+describe('historyDates', () => {
+  it('usa o fim de cada período e termina em `to`', () => {
+    assert.deepEqual(historyDates('2023-02-10', '2023-08-15'), [
+      '2023-03-31',
+      '2023-06-30',
+      '2023-08-15',
+    ]);
+    assert.deepEqual(historyDates('2023-11-20', '2024-02-10', 'month'), [
+      '2023-11-30',
+      '2023-12-31',
+      '2024-01-31',
+      '2024-02-10',
+    ]);
+    assert.deepEqual(historyDates('2022-05-01', '2024-12-31', 'year'), [
+      '2022-12-31',
+      '2023-12-31',
+      '2024-12-31',
+    ]);
+  });
+});
+
+describe('annotateChanges', () => {
+  it('marca adoções e abandonos entre pontos com commit', () => {
+    const points = annotateChanges(
+      [
+        { at: '2023-03-31', sha: null, signals: null },
+        { at: '2023-06-30', sha: 'a', signals: { Jest: true, Enzyme: true } },
+        { at: '2023-09-30', sha: 'b', signals: { Jest: true, Enzyme: false } },
+      ],
+      ['Jest', 'Enzyme']
+    );
+    assert.deepEqual(
+      points.map(({ adopted, dropped }) => [adopted, dropped]),
+      [
+        [[], []],
+        [['Jest', 'Enzyme'], []],
+        [[], ['Enzyme']],
+      ]
+    );
+  });
+});
+
+describe('languagesFromTree', () => {
+  it('soma os bytes por extensão, fora de node_modules', () => {
+    assert.deepEqual(
+      languagesFromTree({
+        paths: ['src/a.tsx', 'src/b.ts', 'index.js', 'node_modules/x/y.ts'],
+        sizes: [10, 5, 7, 100],
+      }),
+      { TypeScript: 15, JavaScript: 7 }
+    );
+  });
+});
+
+describe('mineração histórica contra o stub da API', () => {
+  let stub;
+
+  const JS_ENZYME = {
+    'package.json': JSON.stringify({
+      dependencies: { react: '^16.0.0' },
+      devDependencies: { jest: '^24.0.0', enzyme: '^3.0.0' },
+    }),
+    'src/App.js': 'export default () => null;',
+  };
+  const TS_RTL = {
+    'package.json': JSON.stringify({
+      dependencies: { react: '^18.0.0' },
+      devDependencies: {
+        jest: '^29.0.0',
+        typescript: '^5.0.0',
+        '@testing-library/react': '^14.0.0',
+      },
+    }),
+    'tsconfig.json': '{}',
+    'src/App.tsx': 'export const App = () => null;',
+    'src/App.test.tsx': [
+      "import { render } from '@testing-library/react';",
+      "it('renderiza', () => render(<App />));",
+    ].join('\n'),
+  };
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: {
+        'acme/app': {
+          languages: { TypeScript: 100 },
+          files: TS_RTL,
+          meta: { created_at: '2022-01-05T00:00:00Z' },
+          commits: [
+            {
+              sha: 'c1'.padEnd(40, '0'),
+              date: '2022-01-10T00:00:00Z',
+              files: JS_ENZYME,
+            },
+            {
+              sha: 'c2'.padEnd(40, '0'),
+              date: '2022-05-05T00:00:00Z',
+              tags: ['v2.0.0'],
+              files: TS_RTL,
+            },
+          ],
+        },
+      },
+    });
+    useStub(config, stub);
+    config.readmeCourseCheck = false;
+  });
+
+  after(() => stub.close());
+
+  it('monta a série e reaproveita pontos no mesmo commit', async () => {
+    const queriesBefore = stub.graphqlQueries.length;
+    const { found, points } = await mineHistory('acme/app', {
+      to: '2022-09-30',
+      signals: SIGNALS,
+    });
+
+    assert.equal(found, true);
+    assert.deepEqual(
+      points.map(({ at, sha }) => [at, sha.slice(0, 2)]),
+      [
+        ['2022-03-31', 'c1'],
+        ['2022-06-30', 'c2'],
+        ['2022-09-30', 'c2'],
+      ]
+    );
+    assert.deepEqual(points[0].adopted, ['React', 'Jest', 'Enzyme']);
+    assert.deepEqual(points[1].adopted, ['TypeScript', 'TestingLibrary']);
+    assert.deepEqual(points[1].dropped, ['Enzyme']);
+    assert.deepEqual(points[2].adopted, []);
+
+    // Arquivos lidos na versão de cada commit, uma vez por commit
+    const queries = stub.graphqlQueries.slice(queriesBefore);
+    const infoQueries = queries.filter((q) => q.includes('query GetRepoInfo'));
+    assert.equal(infoQueries.length, 2);
+    assert.match(infoQueries[0], /"c10+:package\.json"/);
+  });
+
+  it('check avalia a versão de uma tag ou data', async () => {
+    const criteria = getCriteria();
+    const old = await checkRepository('acme/app', criteria, '2022-02-01');
+    assert.equal(old.snapshot.sha.slice(0, 2), 'c1');
+    assert.equal(old.verdict, 'rejected');
+    assert.equal(old.evaluation.tech.signals.TypeScript, false);
+
+    const tagged = await checkRepository('acme/app', criteria, 'v2.0.0');
+    assert.equal(tagged.snapshot.sha.slice(0, 2), 'c2');
+    assert.equal(tagged.verdict, 'qualified');
+
+    const missing = await checkRepository('acme/app', criteria, '2021-01-01');
+    assert.equal(missing.verdict, 'failed');
+  });
+});
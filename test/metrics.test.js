@@ -0,0 +1,51 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeTestSource, countSourceTsx } = require('../scripts/lib/metrics');
+
+describe('analyzeTestSource', () => {
+  it('conta it/test, inclusive .only, .skip e .each', () => {
+    const source = `
+      describe('Button', () => {
+        it('renderiza', () => {});
+        it.only('clica', () => {});
+        test.skip('desabilitado', () => {});
+        test.each([[1], [2]])('soma %i', (n) => {});
+        const submit = () => {};
+        split('a');
+      });
+    `;
+    assert.equal(analyzeTestSource(source).cases, 4);
+  });
+
+  it('distingue imports de RTL e Enzyme e uso de snapshot', () => {
+    const rtl = analyzeTestSource(
+      "import { render, screen } from '@testing-library/react';\nexpect(asFragment()).toMatchSnapshot();"
+    );
+    assert.deepEqual(
+      { rtl: rtl.rtl, enzyme: rtl.enzyme, snapshot: rtl.snapshot },
+      { rtl: true, enzyme: false, snapshot: true }
+    );
+
+    const enzyme = analyzeTestSource(
+      "const { shallow } = require('enzyme');\nimport '@testing-library/react-hooks';"
+    );
+    assert.equal(enzyme.enzyme, true);
+    assert.equal(enzyme.rtl, false);
+    assert.equal(enzyme.snapshot, false);
+  });
+});
+
+describe('countSourceTsx', () => {
+  it('ignora testes e node_modules', () => {
+    const paths = [
+      'src/App.tsx',
+      'src/App.test.tsx',
+      'src/index.ts',
+      'node_modules/lib/View.tsx',
+    ];
+    assert.equal(countSourceTsx(paths, ['src/App.test.tsx']), 1);
+  });
+});
@@ -0,0 +1,493 @@
+'use strict';
+
+const {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const { config } = require('../scripts/lib/config');
+const { getCriteria } = require('../scripts/lib/criteria');
+const { formatCsvRow, parseCsv } = require('../scripts/lib/csv');
+const { explainCheck, formatExplanation } = require('../scripts/lib/explain');
+const { csvColumns } = require('../scripts/lib/output');
+const { readJsonLines } = require('../scripts/lib/writers');
+const { checkRepository, main } = require('../scripts/lib/miner');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+
+const REACT_JEST_PKG = JSON.stringify({
+  dependencies: { react: '^18.0.0' },
+  devDependencies: {
+    jest: '^29.0.0',
+    typescript: '^5.0.0',
+    '@testing-library/react': '^14.0.0',
+  },
+});
+
+function searchItem(fullName, extra = {}) {
+  const [login, name] = fullName.split('/');
+  return {
+    full_name: fullName,
+    name,
+    owner: { login },
+    stargazers_count: 10,
+    description: '',
+    ...extra,
+  };
+}
+
+describe('main', () => {
+  let stub;
+  let outputDir;
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: {
+        'acme/app': {
+          languages: { TypeScript: 100 },
+          files: {
+            'package.json': REACT_JEST_PKG,
+            'yarn.lock': ['react@^18.0.0:', '  version "18.2.0"'].join('\n'),
+            'src/App.tsx': 'export const App = () => null;',
+            'src/App.test.tsx': [
+              "import { render } from '@testing-library/react';",
+              "it('renderiza', () => render(<App />));",
+              "test('snapshot', () => expect(tree).toMatchSnapshot());",
+            ].join('\n'),
+          },
+        },
+        'acme/api': {
+          languages: { TypeScript: 100 },
+          files: { 'package.json': '{"dependencies":{"express":"*"}}' },
+        },
+      },
+      search: [
+        searchItem('acme/app', {
+          description: 'App "demo", com vírgula\ne quebra de linha',
+          forks_count: 3,
+          license: { spdx_id: 'MIT' },
+          owner: { login: 'acme', type: 'Organization' },
+        }),
+        searchItem('acme/api'),
+        searchItem('acme/react-boilerplate'),
+      ],
+    });
+    useStub(config, stub);
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miner-'));
+    Object.assign(config, {
+      outputDir,
+      outputFormats: ['csv'],
+      csvFile: path.join(outputDir, 'repos.csv'),
+      rejectionsCsvFile: path.join(outputDir, 'rejections.csv'),
+      jsonlFiles: {
+        repos: path.join(outputDir, 'repos.jsonl'),
+        rejections: path.join(outputDir, 'rejections.jsonl'),
+        runs: path.join(outputDir, 'runs.jsonl'),
+      },
+      sqliteFile: path.join(outputDir, 'mining.sqlite'),
+      checkpointFile: path.join(outputDir, 'checkpoint.json'),
+      resetCheckpoint: false,
+      quartersCount: 1,
+      batchSize: 2,
+      readmeCourseCheck: false,
+    });
+  });
+
+  afterEach(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  it('grava qualificados no CSV e vereditos no checkpoint', async () => {
+    const queriesBefore = stub.graphqlQueries.length;
+    await main();
+    // Informações dos repositórios de cada página vêm em lote
+    const queries = stub.graphqlQueries.slice(queriesBefore);
+    assert.ok(queries.some((q) => q.includes('query GetReposInfo')));
+    assert.ok(!queries.some((q) => q.includes('query GetRepoInfo(')));
+
+    const csv = fs.readFileSync(config.csvFile, 'utf-8').trim().split('\r\n');
+    assert.equal(
+      csv[0],
+      'Repositorio,Link,Estrelas,Descricao,Forks,IssuesAbertas,CriadoEm,UltimoPush,BranchPadrao,Licenca,TamanhoKB,Topicos,TipoDono,ParcelaTypeScript,TypeScript,React,Jest,Vitest,Mocha,Playwright,PlaywrightCT,Cypress,CypressCT,TestingLibrary,Enzyme,TestFiles,FrontendTestLibs,Evidencias,Monorepo,SinaisPorWorkspace,ArquivosTeste,ArquivosTesteAnalisados,CasosTeste,ArquivosRTL,ArquivosEnzyme,ArquivosSnapshot,ArquivosSnap,FontesTsx,RazaoTesteFonte,Situacao,Lockfile,ApenasPeer,Versoes,MajorReact,MajorTypeScript,MajorJest,MajorTestingLibrary,MajorEnzyme,MajorEnzymeAdapter,Contribuidores,Commits,CommitsUltimoAno,PrimeiroCommit,UltimoCommit,PRsAbertos,PRsFechados,IssuesAbertasSemPRs,IssuesFechadas,Releases,WorkflowsCI'
+    );
+    assert.equal(csv.length, 2);
+    assert.match(
+      csv[1],
+      /^acme\/app,.*,Sim,Sim,Sim,(Não,){6}Sim,Não,Não,Sim,/s
+    );
+    assert.match(
+      csv[1],
+      /,1,1,2,1,0,1,0,1,1\.000,active,yarn\.lock,,react=\^18\.0\.0→18\.2\.0\|typescript=\^5\.0\.0\|jest=\^29\.0\.0\|@testing-library\/react=\^14\.0\.0,18,5,29,14,,,0,0,0,,,0,0,0,0,0,0$/
+    );
+
+    const [, row] = parseCsv(fs.readFileSync(config.csvFile, 'utf-8'));
+    assert.equal(row[3], 'App "demo", com vírgula\ne quebra de linha');
+    assert.equal(row[4], '3');
+    assert.equal(row[9], 'MIT');
+    assert.equal(row[12], 'Organization');
+    assert.equal(row[13], '1.000');
+
+    const rejections = parseCsv(
+      fs.readFileSync(config.rejectionsCsvFile, 'utf-8')
+    );
+    assert.deepEqual(rejections[0].slice(3, 10), [
+      'Etapa',
+      'Motivo',
+      'SinaisFaltando',
+      'TipoExclusao',
+      'PalavraChave',
+      'EncontradaEm',
+      'SinaisPresentes',
+    ]);
+    const byName = Object.fromEntries(rejections.map((r) => [r[0], r]));
+    assert.deepEqual(byName['acme/api'].slice(3, 6), [
+      'ts-react',
+      'Falta TS ou React',
+      'React',
+    ]);
+    assert.deepEqual(byName['acme/react-boilerplate'].slice(3, 9), [
+      'course',
+      'Curso/boilerplate/template',
+      '',
+      'boilerplate',
+      'boilerplate',
+      'name',
+    ]);
+
+    const checkpoint = JSON.parse(fs.readFileSync(config.checkpointFile));
+    assert.equal(checkpoint.repos['acme/app'].verdict, 'qualified');
+    assert.equal(checkpoint.repos['acme/api'].reason, 'ts-react');
+    assert.equal(checkpoint.repos['acme/react-boilerplate'].reason, 'course');
+    assert.ok(Object.values(checkpoint.queries).every((q) => q.done));
+  });
+
+  it('uma segunda execução não reanalisa nem duplica linhas', async () => {
+    await main();
+    const requestsBefore = stub.requests.length;
+    await main();
+
+    const csv = parseCsv(fs.readFileSync(config.csvFile, 'utf-8'));
+    assert.equal(csv.length, 2);
+    assert.equal(stub.requests.length, requestsBefore);
+  });
+
+  it('acrescenta colunas novas a um CSV de versão anterior', async () => {
+    const columns = csvColumns(getCriteria());
+    const old = columns.slice(0, -1);
+    fs.writeFileSync(
+      config.csvFile,
+      formatCsvRow(old) + formatCsvRow(old.map((_, i) => (i ? '' : 'acme/app')))
+    );
+    await main();
+
+    const [header, row, ...rest] = parseCsv(
+      fs.readFileSync(config.csvFile, 'utf-8')
+    );
+    assert.deepEqual(header, columns);
+    assert.equal(row.length, columns.length);
+    assert.equal(row[0], 'acme/app');
+    assert.equal(rest.length, 0);
+  });
+
+  it('rejeita pela atividade abaixo dos mínimos, no mine e no check', async () => {
+    config.minCommits = 1;
+    let result;
+    let mineQueries;
+    try {
+      const queriesBefore = stub.graphqlQueries.length;
+      await main();
+      mineQueries = stub.graphqlQueries.slice(queriesBefore);
+      result = await checkRepository('acme/app');
+    } finally {
+      config.minCommits = null;
+    }
+
+    // No mine as contagens vêm nos lotes de GetReposInfo
+    assert.ok(mineQueries.some((q) => /GetReposInfo[\s\S]*releases/.test(q)));
+    assert.ok(!mineQueries.some((q) => q.includes('query GetRepoActivity')));
+
+    // O check chega ao mesmo veredito e mostra o que faltou
+    assert.equal(result.verdict, 'rejected');
+    assert.deepEqual(result.shortfalls, ['commits']);
+    const explanation = explainCheck(result, getCriteria());
+    assert.deepEqual(explanation.decision, {
+      stage: 'activity',
+      label: 'Atividade abaixo do mínimo',
+    });
+    assert.deepEqual(explanation.stages.at(-1), {
+      id: 'activity',
+      label: 'Atividade abaixo do mínimo',
+      passed: false,
+      failedSignals: ['commits'],
+    });
+    assert.match(
+      formatExplanation(explanation),
+      /✘ activity: Atividade abaixo do mínimo \(faltando: commits\)/
+    );
+
+    const csv = parseCsv(fs.readFileSync(config.csvFile, 'utf-8'));
+    assert.equal(csv.length, 1);
+    const rejections = parseCsv(
+      fs.readFileSync(config.rejectionsCsvFile, 'utf-8')
+    );
+    const app = rejections.find((r) => r[0] === 'acme/app');
+    assert.deepEqual(app.slice(3, 6), [
+      'activity',
+      'Atividade abaixo do mínimo',
+      'commits',
+    ]);
+  });
+
+  it('grava JSON Lines e SQLite quando pedidos em outputFormats', async () => {
+    config.outputFormats = ['jsonl', 'sqlite'];
+    await main();
+
+    assert.equal(fs.existsSync(config.csvFile), false);
+    const [repo] = readJsonLines(config.jsonlFiles.repos);
+    assert.equal(repo.name, 'acme/app');
+    assert.deepEqual(repo.evidence.TestingLibrary, ['@testing-library/react']);
+    assert.equal(repo.metrics.testCases, 2);
+    const rejections = readJsonLines(config.jsonlFiles.rejections);
+    assert.deepEqual(rejections.map((r) => [r.name, r.stage]).sort(), [
+      ['acme/api', 'ts-react'],
+      ['acme/react-boilerplate', 'course'],
+    ]);
+
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(fs.readFileSync(config.sqliteFile));
+    const [repos] = db.exec(
+      "SELECT name, license, json_extract(signals, '$.Jest') FROM repos"
+    );
+    assert.deepEqual(repos.values, [['acme/app', 'MIT', 1]]);
+    const [runs] = db.exec('SELECT id, criteria, qualified FROM runs');
+    assert.deepEqual(runs.values[0].slice(1), ['ts-react-jest', 1]);
+    const [rejected] = db.exec('SELECT DISTINCT run_id FROM rejections');
+    assert.deepEqual(rejected.values, [[runs.values[0][0]]]);
+    db.close();
+  });
+
+  it('divide a query que passa de 1000 resultados em meses', async () => {
+    config.outputFormats = ['csv', 'jsonl'];
+    const searchesBefore = stub.requests.filter(
+      (r) => r.path === '/search/repositories'
+    ).length;
+    stub.failNext('/search/repositories', {
+      status: 200,
+      body: { total_count: 5000, items: [searchItem('acme/app')] },
+    });
+    await main();
+
+    const searches = stub.requests
+      .filter((r) => r.path === '/search/repositories')
+      .slice(searchesBefore)
+      .filter((r) => r.query.page === '1')
+      .map((r) => r.query.q.match(/pushed:(\S+)/)[1]);
+    // As outras bases do critério não passam do limite e não são divididas
+    const [quarter, ...months] = searches.slice(0, 4);
+    assert.deepEqual(searches.slice(4), [quarter, quarter]);
+    assert.equal(months[0].slice(0, 10), quarter.slice(0, 10));
+    assert.equal(months[2].slice(-10), quarter.slice(-10));
+
+    const checkpoint = JSON.parse(fs.readFileSync(config.checkpointFile));
+    const states = Object.values(checkpoint.queries);
+    assert.deepEqual(
+      states.map((q) => Boolean(q.split)),
+      [true, false, false, false, false, false]
+    );
+    assert.ok(states.slice(1).every((q) => q.done && q.seen === 3));
+    assert.equal(checkpoint.repos['acme/app'].verdict, 'qualified');
+
+    const [run] = readJsonLines(config.jsonlFiles.runs);
+    assert.deepEqual(run.coverage, {
+      estimated: 5006,
+      visited: 15,
+      split: 1,
+      capped: 0,
+    });
+  });
+
+  it('reprocessa repositórios com falha transitória', async () => {
+    const retries = config.maxRetries;
+    config.maxRetries = 0;
+    try {
+      // Falha na página e no reprocessamento do fim da execução
+      for (let i = 0; i < 2; i++) {
+        stub.failNext('/repos/acme/app/git/trees', { status: 502, body: {} });
+      }
+      await main();
+      let checkpoint = JSON.parse(fs.readFileSync(config.checkpointFile));
+      assert.equal(checkpoint.repos['acme/app'].verdict, 'failed');
+      assert.equal(checkpoint.pending['acme/app'].full_name, 'acme/app');
+      assert.ok(Object.values(checkpoint.queries).every((q) => q.done));
+
+      // As queries já terminaram, mas o pendente é reprocessado
+      await main();
+      checkpoint = JSON.parse(fs.readFileSync(config.checkpointFile));
+      assert.equal(checkpoint.repos['acme/app'].verdict, 'qualified');
+      assert.deepEqual(checkpoint.pending, {});
+      const csv = parseCsv(fs.readFileSync(config.csvFile, 'utf-8'));
+      assert.deepEqual(
+        csv.slice(1).map((r) => r[0]),
+        ['acme/app']
+      );
+    } finally {
+      config.maxRetries = retries;
+    }
+  });
+});
+
+describe('main no modo incremental', () => {
+  const repos = {};
+  let listed = [];
+  let stub;
+  let outputDir;
+
+  const pushed = (day) => `2024-05-${day}T00:00:00Z`;
+  const appRepo = () => ({
+    languages: { TypeScript: 100 },
+    files: { 'package.json': REACT_JEST_PKG },
+  });
+
+  before(async () => {
+    stub = await startGitHubStub({ repos, search: () => listed });
+    useStub(config, stub);
+  });
+
+  after(() => stub.close());
+
+  beforeEach(() => {
+    for (const name of Object.keys(repos)) delete repos[name];
+    for (const name of ['acme/app', 'acme/web', 'acme/old']) {
+      repos[name] = appRepo();
+    }
+    listed = Object.keys(repos).map((name) =>
+      searchItem(name, { pushed_at: pushed('01') })
+    );
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miner-'));
+    Object.assign(config, {
+      outputDir,
+      outputFormats: ['csv', 'jsonl'],
+      csvFile: path.join(outputDir, 'repos.csv'),
+      rejectionsCsvFile: path.join(outputDir, 'rejections.csv'),
+      jsonlFiles: {
+        repos: path.join(outputDir, 'repos.jsonl'),
+        rejections: path.join(outputDir, 'rejections.jsonl'),
+        runs: path.join(outputDir, 'runs.jsonl'),
+      },
+      checkpointFile: path.join(outputDir, 'checkpoint.json'),
+      resetCheckpoint: false,
+      quartersCount: 1,
+      batchSize: 10,
+      readmeCourseCheck: false,
+      incremental: true,
+    });
+  });
+
+  afterEach(() => {
+    config.incremental = false;
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  function csvByName() {
+    const [header, ...rows] = parseCsv(
+      fs.readFileSync(config.csvFile, 'utf-8')
+    );
+    const status = header.indexOf('Situacao');
+    return Object.fromEntries(
+      rows.map((row) => [row[0], { stars: row[2], status: row[status] }])
+    );
+  }
+
+  it('reavalia só quem teve push e atualiza a linha no lugar', async () => {
+    await main();
+    listed = [
+      searchItem('acme/app', { pushed_at: pushed('01'), stargazers_count: 50 }),
+      searchItem('acme/web', { pushed_at: pushed('09'), stargazers_count: 99 }),
+      searchItem('acme/old', { pushed_at: pushed('01') }),
+    ];
+    const requestsBefore = stub.requests.length;
+    await main();
+
+    const paths = stub.requests.slice(requestsBefore).map((r) => r.path);
+    assert.ok(paths.some((p) => p.startsWith('/repos/acme/web/')));
+    assert.ok(!paths.some((p) => p.startsWith('/repos/acme/app/')));
+    assert.deepEqual(csvByName(), {
+      'acme/app': { stars: '10', status: 'active' },
+      'acme/web': { stars: '99', status: 'active' },
+      'acme/old': { stars: '10', status: 'active' },
+    });
+    // JSON Lines compactado: uma linha por nome
+    const lines = readJsonLines(config.jsonlFiles.repos);
+    assert.deepEqual(lines.map((r) => r.name).sort(), [
+      'acme/app',
+      'acme/old',
+      'acme/web',
+    ]);
+    const checkpoint = JSON.parse(fs.readFileSync(config.checkpointFile));
+    assert.equal(checkpoint.incremental, undefined);
+    assert.equal(checkpoint.repos['acme/web'].pushedAt, pushed('09'));
+  });
+
+  it('marca apagados, arquivados e desqualificados', async () => {
+    await main();
+    delete repos['acme/web'];
+    repos['acme/old'].meta = { archived: true, pushed_at: pushed('01') };
+    repos['acme/app'].files = { 'package.json': '{"dependencies":{}}' };
+    listed = [searchItem('acme/app', { pushed_at: pushed('09') })];
+    await main();
+
+    assert.deepEqual(csvByName(), {
+      'acme/app': { stars: '10', status: 'disqualified' },
+      'acme/web': { stars: '10', status: 'deleted' },
+      'acme/old': { stars: '10', status: 'archived' },
+    });
+    const byName = Object.fromEntries(
+      readJsonLines(config.jsonlFiles.repos).map((r) => [r.name, r])
+    );
+    assert.equal(byName['acme/web'].status, 'deleted');
+    assert.ok(byName['acme/web'].statusAt);
+
+    // Uma nova passada sem mudanças não remarca nada
+    const csvBefore = fs.readFileSync(config.csvFile, 'utf-8');
+    await main();
+    assert.equal(fs.readFileSync(config.csvFile, 'utf-8'), csvBefore);
+  });
+
+  it('volta a active quem reaparece na busca sem push novo', async () => {
+    await main();
+    const all = listed;
+    repos['acme/old'].meta = { pushed_at: pushed('01') };
+    listed = all.filter((item) => item.full_name !== 'acme/old');
+    await main();
+    assert.equal(csvByName()['acme/old'].status, 'unlisted');
+
+    listed = all;
+    const requestsBefore = stub.requests.length;
+    await main();
+
+    const paths = stub.requests.slice(requestsBefore).map((r) => r.path);
+    assert.ok(!paths.some((p) => p.startsWith('/repos/acme/old/')));
+    assert.equal(csvByName()['acme/old'].status, 'active');
+    const old = readJsonLines(config.jsonlFiles.repos).find(
+      (r) => r.name === 'acme/old'
+    );
+    assert.equal(old.status, 'active');
+  });
+});
@@ -0,0 +1,226 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { config, loadConfig } = require('../scripts/lib/config');
+const {
+  buildLastNQuarters,
+  buildQueries,
+  buildQuerySlices,
+  collectCoverage,
+  matchesOwnerType,
+  searchQualifiers,
+  sliceQuery,
+  splitSlice,
+} = require('../scripts/lib/queries');
+
+const BASES = ['language:TypeScript react', 'language:TypeScript topic:react'];
+
+describe('buildLastNQuarters', () => {
+  it('começa no trimestre corrente e volta no tempo', () => {
+    const ranges = buildLastNQuarters(3, new Date('2024-05-15T00:00:00Z'));
+    assert.deepEqual(ranges, [
+      'pushed:2024-04-01..2024-06-30',
+      'pushed:2024-01-01..2024-03-31',
+      'pushed:2023-10-01..2023-12-31',
+    ]);
+  });
+
+  it('trata fevereiro de ano bissexto no primeiro trimestre', () => {
+    const [q1] = buildLastNQuarters(1, new Date('2024-02-29T12:00:00Z'));
+    assert.equal(q1, 'pushed:2024-01-01..2024-03-31');
+  });
+});
+
+describe('buildQueries', () => {
+  it('combina cada base com cada trimestre e os filtros fixos', () => {
+    const queries = buildQueries({
+      bases: BASES,
+      quartersCount: 2,
+      excludeTopics: '',
+      now: new Date('2024-05-15T00:00:00Z'),
+    });
+    assert.equal(queries.length, BASES.length * 2);
+    assert.equal(
+      queries[0],
+      'language:TypeScript react pushed:2024-04-01..2024-06-30 fork:false archived:false'
+    );
+  });
+
+  it('acrescenta EXCLUDE_TOPICS ao final', () => {
+    const [q] = buildQueries({
+      bases: BASES,
+      quartersCount: 1,
+      excludeTopics: '-topic:tutorial',
+      now: new Date('2024-05-15T00:00:00Z'),
+    });
+    assert.match(q, / archived:false -topic:tutorial$/);
+  });
+});
+
+describe('qualificadores da busca', () => {
+  it('compõe tamanho, criação, licenças, donos e termos excluídos', () => {
+    const cfg = loadConfig({
+      MIN_SIZE_KB: '100',
+      CREATED_FROM: '2020-01-01',
+      CREATED_TO: '2022-12-31',
+      LICENSES: 'mit,apache-2.0',
+      INCLUDE_OWNERS: 'acme,Globex',
+      EXCLUDE_OWNERS: 'spam',
+      EXCLUDE_TOPICS: '-topic:tutorial',
+      EXCLUDE_TERMS: '-boilerplate -starter',
+    });
+    assert.deepEqual(searchQualifiers(cfg), [
+      'size:>=100',
+      'created:2020-01-01..2022-12-31',
+      'license:mit',
+      'license:apache-2.0',
+      'user:acme',
+      'user:globex',
+      '-user:spam',
+      '-topic:tutorial',
+      '-boilerplate -starter',
+    ]);
+    assert.deepEqual(searchQualifiers(loadConfig({})), []);
+  });
+
+  it('só acrescenta EXCLUDE_TERMS com APPLY_TEXT_EXCLUDES', () => {
+    const env = { EXCLUDE_TERMS: '-template -seed' };
+    assert.deepEqual(searchQualifiers(loadConfig(env)), ['-template -seed']);
+    assert.deepEqual(
+      searchQualifiers(loadConfig({ ...env, APPLY_TEXT_EXCLUDES: 'true' })),
+      ['-template -seed']
+    );
+    assert.deepEqual(
+      searchQualifiers(loadConfig({ ...env, APPLY_TEXT_EXCLUDES: 'false' })),
+      []
+    );
+  });
+
+  it('põe MIN_STARS/MAX_STARS nas fatias iniciais', () => {
+    const [slice] = buildQuerySlices({
+      bases: ['react'],
+      quartersCount: 1,
+      now: new Date('2024-05-15T00:00:00Z'),
+      stars: { min: 10, max: Infinity },
+    });
+    assert.equal(
+      sliceQuery(slice, ['license:mit']),
+      'react pushed:2024-04-01..2024-06-30 stars:>=10 fork:false archived:false license:mit'
+    );
+  });
+
+  it('filtra o tipo do dono depois da busca', () => {
+    const org = { owner: { type: 'Organization' } };
+    const user = { owner: { type: 'User' } };
+    assert.equal(matchesOwnerType(org, 'org'), true);
+    assert.equal(matchesOwnerType(user, 'org'), false);
+    assert.equal(matchesOwnerType(user, 'user'), true);
+    assert.equal(matchesOwnerType(org, config.ownerType), true);
+  });
+});
+
+describe('splitSlice', () => {
+  const base = 'react';
+  const slice = (from, to, stars = null) => ({
+    base,
+    pushed: { from, to },
+    stars,
+  });
+  const ranges = (slices) =>
+    slices.map((s) => `${s.pushed.from}..${s.pushed.to}`);
+
+  it('divide trimestre em meses, mês em semanas e semana em dias', () => {
+    assert.deepEqual(ranges(splitSlice(slice('2024-01-01', '2024-03-31'))), [
+      '2024-01-01..2024-01-31',
+      '2024-02-01..2024-02-29',
+      '2024-03-01..2024-03-31',
+    ]);
+    assert.deepEqual(ranges(splitSlice(slice('2024-02-01', '2024-02-29'))), [
+      '2024-02-01..2024-02-07',
+      '2024-02-08..2024-02-14',
+      '2024-02-15..2024-02-21',
+      '2024-02-22..2024-02-28',
+      '2024-02-29..2024-02-29',
+    ]);
+    assert.equal(splitSlice(slice('2024-02-01', '2024-02-07')).length, 7);
+  });
+
+  it('divide um dia em faixas de estrelas e cada faixa ao meio', () => {
+    const day = splitSlice(slice('2024-02-01', '2024-02-01'));
+    assert.deepEqual(
+      day.map((s) => sliceQuery(s, [])),
+      [
+        'stars:0',
+        'stars:1',
+        'stars:2..4',
+        'stars:5..9',
+        'stars:10..49',
+        'stars:50..199',
+        'stars:200..999',
+        'stars:>=1000',
+      ].map(
+        (stars) =>
+          `react pushed:2024-02-01..2024-02-01 ${stars} fork:false archived:false`
+      )
+    );
+    const halves = (stars) =>
+      splitSlice(slice('2024-02-01', '2024-02-01', stars)).map((s) => s.stars);
+    assert.deepEqual(halves({ min: 10, max: 49 }), [
+      { min: 10, max: 29 },
+      { min: 30, max: 49 },
+    ]);
+    assert.deepEqual(halves({ min: 1000, max: Infinity }), [
+      { min: 1000, max: 1999 },
+      { min: 2000, max: Infinity },
+    ]);
+    assert.equal(
+      splitSlice(slice('2024-02-01', '2024-02-01', { min: 0, max: 0 })),
+      null
+    );
+    // Com MIN_STARS/MAX_STARS, as faixas ficam dentro dos limites
+    assert.deepEqual(halves({ min: 3, max: 60 }), [
+      { min: 3, max: 4 },
+      { min: 5, max: 9 },
+      { min: 10, max: 49 },
+      { min: 50, max: 60 },
+    ]);
+  });
+});
+
+describe('collectCoverage', () => {
+  it('soma estimativas das fatias iniciais e itens visitados nas folhas', () => {
+    const quarter = {
+      base: 'react',
+      pushed: { from: '2024-01-01', to: '2024-03-31' },
+      stars: null,
+    };
+    const other = { ...quarter, base: 'vue' };
+    const [jan, feb, mar] = splitSlice(quarter);
+    const checkpoint = {
+      queries: {
+        [sliceQuery(quarter)]: { split: true, total: 2500 },
+        [sliceQuery(jan)]: { done: true, total: 900, seen: 900 },
+        [sliceQuery(feb)]: {
+          done: true,
+          total: 1200,
+          seen: 1000,
+          capped: true,
+        },
+        [sliceQuery(mar)]: { done: false, total: 400, seen: 100 },
+        [sliceQuery(other)]: { done: true, total: 10, seen: 10 },
+      },
+    };
+    const coverage = collectCoverage(checkpoint, [quarter, other]);
+    assert.equal(coverage.estimated, 2510);
+    assert.equal(coverage.visited, 2010);
+    assert.equal(coverage.split, 1);
+    assert.deepEqual(
+      coverage.capped.map((c) => [c.total, c.seen]),
+      [[1200, 1000]]
+    );
+    assert.equal(coverage.done, 1);
+    assert.equal(coverage.started, 1);
+  });
+});
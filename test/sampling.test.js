@@ -0,0 +1,100 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildQuarterRanges } = require('../scripts/lib/queries');
+const {
+  buildStrata,
+  drawSample,
+  parseStarBuckets,
+  proportionalTargets,
+} = require('../scripts/lib/sampling');
+
+const QUARTERS = buildQuarterRanges(2, new Date('2024-05-15T00:00:00Z'));
+
+function records(count, stars, pushedAt, prefix = 'r') {
+  return Array.from({ length: count }, (_, i) => ({
+    name: `acme/${prefix}${stars}-${i}`,
+    stars,
+    pushedAt,
+  }));
+}
+
+describe('parseStarBuckets', () => {
+  it('aceita limites crescentes e acrescenta o 0', () => {
+    assert.deepEqual(parseStarBuckets('0,10,100'), [0, 10, 100]);
+    assert.deepEqual(parseStarBuckets('5, 50'), [0, 5, 50]);
+    assert.throws(() => parseStarBuckets('10,5'), /faixas de estrelas/);
+    assert.throws(() => parseStarBuckets('a'), /faixas de estrelas/);
+  });
+});
+
+describe('buildStrata', () => {
+  it('cruza faixas de estrelas com trimestres', () => {
+    const strata = buildStrata([0, 10], QUARTERS);
+    assert.deepEqual(
+      strata.map((s) => s.id),
+      ['0-9@2024Q2', '0-9@2024Q1', '10+@2024Q2', '10+@2024Q1']
+    );
+    assert.deepEqual(strata[2].stars, { min: 10, max: null });
+  });
+});
+
+describe('proportionalTargets', () => {
+  it('distribui o total pelos maiores restos', () => {
+    assert.deepEqual(proportionalTargets([50, 30, 20], 10), [5, 3, 2]);
+    assert.deepEqual(proportionalTargets([1, 1, 1], 2), [1, 1, 0]);
+    assert.deepEqual(proportionalTargets([2, 3], 10), [2, 3]);
+  });
+});
+
+describe('drawSample', () => {
+  const population = [
+    ...records(40, 1, '2024-05-01T00:00:00Z'),
+    ...records(10, 500, '2024-02-01T00:00:00Z'),
+    ...records(2, 3, '2023-01-01T00:00:00Z'),
+  ];
+  const options = { seed: 42, starBuckets: [0, 10, 100], quarters: QUARTERS };
+
+  it('é reproduzível e não depende da ordem de entrada', () => {
+    const a = drawSample(population, { ...options, size: 10 });
+    const b = drawSample([...population].reverse(), { ...options, size: 10 });
+    assert.deepEqual(
+      a.sample.map((r) => r.name),
+      b.sample.map((r) => r.name)
+    );
+    const other = drawSample(population, { ...options, seed: 7, size: 10 });
+    assert.notDeepEqual(
+      a.sample.map((r) => r.name),
+      other.sample.map((r) => r.name)
+    );
+  });
+
+  it('aloca proporcionalmente e conta o que fica fora dos estratos', () => {
+    const { sample, strata, outOfStrata } = drawSample(population, {
+      ...options,
+      size: 10,
+    });
+    assert.equal(outOfStrata, 2);
+    const byId = Object.fromEntries(strata.map((s) => [s.id, s]));
+    assert.deepEqual(
+      [byId['0-9@2024Q2'].selected, byId['100+@2024Q1'].selected],
+      [8, 2]
+    );
+    assert.equal(sample.length, 10);
+    assert.ok(sample.every((r) => r.stratum));
+  });
+
+  it('usa o alvo fixo por estrato até o tamanho da população', () => {
+    const { strata } = drawSample(population, { ...options, perStratum: 15 });
+    const byId = Object.fromEntries(strata.map((s) => [s.id, s]));
+    assert.deepEqual(byId['0-9@2024Q2'], {
+      ...byId['0-9@2024Q2'],
+      population: 40,
+      target: 15,
+      selected: 15,
+    });
+    assert.equal(byId['100+@2024Q1'].selected, 10);
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { config } = require('../scripts/lib/config');
+const { TokenPool, bucketFor } = require('../scripts/lib/tokens');
+const { silenceLogs } = require('./helpers/github-stub');
+
+silenceLogs();
+
+function rateHeaders(remaining, resetSeconds, resource) {
+  return new Headers({
+    'x-ratelimit-remaining': String(remaining),
+    'x-ratelimit-reset': String(resetSeconds),
+    'x-ratelimit-limit': '5000',
+    ...(resource ? { 'x-ratelimit-resource': resource } : {}),
+  });
+}
+
+describe('TokenPool', () => {
+  const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+  let margin;
+
+  beforeEach(() => {
+    margin = config.rateLimitMarginMs;
+    config.rateLimitMarginMs = 0;
+  });
+  afterEach(() => {
+    config.rateLimitMarginMs = margin;
+  });
+
+  it('classifica o bucket pela URL', () => {
+    assert.equal(bucketFor('https://api.github.com/graphql'), 'graphql');
+    assert.equal(
+      bucketFor('https://api.github.com/search/repositories?q=x'),
+      'search'
+    );
+    assert.equal(bucketFor('https://api.github.com/repos/a/b'), 'core');
+  });
+
+  it('experimenta cada token e depois escolhe o de maior cota', async () => {
+    const pool = new TokenPool(['a', 'b', 'c']);
+    const first = await pool.acquire('core');
+    assert.equal(first.token, 'a');
+    pool.update(first, 'core', rateHeaders(100, inOneHour()));
+    const second = await pool.acquire('core');
+    assert.equal(second.token, 'b');
+    pool.update(second, 'core', rateHeaders(4000, inOneHour()));
+    const third = await pool.acquire('core');
+    assert.equal(third.token, 'c');
+    pool.update(third, 'core', rateHeaders(50, inOneHour()));
+
+    assert.equal((await pool.acquire('core')).token, 'b');
+    assert.equal(pool.status('core').remaining, 100 + 3999 + 50);
+  });
+
+  it('mantém a cota de cada bucket separada', async () => {
+    const pool = new TokenPool(['a', 'b']);
+    const entry = await pool.acquire('search');
+    pool.exhaust(entry, 'search', inOneHour() * 1000);
+    assert.equal((await pool.acquire('search')).token, 'b');
+    assert.equal((await pool.acquire('graphql')).token, 'a');
+    assert.equal(pool.available('search'), 1);
+
+    // O cabeçalho `x-ratelimit-resource` prevalece sobre a URL
+    const b = pool.tokens[1];
+    pool.update(b, 'core', rateHeaders(7, inOneHour(), 'graphql'));
+    assert.equal(b.buckets.graphql.remaining, 7);
+    assert.equal(b.buckets.core.remaining, null);
+  });
+
+  it('só espera quando todos os tokens estão esgotados', async () => {
+    const pool = new TokenPool(['a', 'b']);
+    const soon = Date.now() + 50;
+    for (const entry of pool.tokens) pool.exhaust(entry, 'core', soon);
+    const started = Date.now();
+    const entry = await pool.acquire('core');
+    assert.ok(Date.now() - started >= 40);
+    assert.equal(entry.token, 'a');
+  });
+
+  it('funciona sem tokens (replay de fixtures)', async () => {
+    const pool = new TokenPool([]);
+    assert.equal((await pool.acquire('core')).token, null);
+    assert.deepEqual(
+      pool.summary().map((s) => s.token),
+      ['sem token']
+    );
+  });
+});
@@ -0,0 +1,255 @@
+'use strict';
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { config } = require('../scripts/lib/config');
+const { getCriteria } = require('../scripts/lib/criteria');
+const {
+  fetchDependencyVersions,
+  majorOfRange,
+  parsePackageLock,
+  parsePnpmLock,
+  parseYarnLock,
+  resolveVersions,
+  versionMajors,
+} = require('../scripts/lib/versions');
+const {
+  silenceLogs,
+  startGitHubStub,
+  useStub,
+} = require('./helpers/github-stub');
+
+silenceLogs();
+
+describe('majorOfRange', () => {
+  it('usa o limite inferior, ficando com a maior alternativa', () => {
+    const cases = {
+      '^16.8.0': 16,
+      '~17.0.2': 17,
+      '>=17 <19': 17,
+      '>= 16.3': 16,
+      '16.x': 16,
+      '16.8.0 - 18': 16,
+      '^16.8.0 || ^17.0.0': 17,
+      'npm:react@^18.2.0': 18,
+      '*': null,
+      latest: null,
+      'workspace:*': null,
+      'github:facebook/react': null,
+    };
+    for (const [range, major] of Object.entries(cases)) {
+      assert.equal(majorOfRange(range), major, range);
+    }
+  });
+});
+
+describe('lockfiles', () => {
+  it('package-lock.json: v3 por workspace e içado, v1 pelas dependências', () => {
+    const v3 = parsePackageLock(
+      JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app' },
+          'node_modules/react': { version: '18.2.0' },
+          'packages/legacy/node_modules/react': { version: '16.14.0' },
+        },
+      })
+    );
+    assert.equal(v3('react', '^18.0.0'), '18.2.0');
+    assert.equal(v3('react', '^16.8.0', 'packages/legacy'), '16.14.0');
+    assert.equal(v3('jest', '^29.0.0'), null);
+
+    const v1 = parsePackageLock(
+      JSON.stringify({ dependencies: { enzyme: { version: '3.11.0' } } })
+    );
+    assert.equal(v1('enzyme', '^3.0.0'), '3.11.0');
+  });
+
+  it('yarn.lock clássico e Berry, pelo especificador declarado', () => {
+    const classic = parseYarnLock(
+      [
+        '# yarn lockfile v1',
+        '',
+        '"@testing-library/react@^12.1.0":',
+        '  version "12.1.5"',
+        '  resolved "https://registry.yarnpkg.com/..."',
+        '',
+        'react@^16.8.0, react@^16.14.0:',
+        '  version "16.14.0"',
+        '',
+        'react@^17.0.0:',
+        '  version "17.0.2"',
+      ].join('\n')
+    );
+    assert.equal(classic('react', '^16.8.0'), '16.14.0');
+    assert.equal(classic('react', '^17.0.0'), '17.0.2');
+    // Faixa não listada e duas versões do pacote: ambíguo
+    assert.equal(classic('react', '>=16'), null);
+    assert.equal(classic('@testing-library/react', '12.x'), '12.1.5');
+
+    const berry = parseYarnLock(
+      [
+        '__metadata:',
+        '  version: 6',
+        '',
+        '"react@npm:^18.2.0":',
+        '  version: 18.2.0',
+        '  resolution: "react@npm:18.2.0"',
+      ].join('\n')
+    );
+    assert.equal(berry('react', '^18.2.0'), '18.2.0');
+  });
+
+  it('pnpm-lock.yaml 5.x na raiz e importers do 6+', () => {
+    const v5 = parsePnpmLock(
+      [
+        'lockfileVersion: 5.4',
+        '',
+        'specifiers:',
+        '  react: ^17.0.2',
+        '',
+        'dependencies:',
+        '  react: 17.0.2',
+        '',
+        'devDependencies:',
+        "  '@testing-library/react': 12.1.5_react@17.0.2",
+        '',
+        'packages:',
+        '',
+        '  /react/17.0.2:',
+        '    dependencies:',
+        '      loose-envify: 1.4.0',
+      ].join('\n')
+    );
+    assert.equal(v5('react', '^17.0.2'), '17.0.2');
+    assert.equal(v5('@testing-library/react', '^12.0.0'), '12.1.5');
+    assert.equal(v5('loose-envify', '*'), null);
+
+    const v9 = parsePnpmLock(
+      [
+        "lockfileVersion: '9.0'",
+        '',
+        'importers:',
+        '',
+        '  .:',
+        '    devDependencies:',
+        '      typescript:',
+        '        specifier: ^5.4.0',
+        '        version: 5.4.5',
+        '',
+        '  packages/web:',
+        '    dependencies:',
+        '      react:',
+        '        specifier: ^18.2.0',
+        '        version: 18.2.0(react-dom@18.2.0)',
+      ].join('\n')
+    );
+    assert.equal(v9('typescript', '^5.4.0'), '5.4.5');
+    assert.equal(v9('react', '^18.2.0', 'packages/web'), '18.2.0');
+  });
+});
+
+describe('resolveVersions', () => {
+  const PACKAGES = ['react', 'typescript', 'enzyme', 'jest'];
+
+  it('junta raiz e workspaces e separa as que só estão em peerDependencies', () => {
+    const versions = resolveVersions(
+      {
+        '.': {
+          peerDependencies: { react: '>=16.8' },
+          devDependencies: { typescript: '^4.9.0' },
+        },
+        'packages/demo': {
+          dependencies: { react: '^16.14.0' },
+          devDependencies: { enzyme: '^3.11.0' },
+        },
+        'packages/ui': { peerDependencies: { jest: '>=27' } },
+      },
+      PACKAGES,
+      {
+        file: 'yarn.lock',
+        text: 'react@^16.14.0:\n  version "16.14.0"\n',
+      }
+    );
+
+    assert.equal(versions.lockfile, 'yarn.lock');
+    assert.deepEqual(versions.peerOnly, ['jest']);
+    assert.deepEqual(versions.packages.react, {
+      range: '^16.14.0',
+      field: 'dependencies',
+      dir: 'packages/demo',
+      peer: false,
+      resolved: '16.14.0',
+      major: 16,
+    });
+    // Sem versão no lockfile, o major vem da faixa
+    assert.equal(versions.packages.typescript.resolved, null);
+    assert.equal(versions.packages.typescript.major, 4);
+    assert.equal(versions.packages.jest.major, null);
+  });
+
+  it('segue sem lockfile e ignora lockfiles ilegíveis', () => {
+    const versions = resolveVersions(
+      { '.': { dependencies: { react: '^18.0.0' } } },
+      PACKAGES,
+      { file: 'package-lock.json', text: '{ quebrado' }
+    );
+    assert.equal(versions.lockfile, null);
+    assert.equal(versions.packages.react.major, 18);
+  });
+
+  it('versionMajors usa o primeiro pacote de cada chave com major', () => {
+    const versions = resolveVersions(
+      {
+        '.': {
+          dependencies: { react: '^16.14.0' },
+          devDependencies: { '@wojtekmaj/enzyme-adapter-react-17': '^0.8.0' },
+        },
+      },
+      ['react', '@wojtekmaj/enzyme-adapter-react-17']
+    );
+    const majors = versionMajors(versions, getCriteria());
+    assert.equal(majors.React, 16);
+    assert.equal(majors.EnzymeAdapter, 0);
+    assert.equal(majors.Jest, null);
+  });
+});
+
+describe('fetchDependencyVersions contra o stub da API', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startGitHubStub({
+      repos: {
+        'acme/app': {
+          files: {
+            'package.json': '{}',
+            'package-lock.json': JSON.stringify({
+              lockfileVersion: 2,
+              packages: { 'node_modules/react': { version: '17.0.2' } },
+            }),
+          },
+        },
+      },
+    });
+    useStub(config, stub);
+  });
+
+  after(() => stub.close());
+
+  it('lê o lockfile da raiz só quando há pacote declarado', async () => {
+    const queriesBefore = stub.graphqlQueries.length;
+    const none = await fetchDependencyVersions('acme', 'app', {
+      '.': { dependencies: { lodash: '^4.0.0' } },
+    });
+    assert.deepEqual(none, { lockfile: null, packages: {}, peerOnly: [] });
+    assert.equal(stub.graphqlQueries.length, queriesBefore);
+
+    const versions = await fetchDependencyVersions('acme', 'app', {
+      '.': { dependencies: { react: '^17.0.0' } },
+    });
+    assert.equal(versions.lockfile, 'package-lock.json');
+    assert.equal(versions.packages.react.resolved, '17.0.2');
+  });
+});
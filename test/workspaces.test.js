@@ -0,0 +1,53 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parsePnpmWorkspace,
+  workspacePatterns,
+} = require('../scripts/lib/workspaces');
+
+describe('parsePnpmWorkspace', () => {
+  it('lê a lista packages em bloco, ignorando comentários e outras chaves', () => {
+    const yaml = [
+      '# workspaces',
+      'packages:',
+      "  - 'packages/*'",
+      '  - "apps/**" # apps',
+      '  - !legacy',
+      'catalog:',
+      '  - react',
+    ].join('\n');
+    assert.deepEqual(parsePnpmWorkspace(yaml), [
+      'packages/*',
+      'apps/**',
+      '!legacy',
+    ]);
+  });
+
+  it('aceita a forma inline', () => {
+    assert.deepEqual(parsePnpmWorkspace("packages: ['a/*', b]"), ['a/*', 'b']);
+  });
+});
+
+describe('workspacePatterns', () => {
+  it('junta package.json, Lerna e Nx registrando as fontes', () => {
+    const { patterns, sources } = workspacePatterns(
+      { workspaces: { packages: ['packages/*'] } },
+      {
+        'lerna.json': '{}',
+        'nx.json': JSON.stringify({ workspaceLayout: { appsDir: 'sites' } }),
+      }
+    );
+    assert.deepEqual(patterns, ['packages/*', 'sites/*', 'libs/*']);
+    assert.deepEqual(sources, ['package.json', 'lerna.json', 'nx.json']);
+  });
+
+  it('devolve lista vazia para repositórios comuns', () => {
+    assert.deepEqual(workspacePatterns({ name: 'app' }, {}), {
+      patterns: [],
+      sources: [],
+    });
+  });
+});